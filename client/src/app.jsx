@@ -8,6 +8,17 @@ import Register from './pages/register.jsx';
 import CreatePost from './pages/createpost.jsx';
 import PostDetail from './pages/postdetail.jsx';
 import EditPost from './pages/editpost.jsx';
+import ForgotPassword from './pages/forgotpassword.jsx';
+import ResetPassword from './pages/resetpassword.jsx';
+import VerifyEmail from './pages/verifyemail.jsx';
+import Settings from './pages/settings.jsx';
+import Unsubscribe from './pages/unsubscribe.jsx';
+import Profile from './pages/profile.jsx';
+import AuthorProfile from './pages/authorprofile.jsx';
+import MyPosts from './pages/myposts.jsx';
+import Search from './pages/search.jsx';
+import ReadingList from './pages/readinglist.jsx';
+import Moderation from './pages/moderation.jsx';
 
 function App() {
   return (
@@ -23,6 +34,17 @@ function App() {
             <Route path="/" element={<Home />} />
             <Route path="/login" element={<Login />} />
             <Route path="/register" element={<Register />} />
+            <Route path="/forgot-password" element={<ForgotPassword />} />
+            <Route path="/reset-password/:token" element={<ResetPassword />} />
+            <Route path="/verify-email/:token" element={<VerifyEmail />} />
+            <Route path="/settings" element={<Settings />} />
+            <Route path="/unsubscribe/:token" element={<Unsubscribe />} />
+            <Route path="/profile" element={<Profile />} />
+            <Route path="/authors/:username" element={<AuthorProfile />} />
+            <Route path="/my-posts" element={<MyPosts />} />
+            <Route path="/search" element={<Search />} />
+            <Route path="/reading-list" element={<ReadingList />} />
+            <Route path="/moderation" element={<Moderation />} />
             <Route path="/create-post" element={<CreatePost />} />
             <Route path="/posts/:id" element={<PostDetail />} />
             <Route path="/edit-post/:id" element={<EditPost />} />
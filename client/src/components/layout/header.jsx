@@ -1,9 +1,10 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../../context/auth.context.jsx';
+import NotificationBell from './notificationbell.jsx';
 
 const Header = () => {
-  const { user, logout } = useAuth();
+  const { user, logout, can } = useAuth();
   const navigate = useNavigate();
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
   const [isUserDropdownOpen, setIsUserDropdownOpen] = useState(false);
@@ -110,13 +111,7 @@ const Header = () => {
             
             {user ? (
               <div className="flex items-center space-x-4">
-                {/* Notification Bell */}
-                <button className="relative p-2 hover:text-[var(--text-light)] transition-[var(--transition)]">
-                  <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 17h5l-5 5v-5zM10.24 8.56a5.97 5.97 0 01-4.66-6.24M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
-                  </svg>
-                  <span className="absolute top-1 right-1 w-2 h-2 bg-red-500 rounded-full"></span>
-                </button>
+                <NotificationBell />
 
                 <Link 
                   to="/create-post" 
@@ -179,6 +174,28 @@ const Header = () => {
                         </svg>
                         My Posts
                       </Link>
+                      <Link 
+                        to="/reading-list" 
+                        className="flex items-center px-4 py-2 text-sm hover:bg-gray-50 transition-[var(--transition)]"
+                        onClick={() => setIsUserDropdownOpen(false)}
+                      >
+                        <svg className="w-4 h-4 mr-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 5a2 2 0 012-2h10a2 2 0 012 2v16l-7-3.5L5 21V5z" />
+                        </svg>
+                        Reading List
+                      </Link>
+                      {(can('comments:moderate') || can('posts:update:any')) && (
+                        <Link 
+                          to="/moderation" 
+                          className="flex items-center px-4 py-2 text-sm hover:bg-gray-50 transition-[var(--transition)]"
+                          onClick={() => setIsUserDropdownOpen(false)}
+                        >
+                          <svg className="w-4 h-4 mr-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.04A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z" />
+                          </svg>
+                          Moderation
+                        </Link>
+                      )}
                       <Link 
                         to="/settings" 
                         className="flex items-center px-4 py-2 text-sm hover:bg-gray-50 transition-[var(--transition)]"
@@ -289,6 +306,22 @@ const Header = () => {
                   >
                     My Posts
                   </Link>
+                  <Link 
+                    to="/reading-list" 
+                    className="hover:text-[var(--text-light)] transition-[var(--transition)] py-2"
+                    onClick={() => setIsMobileMenuOpen(false)}
+                  >
+                    Reading List
+                  </Link>
+                  {(can('comments:moderate') || can('posts:update:any')) && (
+                    <Link 
+                      to="/moderation" 
+                      className="hover:text-[var(--text-light)] transition-[var(--transition)] py-2"
+                      onClick={() => setIsMobileMenuOpen(false)}
+                    >
+                      Moderation
+                    </Link>
+                  )}
                   <Link 
                     to="/profile" 
                     className="hover:text-[var(--text-light)] transition-[var(--transition)] py-2"
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import Header from './header.jsx';
+import VerificationBanner from './verificationbanner.jsx';
 import { useLocation } from 'react-router-dom';
 
 const Layout = ({ children }) => {
@@ -44,6 +45,7 @@ const Layout = ({ children }) => {
     >
       {/* Header */}
       <Header />
+      <VerificationBanner />
 
       {/* Loading Bar */}
       {isLoading && (
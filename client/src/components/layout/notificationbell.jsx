@@ -0,0 +1,212 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { notificationService } from '../../services/api.js';
+
+// How many notifications the dropdown shows
+const LIMIT = 10;
+
+const REACTION_LABELS = {
+  like: 'liked',
+  love: 'loved',
+  laugh: 'laughed at',
+  wow: 'was wowed by',
+  sad: 'was saddened by',
+  celebrate: 'celebrated'
+};
+
+const OUTCOME_LABELS = {
+  approved: 'was approved',
+  rejected: 'was rejected by a moderator',
+  spam: 'was marked as spam',
+  banned: 'You have been banned from commenting'
+};
+
+const formatDate = (dateString) => {
+  return new Date(dateString).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+};
+
+// One line describing what happened
+const describe = (notification) => {
+  const actor = notification.actor?.displayName || notification.actor?.username || 'Someone';
+  const title = notification.post?.title ? `"${notification.post.title}"` : 'a post';
+  const target = notification.comment ? 'your comment' : `your post ${title}`;
+
+  switch (notification.type) {
+    case 'comment':
+      return `${actor} commented on ${title}`;
+    case 'reply':
+      return `${actor} replied to your comment on ${title}`;
+    case 'mention':
+      return `${actor} mentioned you ${notification.comment ? 'in a comment on' : 'in'} ${title}`;
+    case 'reaction':
+      return `${actor} ${REACTION_LABELS[notification.reaction] || 'reacted to'} ${target}`;
+    case 'moderation':
+      return notification.outcome === 'banned'
+        ? OUTCOME_LABELS.banned
+        : `${notification.comment ? `Your comment on ${title}` : `Your post ${title}`} ${OUTCOME_LABELS[notification.outcome] || 'was reviewed'}`;
+    default:
+      return 'New notification';
+  }
+};
+
+// Where clicking a notification goes
+const linkFor = (notification) => {
+  if (!notification.post?.slug) return null;
+  const anchor = notification.comment && !notification.comment.isDeleted ? `#comment-${notification.comment._id}` : '';
+  return `/posts/${notification.post.slug}${anchor}`;
+};
+
+const NotificationBell = () => {
+  const navigate = useNavigate();
+  const [isOpen, setIsOpen] = useState(false);
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [loading, setLoading] = useState(false);
+
+  const bellRef = useRef(null);
+
+  // Live unread count and new notifications
+  useEffect(() => {
+    return notificationService.subscribe((event, data) => {
+      if (event === 'unread') {
+        setUnreadCount(data.count);
+      } else if (event === 'notification') {
+        setUnreadCount(data.unreadCount);
+        setNotifications(prev => [data.notification, ...prev.filter(item => item._id !== data.notification._id)].slice(0, LIMIT));
+      }
+    });
+  }, []);
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (bellRef.current && !bellRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const fetchNotifications = async () => {
+    setLoading(true);
+    try {
+      const response = await notificationService.getNotifications({ limit: LIMIT });
+      setNotifications(response.data);
+      setUnreadCount(response.unreadCount);
+    } catch (err) {
+      console.error('Error fetching notifications:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleOpen = () => {
+    if (!isOpen) {
+      fetchNotifications();
+    }
+    setIsOpen(!isOpen);
+  };
+
+  const setRead = async (notification, read) => {
+    try {
+      const response = await notificationService.markRead(notification._id, read);
+      setNotifications(prev => prev.map(item => (item._id === notification._id ? response.data : item)));
+      setUnreadCount(response.unreadCount);
+    } catch (err) {
+      console.error('Error updating notification:', err);
+    }
+  };
+
+  const openNotification = (notification) => {
+    if (!notification.read) {
+      setRead(notification, true);
+    }
+    const link = linkFor(notification);
+    if (link) {
+      setIsOpen(false);
+      navigate(link);
+    }
+  };
+
+  const markAllRead = async () => {
+    try {
+      await notificationService.markAllRead();
+      setNotifications(prev => prev.map(item => ({ ...item, read: true })));
+      setUnreadCount(0);
+    } catch (err) {
+      console.error('Error marking notifications read:', err);
+    }
+  };
+
+  return (
+    <div className="relative" ref={bellRef}>
+      <button
+        onClick={toggleOpen}
+        className="relative p-2 hover:text-[var(--text-light)] transition-[var(--transition)]"
+        aria-label={unreadCount ? `Notifications (${unreadCount} unread)` : 'Notifications'}
+      >
+        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9" />
+        </svg>
+        {unreadCount > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[1.1rem] h-[1.1rem] px-1 bg-red-500 text-white text-[0.65rem] font-semibold rounded-full flex items-center justify-center">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-80 bg-[var(--bg-dropdown)] text-[var(--text-dropdown)] rounded-lg shadow-[var(--shadow-lg)] border border-gray-100 z-50">
+          <div className="flex items-center justify-between px-4 py-2 border-b border-gray-100">
+            <span className="font-semibold text-sm">Notifications</span>
+            {unreadCount > 0 && (
+              <button onClick={markAllRead} className="text-xs text-blue-600 hover:underline">
+                Mark all read
+              </button>
+            )}
+          </div>
+
+          <div className="max-h-96 overflow-y-auto">
+            {loading && !notifications.length ? (
+              <p className="px-4 py-6 text-sm text-gray-500 text-center">Loading...</p>
+            ) : !notifications.length ? (
+              <p className="px-4 py-6 text-sm text-gray-500 text-center">No notifications yet</p>
+            ) : (
+              notifications.map(notification => (
+                <div
+                  key={notification._id}
+                  className={`flex items-start gap-2 px-4 py-3 border-b border-gray-50 last:border-b-0 ${notification.read ? '' : 'bg-blue-50'}`}
+                >
+                  <button
+                    onClick={() => openNotification(notification)}
+                    className="flex-1 text-left text-sm hover:underline"
+                  >
+                    <span className={notification.read ? 'text-gray-600' : 'text-gray-900 font-medium'}>
+                      {describe(notification)}
+                    </span>
+                    <span className="block text-xs text-gray-400 mt-1">{formatDate(notification.createdAt)}</span>
+                  </button>
+                  <button
+                    onClick={() => setRead(notification, !notification.read)}
+                    title={notification.read ? 'Mark as unread' : 'Mark as read'}
+                    className="mt-1 p-1 rounded-full hover:bg-gray-100"
+                  >
+                    <span className={`block w-2 h-2 rounded-full ${notification.read ? 'border border-gray-400' : 'bg-blue-600'}`}></span>
+                  </button>
+                </div>
+              ))
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
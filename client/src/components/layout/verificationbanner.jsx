@@ -0,0 +1,47 @@
+import React, { useState } from 'react';
+import { useAuth } from '../../context/auth.context.jsx';
+import { authService } from '../../services/api.js';
+
+// Reminds signed-in users to confirm their email before they can post or comment
+const VerificationBanner = () => {
+  const { user } = useAuth();
+  const [status, setStatus] = useState('idle');
+
+  if (!user || user.emailVerified !== false) {
+    return null;
+  }
+
+  const handleResend = async () => {
+    setStatus('sending');
+    try {
+      await authService.resendVerification();
+      setStatus('sent');
+    } catch (error) {
+      setStatus('error');
+    }
+  };
+
+  return (
+    <div className="bg-yellow-50 border-b border-yellow-200">
+      <div className="container mx-auto px-4 py-3 flex flex-col sm:flex-row items-center justify-between gap-2">
+        <p className="text-yellow-800 text-sm">
+          Please confirm your email address <strong>{user.email}</strong> to start posting and commenting.
+        </p>
+        {status === 'sent' ? (
+          <span className="text-sm text-green-700">Verification email sent!</span>
+        ) : (
+          <button
+            type="button"
+            onClick={handleResend}
+            disabled={status === 'sending'}
+            className="text-sm font-semibold text-yellow-900 hover:underline disabled:opacity-50"
+          >
+            {status === 'sending' ? 'Sending...' : status === 'error' ? 'Try again' : 'Resend email'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerificationBanner;
@@ -0,0 +1,69 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../../context/auth.context.jsx';
+import { postService } from '../../services/api.js';
+
+// Save/unsave toggle for the reading list. `compact` renders an icon-only button for cards.
+const BookmarkButton = ({ post, compact = false }) => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const [saved, setSaved] = useState(Boolean(post.isBookmarked));
+  const [pending, setPending] = useState(false);
+
+  useEffect(() => {
+    setSaved(Boolean(post.isBookmarked));
+  }, [post._id, post.isBookmarked]);
+
+  const handleClick = async (e) => {
+    // Cards are wrapped in links; don't follow them
+    e.preventDefault();
+    e.stopPropagation();
+
+    if (!user) {
+      navigate('/login');
+      return;
+    }
+    if (pending) return;
+
+    setPending(true);
+    try {
+      if (saved) {
+        await postService.removeBookmark(post._id);
+      } else {
+        await postService.bookmark(post._id);
+      }
+      setSaved(!saved);
+    } catch (error) {
+      console.error('Bookmark error:', error);
+    } finally {
+      setPending(false);
+    }
+  };
+
+  const label = saved ? 'Remove from reading list' : 'Save to reading list';
+
+  return (
+    <button
+      type="button"
+      onClick={handleClick}
+      disabled={pending}
+      title={label}
+      aria-label={label}
+      aria-pressed={saved}
+      className={compact
+        ? `p-1 rounded transition-colors disabled:opacity-60 ${saved ? 'text-primary-600' : 'text-gray-400 hover:text-gray-600'}`
+        : `flex items-center gap-2 px-3 py-2 rounded-lg border transition-colors disabled:opacity-60 ${
+            saved
+              ? 'bg-primary-50 text-primary-700 border-primary-300'
+              : 'bg-gray-50 text-gray-600 border-gray-200 hover:bg-gray-100'
+          }`}
+    >
+      <svg className="w-5 h-5" fill={saved ? 'currentColor' : 'none'} stroke="currentColor" viewBox="0 0 24 24">
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 5a2 2 0 012-2h10a2 2 0 012 2v16l-7-3.5L5 21V5z" />
+      </svg>
+      {!compact && (saved ? 'Saved' : 'Save')}
+    </button>
+  );
+};
+
+export default BookmarkButton;
@@ -0,0 +1,199 @@
+import React, { useState } from 'react';
+import MentionText from './mentiontext.jsx';
+
+const formatDate = (dateString) => {
+  return new Date(dateString).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+// One comment and, recursively, its replies. `canEdit(comment)` and
+// `canDelete(comment)` decide which buttons show; replies past the loaded depth
+// are fetched with `onLoadReplies`.
+const CommentItem = ({ comment, user, canEdit, canDelete, onReply, onEdit, onDelete, onReport, onLoadReplies }) => {
+  const [editing, setEditing] = useState(false);
+  const [editContent, setEditContent] = useState('');
+  const [editError, setEditError] = useState('');
+  const [loadingReplies, setLoadingReplies] = useState(false);
+
+  const authorName = comment.isDeleted
+    ? 'Deleted'
+    : comment.author?.displayName || comment.author?.username || 'Unknown User';
+  const hiddenReplies = comment.replyCount - comment.replies.length;
+  const isPending = comment.status === 'pending';
+  const isOwn = Boolean(user && comment.author && user.id === comment.author._id);
+
+  const handleSave = async () => {
+    if (!editContent.trim()) return;
+
+    setEditError('');
+    try {
+      await onEdit(comment, editContent);
+      setEditing(false);
+    } catch (error) {
+      const message = error.response?.data?.errors?.[0]?.msg || error.response?.data?.message;
+      setEditError(message || 'Could not save the comment.');
+    }
+  };
+
+  const handleLoadReplies = async () => {
+    setLoadingReplies(true);
+    try {
+      await onLoadReplies(comment);
+    } finally {
+      setLoadingReplies(false);
+    }
+  };
+
+  return (
+    <div id={`comment-${comment._id}`} className="comment">
+      <div className="flex justify-between items-start mb-3">
+        <div className="flex items-center gap-3">
+          <div className="w-8 h-8 bg-gradient-primary rounded-full flex items-center justify-center text-white text-sm font-semibold">
+            {authorName.charAt(0).toUpperCase()}
+          </div>
+          <div>
+            <span className="font-semibold text-gray-900">
+              {authorName}
+            </span>
+            <span className="text-sm text-gray-500 ml-3">
+              {formatDate(comment.createdAt)}
+            </span>
+            {comment.editedAt && !comment.isDeleted && (
+              <span className="text-sm text-gray-400 ml-2" title={`Edited ${formatDate(comment.editedAt)}`}>
+                (edited)
+              </span>
+            )}
+            {isPending && (
+              <span className="text-xs bg-yellow-100 text-yellow-800 px-2 py-0.5 rounded-full ml-2">
+                Awaiting approval
+              </span>
+            )}
+          </div>
+        </div>
+
+        {/* Comment Actions */}
+        {user && !comment.isDeleted && (
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => onReply(comment)}
+              className="text-gray-400 hover:text-primary-600 transition-colors"
+              title="Reply"
+            >
+              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 10h10a8 8 0 018 8v2M3 10l6 6m-6-6l6-6" />
+              </svg>
+            </button>
+            {!isOwn && !isPending && (
+              <button
+                onClick={() => onReport(comment)}
+                className="text-gray-400 hover:text-orange-600 transition-colors"
+                title="Report"
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 21v-4m0 0V5a2 2 0 012-2h6.5l1 1H21l-3 6 3 6h-8.5l-1-1H5a2 2 0 00-2 2z" />
+                </svg>
+              </button>
+            )}
+            {canEdit(comment) && (
+              <button
+                onClick={() => {
+                  setEditing(true);
+                  setEditContent(comment.content);
+                  setEditError('');
+                }}
+                className="text-gray-400 hover:text-blue-600 transition-colors"
+                title="Edit"
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+                </svg>
+              </button>
+            )}
+            {canDelete(comment) && (
+              <button
+                onClick={() => onDelete(comment)}
+                className="text-gray-400 hover:text-red-600 transition-colors"
+                title="Delete"
+              >
+                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                </svg>
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+
+      {/* Comment Content */}
+      {editing ? (
+        <div className="space-y-3">
+          <textarea
+            value={editContent}
+            onChange={(e) => setEditContent(e.target.value)}
+            rows="3"
+            className="form-textarea"
+          />
+          {editError && <p className="text-sm text-red-600">{editError}</p>}
+          <div className="flex gap-2">
+            <button
+              onClick={handleSave}
+              className="btn btn-primary btn-sm"
+            >
+              Save
+            </button>
+            <button
+              onClick={() => setEditing(false)}
+              className="btn btn-ghost btn-sm"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      ) : comment.isDeleted ? (
+        <p className="text-gray-400 italic">{comment.content}</p>
+      ) : (
+        <p className="text-gray-700 leading-relaxed whitespace-pre-line">
+          <MentionText text={comment.content} mentions={comment.mentions} />
+        </p>
+      )}
+
+      {/* Replies */}
+      {(comment.replies.length > 0 || hiddenReplies > 0) && (
+        <div className="mt-4 ml-4 pl-4 border-l-2 border-gray-100 space-y-4">
+          {comment.replies.map(reply => (
+            <CommentItem
+              key={reply._id}
+              comment={reply}
+              user={user}
+              canEdit={canEdit}
+              canDelete={canDelete}
+              onReply={onReply}
+              onEdit={onEdit}
+              onDelete={onDelete}
+              onReport={onReport}
+              onLoadReplies={onLoadReplies}
+            />
+          ))}
+          {hiddenReplies > 0 && (
+            <button
+              onClick={handleLoadReplies}
+              disabled={loadingReplies}
+              className="text-sm text-primary-600 hover:text-primary-700 font-medium"
+            >
+              {loadingReplies
+                ? 'Loading...'
+                : `Show ${hiddenReplies} more ${hiddenReplies === 1 ? 'reply' : 'replies'}`}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CommentItem;
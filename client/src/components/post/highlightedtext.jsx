@@ -0,0 +1,14 @@
+import React from 'react';
+
+// Render [{ text, highlight }] segments from the search API, marking matched words
+const HighlightedText = ({ segments }) => (
+  <>
+    {segments.map((segment, index) => (
+      segment.highlight
+        ? <mark key={index} className="bg-yellow-200 text-inherit rounded px-0.5">{segment.text}</mark>
+        : <React.Fragment key={index}>{segment.text}</React.Fragment>
+    ))}
+  </>
+);
+
+export default HighlightedText;
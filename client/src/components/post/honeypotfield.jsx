@@ -0,0 +1,15 @@
+import React from 'react';
+
+// Must match HONEYPOT_FIELD on the server
+export const HONEYPOT_FIELD = 'homepage';
+
+// A field people never see or fill in. Bots that fill in every input give
+// themselves away; the server's spam checks score anything sent in it.
+const HoneypotField = () => (
+  <div className="honeypot-field" aria-hidden="true">
+    <label htmlFor={HONEYPOT_FIELD}>Leave this field empty</label>
+    <input id={HONEYPOT_FIELD} name={HONEYPOT_FIELD} type="text" tabIndex={-1} autoComplete="off" defaultValue="" />
+  </div>
+);
+
+export default HoneypotField;
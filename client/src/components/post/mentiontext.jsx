@@ -0,0 +1,42 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+
+// Same rule as the server: @username where the @ doesn't follow a word character
+const MENTION_PATTERN = /(^|[^\w@/])@(\w{3,30})\b/g;
+
+// Lowercased usernames the server resolved; other @names stay plain text
+const mentionedNames = (mentions = []) => new Set(mentions.map(user => user.username?.toLowerCase()));
+
+// Turn resolved mentions in markdown into links to the user's profile
+export const linkMentions = (text, mentions) => {
+  const names = mentionedNames(mentions);
+  return text.replace(MENTION_PATTERN, (match, before, username) => (
+    names.has(username.toLowerCase()) ? `${before}[@${username}](/authors/${username})` : match
+  ));
+};
+
+// Plain text with resolved mentions linked to the user's profile
+const MentionText = ({ text, mentions }) => {
+  const names = mentionedNames(mentions);
+  const parts = [];
+  let last = 0;
+
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    const [, before, username] = match;
+    if (!names.has(username.toLowerCase())) continue;
+
+    const start = match.index + before.length;
+    parts.push(text.slice(last, start));
+    parts.push(
+      <Link key={start} to={`/authors/${username}`} className="text-primary-600 hover:underline">
+        @{username}
+      </Link>
+    );
+    last = start + username.length + 1;
+  }
+  parts.push(text.slice(last));
+
+  return <>{parts}</>;
+};
+
+export default MentionText;
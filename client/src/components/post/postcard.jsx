@@ -1,5 +1,8 @@
 import React from 'react';
 import { Link } from 'react-router-dom';
+import HighlightedText from './highlightedtext.jsx';
+import { totalReactions, topReactions } from './reactionbar.jsx';
+import BookmarkButton from './bookmarkbutton.jsx';
 
 const PostCard = ({ post }) => {
   // CSS variables for consistent theming
@@ -31,6 +34,8 @@ const PostCard = ({ post }) => {
     return readingTime < 1 ? 1 : readingTime;
   };
 
+  const reactionTotal = totalReactions(post.reactionCounts);
+
   // Use excerpt if available, otherwise create one from content
   const getExcerpt = () => {
     if (post.excerpt) return post.excerpt;
@@ -72,15 +77,15 @@ const PostCard = ({ post }) => {
             <span className="text-sm text-[var(--primary-color)] font-semibold bg-blue-50 px-2 py-1 rounded-full">
               {post.category?.name}
             </span>
-            {/* Like/comment counts */}
-            {(post.likeCount > 0 || post.commentCount > 0) && (
+            {/* Reaction/comment counts */}
+            {(reactionTotal > 0 || post.commentCount > 0) && (
               <div className="flex items-center gap-3 text-xs text-[var(--text-light)]">
-                {post.likeCount > 0 && (
-                  <span className="flex items-center gap-1">
-                    <svg className="w-3 h-3" fill="currentColor" viewBox="0 0 20 20">
-                      <path d="M2 10.5a1.5 1.5 0 113 0v6a1.5 1.5 0 01-3 0v-6zM6 10.333v5.43a2 2 0 001.106 1.79l.05.025A4 4 0 008.943 18h5.416a2 2 0 001.962-1.608l1.2-6A2 2 0 0015.56 8H12V4a2 2 0 00-2-2 1 1 0 00-1 1v.667a4 4 0 01-.8 2.4L6.8 7.933a4 4 0 00-.8 2.4z"/>
-                    </svg>
-                    {post.likeCount}
+                {reactionTotal > 0 && (
+                  <span className="flex items-center gap-1" title={`${reactionTotal} reactions`}>
+                    <span aria-hidden="true">
+                      {topReactions(post.reactionCounts).map(reaction => reaction.emoji).join('')}
+                    </span>
+                    {reactionTotal}
                   </span>
                 )}
                 {post.commentCount > 0 && (
@@ -95,9 +100,12 @@ const PostCard = ({ post }) => {
             )}
           </div>
           
-          <span className="text-sm text-[var(--text-light)]">
-            {formatDate(post.createdAt)}
-          </span>
+          <div className="flex items-center gap-2">
+            <span className="text-sm text-[var(--text-light)]">
+              {formatDate(post.createdAt)}
+            </span>
+            <BookmarkButton post={post} compact />
+          </div>
         </div>
         
         <h2 className="text-xl font-bold mb-3 line-clamp-2 group">
@@ -105,12 +113,13 @@ const PostCard = ({ post }) => {
             to={`/posts/${post._id}`} 
             className="text-[var(--text-primary)] hover:text-[var(--primary-color)] transition-[var(--transition)] group-hover:underline decoration-2 underline-offset-2"
           >
-            {post.title}
+            {post.highlights?.title?.length ? <HighlightedText segments={post.highlights.title} /> : post.title}
           </Link>
         </h2>
         
         <p className="text-[var(--text-secondary)] mb-4 line-clamp-3 leading-relaxed">
-          {getExcerpt()}
+          {/* Search results show the matching part of the content instead of the excerpt */}
+          {post.highlights?.snippet?.length ? <HighlightedText segments={post.highlights.snippet} /> : getExcerpt()}
         </p>
         
         <div className="flex items-center justify-between pt-4 border-t border-gray-100">
@@ -123,7 +132,13 @@ const PostCard = ({ post }) => {
               />
             )}
             <span className="text-sm text-[var(--text-secondary)]">
-              By {post.author?.username}
+              By{' '}
+              <Link
+                to={`/authors/${post.author?.username}`}
+                className="hover:text-[var(--primary-color)] transition-[var(--transition)]"
+              >
+                {post.author?.displayName || post.author?.username}
+              </Link>
             </span>
           </div>
           
@@ -0,0 +1,70 @@
+import React, { useState } from 'react';
+
+// Must match Reaction.TYPES on the server
+export const REACTIONS = [
+  { type: 'like', emoji: '👍', label: 'Like' },
+  { type: 'love', emoji: '❤️', label: 'Love' },
+  { type: 'laugh', emoji: '😂', label: 'Haha' },
+  { type: 'wow', emoji: '😮', label: 'Wow' },
+  { type: 'sad', emoji: '😢', label: 'Sad' },
+  { type: 'celebrate', emoji: '🎉', label: 'Celebrate' }
+];
+
+export const totalReactions = (counts = {}) => {
+  return REACTIONS.reduce((total, reaction) => total + (counts[reaction.type] || 0), 0);
+};
+
+// The reactions people used most, for compact summaries
+export const topReactions = (counts = {}, limit = 3) => {
+  return REACTIONS
+    .filter(reaction => counts[reaction.type] > 0)
+    .sort((a, b) => counts[b.type] - counts[a.type])
+    .slice(0, limit);
+};
+
+// Reaction buttons for a post. Clicking your current reaction removes it.
+const ReactionBar = ({ counts = {}, viewerReaction, onReact, onRemove, disabled }) => {
+  const [pending, setPending] = useState(false);
+
+  const handleClick = async (type) => {
+    if (pending) return;
+    setPending(true);
+    try {
+      if (viewerReaction === type) {
+        await onRemove();
+      } else {
+        await onReact(type);
+      }
+    } finally {
+      setPending(false);
+    }
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      {REACTIONS.map(reaction => {
+        const active = viewerReaction === reaction.type;
+        return (
+          <button
+            key={reaction.type}
+            type="button"
+            onClick={() => handleClick(reaction.type)}
+            disabled={disabled || pending}
+            title={active ? `Remove ${reaction.label}` : reaction.label}
+            aria-pressed={active}
+            className={`flex items-center gap-1 px-3 py-2 rounded-lg border text-sm transition-colors disabled:opacity-60 ${
+              active
+                ? 'bg-primary-50 text-primary-700 border-primary-300'
+                : 'bg-gray-50 text-gray-600 border-gray-200 hover:bg-gray-100'
+            }`}
+          >
+            <span aria-hidden="true">{reaction.emoji}</span>
+            {counts[reaction.type] > 0 && <span>{counts[reaction.type]}</span>}
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+export default ReactionBar;
@@ -0,0 +1,205 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { postService } from '../../services/api.js';
+
+const FIELD_LABELS = {
+  title: 'Title',
+  category: 'Category',
+  tags: 'Tags',
+  excerpt: 'Excerpt',
+  content: 'Content'
+};
+
+const chunkStyles = {
+  added: 'bg-green-100 text-green-800',
+  removed: 'bg-red-100 text-red-800 line-through',
+  equal: ''
+};
+
+const formatDate = (dateString) => {
+  return new Date(dateString).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+const editorName = (editor) => editor?.displayName || editor?.username || 'Unknown';
+
+// Render one field's diff chunks inline, highlighting added and removed words
+const DiffText = ({ chunks }) => (
+  <p className="whitespace-pre-wrap break-words text-sm text-gray-700 leading-relaxed">
+    {chunks.map((chunk, index) => (
+      <span key={index} className={chunkStyles[chunk.type]}>{chunk.value}</span>
+    ))}
+  </p>
+);
+
+// Revision list and word-level diff viewer shown on the edit page
+const RevisionHistory = ({ postId, onRestore }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [against, setAgainst] = useState('');
+  const [diff, setDiff] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [restoring, setRestoring] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchRevisions = useCallback(async () => {
+    try {
+      const response = await postService.getRevisions(postId);
+      setRevisions(response.data);
+      setSelected(prev => prev ?? response.data[0]?.number ?? null);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not load revision history');
+    }
+  }, [postId]);
+
+  useEffect(() => {
+    fetchRevisions();
+  }, [fetchRevisions]);
+
+  useEffect(() => {
+    if (!selected) return;
+    const fetchDiff = async () => {
+      setLoading(true);
+      setError('');
+      try {
+        const response = await postService.getRevisionDiff(postId, selected, against || null);
+        setDiff(response.data);
+      } catch (err) {
+        setError(err.response?.data?.message || 'Could not load changes');
+      } finally {
+        setLoading(false);
+      }
+    };
+    fetchDiff();
+  }, [postId, selected, against]);
+
+  const selectRevision = (number) => {
+    setSelected(number);
+    setAgainst('');
+  };
+
+  const handleRestore = async () => {
+    if (!window.confirm(`Restore revision ${selected}? Your current version stays in the history.`)) return;
+    setRestoring(true);
+    setError('');
+    try {
+      const response = await postService.restoreRevision(postId, selected);
+      setSelected(response.revision);
+      setAgainst('');
+      await fetchRevisions();
+      onRestore?.(response.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Could not restore this revision');
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  const changedFields = diff
+    ? Object.keys(FIELD_LABELS).filter(field => diff.changes[field]?.some(chunk => chunk.type !== 'equal'))
+    : [];
+  const latest = revisions[0]?.number;
+  const olderRevisions = revisions.filter(revision => revision.number < selected);
+
+  return (
+    <div className="mt-8 pt-6 border-t border-gray-200">
+      <h3 className="text-xl font-semibold text-gray-800 mb-4">Revision History</h3>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded mb-4">{error}</div>
+      )}
+
+      {revisions.length === 0 ? (
+        <p className="text-gray-500 text-sm">No revisions yet. A revision is saved each time you update the post.</p>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+          {/* Revision list */}
+          <ul className="space-y-2 max-h-96 overflow-y-auto">
+            {revisions.map(revision => (
+              <li key={revision._id}>
+                <button
+                  type="button"
+                  onClick={() => selectRevision(revision.number)}
+                  className={`w-full text-left p-3 rounded-lg border transition-colors ${
+                    selected === revision.number
+                      ? 'border-primary-500 bg-primary-50'
+                      : 'border-gray-200 hover:bg-gray-50'
+                  }`}
+                >
+                  <div className="flex items-center justify-between">
+                    <span className="font-medium text-gray-800">#{revision.number}</span>
+                    {revision.number === latest && (
+                      <span className="text-xs bg-green-100 text-green-800 px-2 py-0.5 rounded-full">Current</span>
+                    )}
+                  </div>
+                  <p className="text-sm text-gray-600 truncate">{revision.title}</p>
+                  <p className="text-xs text-gray-500">
+                    {editorName(revision.editor)} · {formatDate(revision.createdAt)}
+                  </p>
+                  {revision.restoredFrom && (
+                    <p className="text-xs text-blue-600">Restored from #{revision.restoredFrom}</p>
+                  )}
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          {/* Diff viewer */}
+          <div className="md:col-span-2">
+            {diff && (
+              <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-4">
+                <div className="text-sm text-gray-600 flex items-center gap-2">
+                  <span>Changes in #{diff.to.number} compared to</span>
+                  <select
+                    value={against || diff.from?.number || ''}
+                    onChange={(e) => setAgainst(e.target.value)}
+                    disabled={olderRevisions.length === 0}
+                    className="form-select py-1 text-sm"
+                  >
+                    {olderRevisions.length === 0 && <option value="">nothing (first revision)</option>}
+                    {olderRevisions.map(revision => (
+                      <option key={revision._id} value={revision.number}>#{revision.number}</option>
+                    ))}
+                  </select>
+                </div>
+                {selected !== latest && (
+                  <button
+                    type="button"
+                    onClick={handleRestore}
+                    disabled={restoring}
+                    className="btn btn-outline text-sm"
+                  >
+                    {restoring ? 'Restoring...' : 'Restore this version'}
+                  </button>
+                )}
+              </div>
+            )}
+
+            {loading ? (
+              <div className="flex justify-center py-8">
+                <div className="loading-spinner"></div>
+              </div>
+            ) : diff && changedFields.length === 0 ? (
+              <p className="text-gray-500 text-sm">No changes between these revisions.</p>
+            ) : diff && (
+              <div className="space-y-4">
+                {changedFields.map(field => (
+                  <div key={field} className="bg-gray-50 rounded-lg p-4">
+                    <h4 className="text-sm font-semibold text-gray-700 mb-2">{FIELD_LABELS[field]}</h4>
+                    <DiffText chunks={diff.changes[field]} />
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RevisionHistory;
@@ -19,7 +19,22 @@ export const AuthProvider = ({ children }) => {
     setLoading(true);
     try {
       const response = await authService.login({ email, password });
-      setUser(response.user);
+      if (!response.data.twoFactorRequired) {
+        setUser(response.data.user);
+      }
+      return response;
+    } catch (error) {
+      throw error;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const completeTwoFactorLogin = async (challengeToken, codes) => {
+    setLoading(true);
+    try {
+      const response = await authService.loginTwoFactor(challengeToken, codes);
+      setUser(response.data.user);
       return response;
     } catch (error) {
       throw error;
@@ -32,7 +47,7 @@ export const AuthProvider = ({ children }) => {
     setLoading(true);
     try {
       const response = await authService.register(userData);
-      setUser(response.user);
+      setUser(response.data.user);
       return response;
     } catch (error) {
       throw error;
@@ -41,16 +56,34 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = () => {
-    authService.logout();
+  const logout = async () => {
+    await authService.logout();
     setUser(null);
   };
 
+  // Merge fresh user fields from the server into the stored session
+  const updateUser = (updates) => {
+    setUser(prev => {
+      const nextUser = { ...prev, ...updates };
+      localStorage.setItem('user', JSON.stringify(nextUser));
+      return nextUser;
+    });
+  };
+
+  // Check a permission granted by the user's role (admins hold '*')
+  const can = (permission) => {
+    const permissions = user?.permissions || [];
+    return permissions.includes('*') || permissions.includes(permission);
+  };
+
   const value = {
     user,
+    can,
     login,
+    completeTwoFactorLogin,
     register,
     logout,
+    updateUser,
     loading
   };
 
@@ -0,0 +1,165 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import PostCard from '../components/post/postcard.jsx';
+import { userService } from '../services/api.js';
+import { useApi } from '../hooks/useAPi.js';
+import { useAuth } from '../context/auth.context.jsx';
+
+const socialLabels = {
+  twitter: 'Twitter',
+  github: 'GitHub',
+  linkedin: 'LinkedIn'
+};
+
+const AuthorProfile = () => {
+  const { username } = useParams();
+  const { user } = useAuth();
+  const { loading, error, callApi } = useApi();
+  const [profile, setProfile] = useState(null);
+  const [stats, setStats] = useState(null);
+  const [posts, setPosts] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [page, setPage] = useState(1);
+
+  useEffect(() => {
+    setPage(1);
+  }, [username]);
+
+  useEffect(() => {
+    const fetchProfile = async () => {
+      try {
+        const response = await callApi(userService.getProfile, username, page);
+        setProfile(response.data.profile);
+        setStats(response.data.stats);
+        setPosts(response.data.posts);
+        setPagination(response.pagination);
+      } catch (err) {
+        // Error is shown by useApi
+      }
+    };
+
+    fetchProfile();
+  }, [username, page, callApi]);
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'long'
+    });
+  };
+
+  if (loading && !profile) {
+    return (
+      <div className="flex justify-center items-center h-64">
+        <div className="loading-spinner"></div>
+      </div>
+    );
+  }
+
+  if (error && !profile) {
+    return (
+      <div className="text-center py-16">
+        <h2 className="text-2xl font-bold text-gray-800 mb-2">Author not found</h2>
+        <p className="text-gray-600 mb-6">{error}</p>
+        <Link to="/" className="btn btn-primary">Back to home</Link>
+      </div>
+    );
+  }
+
+  if (!profile) {
+    return null;
+  }
+
+  const isOwnProfile = user && user.id === profile.id;
+  const socialLinks = Object.entries(profile.socialLinks).filter(([, url]) => url);
+
+  return (
+    <div className="fade-in">
+      {/* Profile Header */}
+      <div className="flex flex-col md:flex-row items-center md:items-start gap-6 pb-8 mb-8 border-b border-gray-200">
+        {profile.avatar ? (
+          <img
+            src={`http://localhost:5000${profile.avatar}`}
+            alt={profile.username}
+            className="w-28 h-28 rounded-full object-cover"
+          />
+        ) : (
+          <div className="w-28 h-28 bg-gradient-primary rounded-full flex items-center justify-center text-white text-4xl font-semibold">
+            {profile.username.charAt(0).toUpperCase()}
+          </div>
+        )}
+
+        <div className="flex-1 text-center md:text-left">
+          <div className="flex flex-col md:flex-row md:items-center gap-2 md:gap-4 mb-2">
+            <h1 className="text-3xl font-bold text-gray-900">{profile.displayName}</h1>
+            {isOwnProfile && (
+              <Link to="/profile" className="btn btn-outline text-sm">Edit profile</Link>
+            )}
+          </div>
+          <p className="text-gray-500 mb-3">@{profile.username} · Joined {formatDate(profile.joinedAt)}</p>
+          {profile.bio && <p className="text-gray-700 mb-4 whitespace-pre-line">{profile.bio}</p>}
+
+          <div className="flex flex-wrap justify-center md:justify-start gap-4 text-sm">
+            {profile.website && (
+              <a href={profile.website} target="_blank" rel="noopener noreferrer" className="text-primary-600 hover:text-primary-700">
+                {profile.website.replace(/^https?:\/\//, '')}
+              </a>
+            )}
+            {socialLinks.map(([network, url]) => (
+              <a key={network} href={url} target="_blank" rel="noopener noreferrer" className="text-primary-600 hover:text-primary-700">
+                {socialLabels[network]}
+              </a>
+            ))}
+          </div>
+        </div>
+
+        {/* Stats */}
+        <div className="flex gap-8 text-center">
+          <div>
+            <div className="text-2xl font-bold text-gray-900">{stats.posts}</div>
+            <div className="text-sm text-gray-500">Posts</div>
+          </div>
+          <div>
+            <div className="text-2xl font-bold text-gray-900">{stats.views}</div>
+            <div className="text-sm text-gray-500">Views</div>
+          </div>
+        </div>
+      </div>
+
+      {/* Posts */}
+      <h2 className="text-2xl font-bold text-gray-800 mb-6">Published Posts</h2>
+      {posts.length === 0 ? (
+        <p className="text-gray-500 text-center py-12">No published posts yet.</p>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+          {posts.map(post => (
+            <PostCard key={post._id} post={{ ...post, author: profile }} />
+          ))}
+        </div>
+      )}
+
+      {/* Pagination */}
+      {pagination && pagination.pages > 1 && (
+        <div className="flex justify-center items-center gap-4 mt-8">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={page <= 1}
+            className="btn btn-outline disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span className="text-gray-600">Page {page} of {pagination.pages}</span>
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={page >= pagination.pages}
+            className="btn btn-outline disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AuthorProfile;
@@ -1,8 +1,9 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/auth.context.jsx';
-import { postAPI, categoryAPI } from '../services/api';
+import { postService, categoryService } from '../services/api';
 import { useApi } from '../hooks/useAPi.js';
+import HoneypotField, { HONEYPOT_FIELD } from '../components/post/honeypotfield.jsx';
 
 // Utility functions
 const generateExcerpt = (content, maxLength = 200) => {
@@ -54,6 +55,15 @@ const MarkdownPreview = ({ content }) => {
 };
 
 // SEO Preview Component
+// Preview of the slug the server will generate; accents are dropped so "Crème" becomes "creme"
+const slugify = (text) => text
+  .toLowerCase()
+  .replace(/['’]/g, '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
 const SEOPreview = ({ title, excerpt, slug }) => {
   return (
     <div className="bg-white border border-gray-200 rounded-lg p-4 max-w-md">
@@ -88,6 +98,8 @@ const CreatePost = () => {
   const [imageGallery, setImageGallery] = useState([]);
   const [formErrors, setFormErrors] = useState({});
   const [autoGenerateExcerpt, setAutoGenerateExcerpt] = useState(true);
+  // Once the author types a slug it stops following the title
+  const [slugEdited, setSlugEdited] = useState(false);
   const [showMarkdownPreview, setShowMarkdownPreview] = useState(false);
   const [showSEOPreview, setShowSEOPreview] = useState(false);
   const [editorMode, setEditorMode] = useState('markdown'); // 'markdown' or 'rich'
@@ -123,16 +135,12 @@ const CreatePost = () => {
     };
   }, [formData]);
 
-  // Auto-generate slug from title
+  // Auto-generate slug from title until the author edits it
   useEffect(() => {
-    if (formData.title && !formData.slug) {
-      const slug = formData.title
-        .toLowerCase()
-        .replace(/[^\w ]+/g, '')
-        .replace(/ +/g, '-');
-      setFormData(prev => ({ ...prev, slug }));
+    if (!slugEdited) {
+      setFormData(prev => ({ ...prev, slug: slugify(prev.title) }));
     }
-  }, [formData.title]);
+  }, [formData.title, slugEdited]);
 
   // Auto-generate meta description from excerpt
   useEffect(() => {
@@ -151,7 +159,7 @@ const CreatePost = () => {
   }, [user, navigate]);
 
   const fetchCategories = async () => {
-    const response = await callApi(categoryAPI.getCategories);
+    const response = await callApi(categoryService.getAllCategories);
     if (response) {
       setCategories(response.data);
     }
@@ -193,6 +201,11 @@ const CreatePost = () => {
       [name]: value
     }));
 
+    // Clearing the slug hands it back to the title
+    if (name === 'slug') {
+      setSlugEdited(value.length > 0);
+    }
+
     // Clear error when user starts typing
     if (formErrors[name]) {
       setFormErrors(prev => ({
@@ -337,8 +350,8 @@ const CreatePost = () => {
       errors.excerpt = 'Excerpt cannot be more than 200 characters';
     }
 
-    if (formData.slug && !/^[a-z0-9-]+$/.test(formData.slug)) {
-      errors.slug = 'Slug can only contain lowercase letters, numbers, and hyphens';
+    if (slugEdited && formData.slug && !/^[a-z0-9]+(-[a-z0-9]+)*$/.test(formData.slug)) {
+      errors.slug = 'Slug can only contain lowercase letters, numbers, and single hyphens';
     }
 
     setFormErrors(errors);
@@ -360,11 +373,16 @@ const CreatePost = () => {
       postData.append('tags', formData.tags);
       postData.append('excerpt', formData.excerpt);
       postData.append('metaDescription', formData.metaDescription);
-      postData.append('slug', formData.slug);
+      // The server makes generated slugs unique, so only send one the author chose
+      if (slugEdited) {
+        postData.append('slug', formData.slug);
+      }
       postData.append('isPublished', formData.isPublished.toString());
+      postData.append(HONEYPOT_FIELD, e.target.elements[HONEYPOT_FIELD].value);
       
       if (formData.publishAt) {
-        postData.append('publishAt', formData.publishAt);
+        // datetime-local has no timezone, so send the user's local time as UTC
+        postData.append('publishAt', new Date(formData.publishAt).toISOString());
       }
       
       if (formData.featuredImage) {
@@ -376,8 +394,12 @@ const CreatePost = () => {
         postData.append('galleryImages', image.file);
       });
 
-      await callApi(postAPI.createPost, postData);
+      const response = await callApi(postService.createPost, postData);
       clearDraft(); // Clear draft on successful submission
+      // Posts the spam checks hold are saved as drafts until an editor approves them
+      if (response.data?.moderation?.status === 'held') {
+        window.alert(response.message);
+      }
       navigate('/');
     } catch (error) {
       console.error('Create post error:', error);
@@ -475,6 +497,7 @@ const CreatePost = () => {
       )}
 
       <form onSubmit={handleSubmit} className="p-6 space-y-8">
+        <HoneypotField />
         {/* Title & Basic Info */}
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
           <div className="lg:col-span-2 space-y-6">
@@ -519,8 +542,10 @@ const CreatePost = () => {
                   placeholder="url-slug"
                 />
               </div>
-              {formErrors.slug && (
+              {formErrors.slug ? (
                 <span className="form-error">{formErrors.slug}</span>
+              ) : !slugEdited && (
+                <p className="text-sm text-gray-500 mt-1">Generated from the title. A number is added if another post already uses it.</p>
               )}
             </div>
           </div>
@@ -1,20 +1,30 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
 import { useAuth } from '../context/auth.context.jsx';
-import { postAPI, categoryAPI } from '../services/api';
+import { postService, categoryService } from '../services/api';
 import { useApi } from '../hooks/useAPi.js';
+import RevisionHistory from '../components/post/revisionhistory.jsx';
+
+// Format a date for a datetime-local input in the user's timezone
+const toLocalInputValue = (date) => {
+  const value = new Date(date);
+  return new Date(value.getTime() - value.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
 
 const EditPost = () => {
   const { id } = useParams();
   const [formData, setFormData] = useState({
     title: '',
+    slug: '',
     content: '',
     category: '',
     tags: '',
     excerpt: '',
     isPublished: true,
+    publishAt: '',
     featuredImage: null
   });
+  const [scheduledFor, setScheduledFor] = useState(null);
   const [postStats, setPostStats] = useState({
     likes: 0,
     comments: 0,
@@ -77,23 +87,26 @@ const EditPost = () => {
 
   const fetchPost = async () => {
     try {
-      const response = await callApi(postAPI.getPost, id);
+      const response = await callApi(postService.getPost, id);
       if (response) {
         const post = response.data;
         setFormData({
           title: post.title || '',
+          slug: post.slug || '',
           content: post.content || '',
           category: post.category?._id || '',
           tags: post.tags?.join(', ') || '',
           excerpt: post.excerpt || '',
-          isPublished: post.isPublished || true,
+          isPublished: post.isPublished,
+          publishAt: post.publishAt ? toLocalInputValue(post.publishAt) : '',
           featuredImage: null
         });
+        setScheduledFor(!post.isPublished && post.publishAt ? post.publishAt : null);
 
         // Set post statistics
         setPostStats({
           likes: post.likes || 0,
-          comments: post.comments || 0,
+          comments: post.commentCount || 0,
           readingTime: calculateReadingTime(post.content || '')
         });
         
@@ -116,7 +129,7 @@ const EditPost = () => {
   };
 
   const fetchCategories = async () => {
-    const response = await callApi(categoryAPI.getCategories);
+    const response = await callApi(categoryService.getAllCategories);
     if (response) {
       setCategories(response.data);
     }
@@ -228,6 +241,10 @@ const EditPost = () => {
       errors.excerpt = 'Excerpt cannot be more than 200 characters';
     }
 
+    if (formData.slug && !/^[a-z0-9]+(-[a-z0-9]+)*$/.test(formData.slug)) {
+      errors.slug = 'Slug can only contain lowercase letters, numbers, and single hyphens';
+    }
+
     setFormErrors(errors);
     return Object.keys(errors).length === 0;
   };
@@ -242,17 +259,21 @@ const EditPost = () => {
     try {
       const postData = new FormData();
       postData.append('title', formData.title);
+      // Sending the current slug keeps it when the title changes; empty regenerates it
+      postData.append('slug', formData.slug);
       postData.append('content', formData.content);
       postData.append('category', formData.category);
       postData.append('tags', formData.tags);
       postData.append('excerpt', formData.excerpt);
       postData.append('isPublished', formData.isPublished.toString());
+      // An empty publishAt cancels any existing schedule
+      postData.append('publishAt', formData.publishAt ? new Date(formData.publishAt).toISOString() : '');
       
       if (formData.featuredImage) {
         postData.append('featuredImage', formData.featuredImage);
       }
 
-      await callApi(postAPI.updatePost, id, postData);
+      await callApi(postService.updatePost, id, postData);
       navigate(`/posts/${id}`);
     } catch (error) {
       console.error('Update post error:', error);
@@ -375,6 +396,30 @@ const EditPost = () => {
           </div>
         </div>
 
+        {/* Slug Field */}
+        <div className="form-group">
+          <label className="form-label" htmlFor="slug">
+            URL Slug
+          </label>
+          <div className="flex items-center">
+            <span className="text-gray-500 mr-2">/posts/</span>
+            <input
+              type="text"
+              id="slug"
+              name="slug"
+              value={formData.slug}
+              onChange={handleChange}
+              className={`form-input flex-1 ${formErrors.slug ? 'border-red-500' : ''}`}
+              placeholder="leave empty to generate from the title"
+            />
+          </div>
+          {formErrors.slug ? (
+            <span className="form-error">{formErrors.slug}</span>
+          ) : (
+            <p className="text-sm text-gray-500 mt-1">Links to the old slug keep working after a change.</p>
+          )}
+        </div>
+
         {/* Category Field */}
         <div className="form-group">
           <label className="form-label" htmlFor="category">
@@ -580,8 +625,8 @@ const EditPost = () => {
               <input
                 type="radio"
                 name="publishOption"
-                checked={formData.isPublished}
-                onChange={() => setFormData(prev => ({ ...prev, isPublished: true }))}
+                checked={formData.isPublished && !formData.publishAt}
+                onChange={() => setFormData(prev => ({ ...prev, isPublished: true, publishAt: '' }))}
                 className="mt-1 text-primary-600 focus:ring-primary-500 hover:ring-2 hover:ring-primary-200 transition-all"
               />
               <div>
@@ -594,15 +639,48 @@ const EditPost = () => {
               <input
                 type="radio"
                 name="publishOption"
-                checked={!formData.isPublished}
-                onChange={() => setFormData(prev => ({ ...prev, isPublished: false }))}
+                checked={!formData.isPublished && !formData.publishAt}
+                onChange={() => setFormData(prev => ({ ...prev, isPublished: false, publishAt: '' }))}
                 className="mt-1 text-primary-600 focus:ring-primary-500 hover:ring-2 hover:ring-primary-200 transition-all"
               />
               <div>
-                <span className="font-medium text-gray-700">Save as draft</span>
+                <span className="font-medium text-gray-700">
+                  {scheduledFor ? 'Cancel schedule and save as draft' : 'Save as draft'}
+                </span>
                 <p className="text-sm text-gray-500 mt-1">Your post will be saved but not published.</p>
               </div>
             </label>
+
+            <label className="flex items-start space-x-3 cursor-pointer p-3 rounded-lg hover:bg-white transition-colors duration-200">
+              <input
+                type="radio"
+                name="publishOption"
+                checked={!!formData.publishAt}
+                onChange={() => setFormData(prev => ({
+                  ...prev,
+                  isPublished: false,
+                  publishAt: scheduledFor ? toLocalInputValue(scheduledFor) : toLocalInputValue(Date.now() + 60 * 60 * 1000)
+                }))}
+                className="mt-1 text-primary-600 focus:ring-primary-500 hover:ring-2 hover:ring-primary-200 transition-all"
+              />
+              <div className="flex-1">
+                <span className="font-medium text-gray-700">{scheduledFor ? 'Reschedule publication' : 'Schedule publication'}</span>
+                <div className="mt-2">
+                  <input
+                    type="datetime-local"
+                    value={formData.publishAt}
+                    onChange={(e) => setFormData(prev => ({ ...prev, isPublished: false, publishAt: e.target.value }))}
+                    min={toLocalInputValue(Date.now())}
+                    className="form-input"
+                  />
+                </div>
+                <p className="text-sm text-gray-500 mt-1">
+                  {scheduledFor
+                    ? `Currently scheduled for ${new Date(scheduledFor).toLocaleString()}.`
+                    : 'Your post will be published at the specified date and time.'}
+                </p>
+              </div>
+            </label>
           </div>
         </div>
 
@@ -623,7 +701,7 @@ const EditPost = () => {
                 <svg className="w-5 h-5 mr-2 group-hover:scale-110 transition-transform" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
                 </svg>
-                {formData.isPublished ? 'Update Post' : 'Save as Draft'}
+                {formData.publishAt ? 'Save Schedule' : formData.isPublished ? 'Update Post' : 'Save as Draft'}
               </>
             )}
           </button>
@@ -652,6 +730,9 @@ const EditPost = () => {
           </button>
         </div>
       </form>
+
+      {/* Revision History - restoring reloads the form with the restored content */}
+      <RevisionHistory postId={id} onRestore={fetchPost} />
     </div>
   );
 };
@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { authService } from '../services/api.js';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [formError, setFormError] = useState('');
+  const [submitted, setSubmitted] = useState(false);
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setFormError('');
+
+    if (!email) {
+      setFormError('Please enter your email address');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await authService.forgotPassword(email);
+      setSubmitted(true);
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Could not send reset link. Please try again.';
+      setFormError(errorMessage);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="max-w-md mx-auto bg-white p-8 rounded-lg shadow-lg fade-in">
+      {/* Header */}
+      <div className="text-center mb-8">
+        <h2 className="text-3xl font-bold text-gray-800 mb-2">Forgot Password</h2>
+        <p className="text-gray-600">Enter your email and we'll send you a link to reset your password</p>
+      </div>
+
+      {submitted ? (
+        <div className="bg-green-50 border border-green-200 rounded-lg p-4 mb-6">
+          <p className="text-green-800 text-sm">
+            If an account exists for <strong>{email}</strong>, a reset link is on its way. The link expires in one hour.
+          </p>
+        </div>
+      ) : (
+        <>
+          {/* Error Message */}
+          {formError && (
+            <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
+              <p className="text-red-800 text-sm">{formError}</p>
+            </div>
+          )}
+
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div className="form-group">
+              <label className="form-label" htmlFor="email">
+                Email Address *
+              </label>
+              <input
+                type="email"
+                id="email"
+                name="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                required
+                className="form-input"
+                placeholder="Enter your email address"
+              />
+            </div>
+
+            <button
+              type="submit"
+              disabled={loading}
+              className="btn btn-primary w-full"
+            >
+              {loading ? (
+                <>
+                  <div className="loading-spinner mr-2"></div>
+                  Sending...
+                </>
+              ) : (
+                'Send Reset Link'
+              )}
+            </button>
+          </form>
+        </>
+      )}
+
+      {/* Footer Links */}
+      <div className="mt-6 text-center">
+        <Link 
+          to="/login" 
+          className="text-primary-600 hover:text-primary-700 font-semibold transition-colors"
+        >
+          Back to sign in
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
@@ -1,6 +1,6 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import PostCard from '../components/post/postcard.jsx';
-import { postAPI, categoryAPI } from '../services/api';
+import { postService, categoryService } from '../services/api';
 import { useApi } from '../hooks/useAPi.js';
 
 // Debounce hook for search input
@@ -62,17 +62,30 @@ const Home = () => {
   const [searchTerm, setSearchTerm] = useState('');
   const [sortBy, setSortBy] = useState('newest');
   const [pagination, setPagination] = useState({});
+  // Infinite scroll appends batches instead of showing numbered pages
+  const [infiniteScroll, setInfiniteScroll] = useState(
+    () => localStorage.getItem('homeInfiniteScroll') === 'true'
+  );
   const { loading, error, callApi } = useApi();
+  const loadMoreRef = useRef(null);
 
   const debouncedSearchTerm = useDebounce(searchTerm, 500);
 
-  const fetchPosts = useCallback(async (page = 1) => {
+  // `after` continues from a cursor; `append` adds the results to the current list
+  const fetchPosts = useCallback(async (page = 1, { after, append = false } = {}) => {
     const params = { 
-      page, 
       limit: 9,
       category: selectedCategory || null
     };
 
+    // Date-ordered lists page by cursor when scrolling, so new posts don't shift the batches.
+    // Popular posts have no cursor and fall back to page numbers.
+    if (infiniteScroll && sortBy !== 'popular') {
+      params.after = after || '';
+    } else {
+      params.page = page;
+    }
+
     // Add sorting
     if (sortBy === 'popular') {
       params.sort = '-viewCount';
@@ -82,28 +95,33 @@ const Home = () => {
       params.sort = '-createdAt'; // newest
     }
 
-    const response = await callApi(postAPI.getPosts, params);
+    const response = await callApi(postService.getAllPosts, params);
     if (response) {
-      setPosts(response.data);
+      setPosts(prev => (append ? [...prev, ...response.data] : response.data));
       setPagination(response.pagination || {});
     }
-  }, [selectedCategory, sortBy, callApi]);
+  }, [selectedCategory, sortBy, infiniteScroll, callApi]);
 
   const fetchCategories = async () => {
-    const response = await callApi(categoryAPI.getCategories);
+    const response = await callApi(categoryService.getAllCategories);
     if (response) {
       setCategories(response.data);
     }
   };
 
+  // Results come back ranked by relevance with highlighted snippets
+  const searchPosts = async (page = 1, append = false) => {
+    const response = await callApi(postService.searchPosts, debouncedSearchTerm, { page, limit: 9 });
+    if (response) {
+      setPosts(prev => (append ? [...prev, ...response.data] : response.data));
+      setPagination(response.pagination || {});
+    }
+  };
+
   const handleSearch = async (e) => {
     e.preventDefault();
     if (debouncedSearchTerm.trim()) {
-      const response = await callApi(postAPI.searchPosts, debouncedSearchTerm);
-      if (response) {
-        setPosts(response.data);
-        setPagination({});
-      }
+      searchPosts(1);
     } else {
       fetchPosts(1);
     }
@@ -128,10 +146,44 @@ const Home = () => {
   }, []);
 
   const handlePageChange = (page) => {
-    fetchPosts(page);
+    if (debouncedSearchTerm.trim()) {
+      searchPosts(page);
+    } else {
+      fetchPosts(page);
+    }
     window.scrollTo({ top: 0, behavior: 'smooth' });
   };
 
+  const hasMore = Boolean(pagination.nextCursor) || (pagination.page && pagination.page < pagination.pages);
+
+  const loadMore = () => {
+    if (loading || !hasMore) return;
+    if (debouncedSearchTerm.trim()) {
+      searchPosts(pagination.page + 1, true);
+    } else if (pagination.nextCursor) {
+      fetchPosts(1, { after: pagination.nextCursor, append: true });
+    } else {
+      fetchPosts(pagination.page + 1, { append: true });
+    }
+  };
+
+  // Load the next batch when the sentinel below the grid scrolls into view
+  useEffect(() => {
+    if (!infiniteScroll || !loadMoreRef.current) return;
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        loadMore();
+      }
+    }, { rootMargin: '200px' });
+    observer.observe(loadMoreRef.current);
+    return () => observer.disconnect();
+  });
+
+  const toggleInfiniteScroll = () => {
+    localStorage.setItem('homeInfiniteScroll', String(!infiniteScroll));
+    setInfiniteScroll(prev => !prev);
+  };
+
   const handleSortChange = (e) => {
     setSortBy(e.target.value);
   };
@@ -216,6 +268,14 @@ const Home = () => {
                 <option value="popular">Most Popular</option>
               </select>
 
+              <button
+                onClick={toggleInfiniteScroll}
+                className="btn btn-ghost text-sm"
+                title={infiniteScroll ? 'Show numbered pages' : 'Load more posts as you scroll'}
+              >
+                {infiniteScroll ? 'Use Pages' : 'Infinite Scroll'}
+              </button>
+
               {hasActiveFilters && (
                 <button
                   onClick={clearFilters}
@@ -282,8 +342,21 @@ const Home = () => {
             ))}
           </div>
 
+          {/* Infinite Scroll Sentinel */}
+          {infiniteScroll && (
+            <div ref={loadMoreRef} className="flex justify-center py-8">
+              {loading ? (
+                <div className="loading-spinner"></div>
+              ) : hasMore ? (
+                <button onClick={loadMore} className="btn btn-outline">Load More</button>
+              ) : (
+                <span className="text-sm text-gray-500">You&apos;ve reached the end</span>
+              )}
+            </div>
+          )}
+
           {/* Enhanced Pagination */}
-          {pagination && pagination.pages > 1 && (
+          {!infiniteScroll && pagination && pagination.pages > 1 && (
             <div className="flex flex-col sm:flex-row items-center justify-between gap-4 mt-12 p-6 bg-gray-50 rounded-lg border border-gray-200">
               {/* Page Info */}
               <div className="text-sm text-gray-600">
@@ -2,6 +2,12 @@ import React, { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/auth.context.jsx';
 
+// Turn a 423 lockout response into a message with the remaining wait time
+const getLockoutMessage = (data) => {
+  const minutes = Math.max(1, Math.ceil((data.retryAfter || 0) / 60));
+  return `${data.message}. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`;
+};
+
 const Login = () => {
   const [formData, setFormData] = useState({
     email: '',
@@ -10,8 +16,11 @@ const Login = () => {
   });
   const [showPassword, setShowPassword] = useState(false);
   const [formError, setFormError] = useState('');
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
   
-  const { login, loading } = useAuth();
+  const { login, completeTwoFactorLogin, loading } = useAuth();
   const navigate = useNavigate();
 
   const handleChange = (e) => {
@@ -42,14 +51,144 @@ const Login = () => {
     }
 
     try {
-      await login(formData.email, formData.password);
+      const response = await login(formData.email, formData.password);
+      if (response.data.twoFactorRequired) {
+        setChallengeToken(response.data.challengeToken);
+        return;
+      }
       navigate('/');
     } catch (error) {
+      if (error.response?.status === 423) {
+        setFormError(getLockoutMessage(error.response.data));
+        return;
+      }
       const errorMessage = error.response?.data?.message || 'Login failed. Please check your credentials.';
       setFormError(errorMessage);
     }
   };
 
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+    setFormError('');
+
+    if (!twoFactorCode.trim()) {
+      setFormError(useRecoveryCode ? 'Please enter a recovery code' : 'Please enter your authentication code');
+      return;
+    }
+
+    try {
+      const codes = useRecoveryCode
+        ? { recoveryCode: twoFactorCode.trim() }
+        : { code: twoFactorCode.trim() };
+      await completeTwoFactorLogin(challengeToken, codes);
+      navigate('/');
+    } catch (error) {
+      if (error.response?.status === 423) {
+        cancelTwoFactor();
+        setFormError(getLockoutMessage(error.response.data));
+        return;
+      }
+      // An expired challenge means starting over from the password step
+      if (error.response?.status === 401 && /challenge/i.test(error.response?.data?.message || '')) {
+        setChallengeToken(null);
+        setTwoFactorCode('');
+      }
+      const errorMessage = error.response?.data?.message || 'Verification failed. Please try again.';
+      setFormError(errorMessage);
+    }
+  };
+
+  const cancelTwoFactor = () => {
+    setChallengeToken(null);
+    setTwoFactorCode('');
+    setUseRecoveryCode(false);
+    setFormError('');
+  };
+
+  // Second step for accounts with two-factor authentication
+  if (challengeToken) {
+    return (
+      <div className="max-w-md mx-auto bg-white p-8 rounded-lg shadow-lg fade-in">
+        {/* Header */}
+        <div className="text-center mb-8">
+          <h2 className="text-3xl font-bold text-gray-800 mb-2">Two-Factor Authentication</h2>
+          <p className="text-gray-600">
+            {useRecoveryCode
+              ? 'Enter one of the recovery codes you saved when enabling two-factor authentication'
+              : 'Enter the 6-digit code from your authenticator app'}
+          </p>
+        </div>
+
+        {/* Error Message */}
+        {formError && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
+            <p className="text-red-800 text-sm">{formError}</p>
+          </div>
+        )}
+
+        <form onSubmit={handleTwoFactorSubmit} className="space-y-4">
+          <div className="form-group">
+            <label className="form-label" htmlFor="twoFactorCode">
+              {useRecoveryCode ? 'Recovery Code *' : 'Authentication Code *'}
+            </label>
+            <input
+              type="text"
+              id="twoFactorCode"
+              name="twoFactorCode"
+              value={twoFactorCode}
+              onChange={(e) => setTwoFactorCode(e.target.value)}
+              inputMode={useRecoveryCode ? 'text' : 'numeric'}
+              autoComplete="one-time-code"
+              autoFocus
+              required
+              className="form-input text-center tracking-widest"
+              placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+            />
+          </div>
+
+          <button
+            type="submit"
+            disabled={loading}
+            className="btn btn-primary w-full"
+          >
+            {loading ? (
+              <>
+                <div className="loading-spinner mr-2"></div>
+                Verifying...
+              </>
+            ) : (
+              'Verify'
+            )}
+          </button>
+        </form>
+
+        {/* Footer Links */}
+        <div className="mt-6 text-center space-y-3">
+          <button
+            type="button"
+            onClick={() => {
+              setUseRecoveryCode(!useRecoveryCode);
+              setTwoFactorCode('');
+              setFormError('');
+            }}
+            className="text-sm text-primary-600 hover:text-primary-700 transition-colors"
+          >
+            {useRecoveryCode ? 'Use authenticator code instead' : 'Use a recovery code instead'}
+          </button>
+          <div>
+            <button
+              type="button"
+              onClick={cancelTwoFactor}
+              className="text-sm text-gray-500 hover:text-gray-700 transition-colors"
+            >
+              Back to sign in
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="max-w-md mx-auto bg-white p-8 rounded-lg shadow-lg fade-in">
       {/* Header */}
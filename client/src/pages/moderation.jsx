@@ -0,0 +1,425 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/auth.context.jsx';
+import { commentService, spamService } from '../services/api.js';
+import { useApi } from '../hooks/useAPi.js';
+
+// Comment queues are for moderators; held posts are reviewed by editors
+const TABS = [
+  { key: 'pending', label: 'Pending', permission: 'comments:moderate' },
+  { key: 'reported', label: 'Reported', permission: 'comments:moderate' },
+  { key: 'spam', label: 'Spam', permission: 'comments:moderate' },
+  { key: 'hidden', label: 'Rejected', permission: 'comments:moderate' },
+  { key: 'bans', label: 'Banned Users', permission: 'comments:moderate' },
+  { key: 'posts', label: 'Held Posts', permission: 'posts:update:any' }
+];
+
+const statusStyles = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-green-100 text-green-800',
+  spam: 'bg-red-100 text-red-800',
+  hidden: 'bg-gray-100 text-gray-700'
+};
+
+const formatDate = (dateString) => {
+  return new Date(dateString).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+const displayName = (person) => person?.displayName || person?.username || 'Unknown User';
+
+// Bans without an end date last until lifted
+const isBanned = (ban) => Boolean(ban?.createdAt) && (!ban.until || new Date(ban.until) > new Date());
+
+// Why the spam checks scored a comment or post the way they did
+const SpamReasons = ({ spam }) => {
+  if (!spam?.reasons?.length) return null;
+
+  return (
+    <div className="mt-2 text-sm bg-red-50 border-l-4 border-red-300 px-3 py-2 rounded-r">
+      <p className="font-medium text-red-800">Spam score {spam.score}</p>
+      <ul className="text-red-700">
+        {spam.reasons.map(reason => (
+          <li key={reason.rule}>
+            {reason.detail} (+{reason.score})
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+const Moderation = () => {
+  const { user, can } = useAuth();
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { loading, error, callApi } = useApi();
+  const [comments, setComments] = useState([]);
+  const [bans, setBans] = useState([]);
+  const [heldPosts, setHeldPosts] = useState([]);
+  const [counts, setCounts] = useState({ pending: 0, reported: 0, spam: 0, hidden: 0, posts: 0 });
+  const [pagination, setPagination] = useState(null);
+  const [selected, setSelected] = useState([]);
+  const [actionError, setActionError] = useState('');
+
+  const tabs = user ? TABS.filter(tab => can(tab.permission)) : [];
+  const defaultTab = tabs[0]?.key;
+  const status = searchParams.get('status') || defaultTab;
+  const page = parseInt(searchParams.get('page')) || 1;
+  const isModerator = tabs.length > 0;
+
+  const updateParams = (updates) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(updates).forEach(([key, value]) => {
+      if (value) next.set(key, value);
+      else next.delete(key);
+    });
+    setSearchParams(next);
+  };
+
+  const fetchQueue = useCallback(async () => {
+    try {
+      if (status === 'bans') {
+        const response = await callApi(commentService.getBans);
+        setBans(response.data);
+      } else if (status === 'posts') {
+        const response = await callApi(spamService.getHeldPosts, { page });
+        setHeldPosts(response.data);
+        setCounts(prev => ({ ...prev, posts: response.pagination.total }));
+        setPagination(response.pagination);
+      } else {
+        const response = await callApi(commentService.getModerationQueue, { status, page });
+        setComments(response.data);
+        setCounts(response.counts);
+        setPagination(response.pagination);
+      }
+      setSelected([]);
+    } catch (err) {
+      // Error is shown by useApi
+    }
+  }, [callApi, status, page]);
+
+  useEffect(() => {
+    if (!user) {
+      navigate('/login');
+      return;
+    }
+    if (isModerator) {
+      fetchQueue();
+    }
+  }, [user, isModerator, navigate, fetchQueue]);
+
+  // Run an action, then reload so the queue and its counts stay in sync
+  const runAction = async (action) => {
+    setActionError('');
+    try {
+      await action();
+      await fetchQueue();
+    } catch (err) {
+      const message = err.response?.data?.errors?.[0]?.msg || err.response?.data?.message;
+      setActionError(message || 'Action failed. Please try again.');
+    }
+  };
+
+  const moderate = (ids, action) => runAction(() => commentService.moderate(ids, action));
+
+  const reviewPost = (id, action) => runAction(() => spamService.reviewPost(id, action));
+
+  const handleBan = (author) => {
+    const days = window.prompt(`Ban ${displayName(author)} from commenting for how many days? Leave empty for no end date.`);
+    if (days === null) return;
+    const reason = window.prompt('Reason (optional)') || '';
+    runAction(() => commentService.banUser({ user: author._id, days: days.trim(), reason }));
+  };
+
+  const handleUnban = (bannedUser) => {
+    if (!window.confirm(`Let ${displayName(bannedUser)} comment again?`)) return;
+    runAction(() => commentService.unbanUser(bannedUser._id));
+  };
+
+  const toggleSelected = (id) => {
+    setSelected(prev => (prev.includes(id) ? prev.filter(item => item !== id) : [...prev, id]));
+  };
+
+  const toggleAll = () => {
+    setSelected(prev => (prev.length === comments.length ? [] : comments.map(comment => comment._id)));
+  };
+
+  const paginationControls = pagination && pagination.pages > 1 && (
+    <div className="flex justify-center items-center gap-4 mt-8">
+      <button
+        onClick={() => updateParams({ page: String(page - 1) })}
+        disabled={page <= 1}
+        className="btn btn-outline disabled:opacity-50"
+      >
+        Previous
+      </button>
+      <span className="text-gray-600">Page {page} of {pagination.pages}</span>
+      <button
+        onClick={() => updateParams({ page: String(page + 1) })}
+        disabled={page >= pagination.pages}
+        className="btn btn-outline disabled:opacity-50"
+      >
+        Next
+      </button>
+    </div>
+  );
+
+  if (!user) {
+    return null;
+  }
+
+  if (!isModerator) {
+    return (
+      <div className="text-center py-16">
+        <h2 className="text-2xl font-bold text-gray-800 mb-2">Moderation</h2>
+        <p className="text-gray-600">You do not have permission to moderate comments or review posts.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="fade-in">
+      {/* Header */}
+      <div className="mb-6">
+        <h2 className="text-3xl font-bold text-gray-800">Moderation</h2>
+        <p className="text-gray-600">Review new and reported comments, posts held as possible spam and banned users</p>
+      </div>
+
+      {/* Tabs */}
+      <nav className="flex flex-wrap gap-4 border-b border-gray-200 mb-6">
+        {tabs.map(tab => (
+          <button
+            key={tab.key}
+            onClick={() => updateParams({ status: tab.key === defaultTab ? null : tab.key, page: null })}
+            className={`pb-3 border-b-2 font-medium transition-colors ${
+              status === tab.key
+                ? 'border-primary-600 text-primary-600'
+                : 'border-transparent text-gray-500 hover:text-gray-700'
+            }`}
+          >
+            {tab.label}
+            {tab.key !== 'bans' && (
+              <span className="ml-2 text-xs bg-gray-100 text-gray-600 px-2 py-0.5 rounded-full">
+                {counts[tab.key]}
+              </span>
+            )}
+          </button>
+        ))}
+      </nav>
+
+      {(error || actionError) && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
+          <p className="text-red-800 text-sm">{actionError || error}</p>
+        </div>
+      )}
+
+      {status === 'bans' ? (
+        /* Banned Users */
+        bans.length === 0 ? (
+          <div className="text-center py-16">
+            <p className="text-gray-500">No one is banned from commenting.</p>
+          </div>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {bans.map(bannedUser => (
+              <li key={bannedUser._id} className="py-4 flex flex-col md:flex-row md:items-center gap-4">
+                <div className="flex-1 min-w-0">
+                  <Link to={`/authors/${bannedUser.username}`} className="font-semibold text-gray-800 hover:text-primary-600">
+                    {displayName(bannedUser)}
+                  </Link>
+                  <p className="text-sm text-gray-500">
+                    {bannedUser.commentBan.until ? `Until ${formatDate(bannedUser.commentBan.until)}` : 'No end date'}
+                    {bannedUser.commentBan.bannedBy && ` · by ${displayName(bannedUser.commentBan.bannedBy)}`}
+                  </p>
+                  {bannedUser.commentBan.reason && (
+                    <p className="text-sm text-gray-700 mt-1">{bannedUser.commentBan.reason}</p>
+                  )}
+                </div>
+                <button onClick={() => handleUnban(bannedUser)} className="btn btn-outline text-sm">
+                  Lift Ban
+                </button>
+              </li>
+            ))}
+          </ul>
+        )
+      ) : status === 'posts' ? (
+        /* Held Posts */
+        heldPosts.length === 0 ? (
+          <div className="text-center py-16">
+            <p className="text-gray-500">No posts are waiting for review.</p>
+          </div>
+        ) : (
+          <>
+            <ul className="divide-y divide-gray-200">
+              {heldPosts.map(post => (
+                <li key={post._id} className="py-4 flex gap-4">
+                  <div className="flex-1 min-w-0">
+                    <Link to={`/posts/${post.slug || post._id}`} className="font-semibold text-gray-800 hover:text-primary-600">
+                      {post.title}
+                    </Link>
+                    <p className="text-sm text-gray-500 mb-1">
+                      By {displayName(post.author)}
+                      {post.category && ` in ${post.category.name}`}
+                      {` · ${formatDate(post.createdAt)}`}
+                      {post.author?.createdAt && ` · joined ${formatDate(post.author.createdAt)}`}
+                    </p>
+                    <p className="text-gray-700">{post.excerpt}</p>
+                    <p className="text-xs text-gray-400 mt-2">
+                      {post.moderation.publishAt
+                        ? `Scheduled for ${formatDate(post.moderation.publishAt)} once approved`
+                        : post.moderation.publishRequested
+                          ? 'Published once approved'
+                          : 'Stays a draft once approved'}
+                    </p>
+                    <SpamReasons spam={post.spam} />
+                  </div>
+                  <div className="flex flex-col gap-2 flex-shrink-0">
+                    <button onClick={() => reviewPost(post._id, 'approve')} className="btn btn-outline text-sm">
+                      Approve
+                    </button>
+                    <button
+                      onClick={() => reviewPost(post._id, 'reject')}
+                      className="btn btn-outline text-sm text-red-600 border-red-200 hover:bg-red-50"
+                    >
+                      Reject
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+            {paginationControls}
+          </>
+        )
+      ) : loading && comments.length === 0 ? (
+        <div className="flex justify-center py-16">
+          <div className="loading-spinner"></div>
+        </div>
+      ) : comments.length === 0 ? (
+        <div className="text-center py-16">
+          <p className="text-gray-500">Nothing to review here.</p>
+        </div>
+      ) : (
+        <>
+          {/* Bulk Actions */}
+          <div className="flex flex-wrap items-center gap-3 mb-4">
+            <label className="flex items-center gap-2 text-sm text-gray-600">
+              <input
+                type="checkbox"
+                checked={selected.length === comments.length}
+                onChange={toggleAll}
+              />
+              Select all
+            </label>
+            <button
+              onClick={() => moderate(selected, 'approve')}
+              disabled={!selected.length}
+              className="btn btn-primary text-sm disabled:opacity-50"
+            >
+              Approve ({selected.length})
+            </button>
+            <button
+              onClick={() => moderate(selected, 'reject')}
+              disabled={!selected.length}
+              className="btn btn-outline text-sm disabled:opacity-50"
+            >
+              Reject
+            </button>
+            <button
+              onClick={() => moderate(selected, 'spam')}
+              disabled={!selected.length}
+              className="btn btn-outline text-sm text-red-600 border-red-200 hover:bg-red-50 disabled:opacity-50"
+            >
+              Mark as Spam
+            </button>
+          </div>
+
+          {/* Comment Queue */}
+          <ul className="divide-y divide-gray-200">
+            {comments.map(comment => (
+              <li key={comment._id} className="py-4 flex gap-4">
+                <input
+                  type="checkbox"
+                  checked={selected.includes(comment._id)}
+                  onChange={() => toggleSelected(comment._id)}
+                  className="mt-1"
+                  aria-label="Select comment"
+                />
+                <div className="flex-1 min-w-0">
+                  <div className="flex flex-wrap items-center gap-2 text-sm text-gray-500 mb-1">
+                    <span className="font-semibold text-gray-800">{displayName(comment.author)}</span>
+                    {isBanned(comment.author?.commentBan) && (
+                      <span className="text-xs bg-red-100 text-red-800 px-2 py-0.5 rounded-full">Banned</span>
+                    )}
+                    <span>on</span>
+                    {comment.post ? (
+                      <Link to={`/posts/${comment.post.slug || comment.post._id}`} className="text-primary-600 hover:underline truncate">
+                        {comment.post.title}
+                      </Link>
+                    ) : (
+                      <span>a deleted post</span>
+                    )}
+                    <span>· {formatDate(comment.createdAt)}</span>
+                    <span className={`text-xs px-2 py-0.5 rounded-full ${statusStyles[comment.status || 'approved']}`}>
+                      {comment.status || 'approved'}
+                    </span>
+                  </div>
+                  <p className="text-gray-700 whitespace-pre-line">{comment.content}</p>
+                  <SpamReasons spam={comment.spam} />
+
+                  {comment.reports?.length > 0 && (
+                    <div className="mt-2 text-sm bg-orange-50 border-l-4 border-orange-300 px-3 py-2 rounded-r">
+                      <p className="font-medium text-orange-800">
+                        Reported {comment.reportCount} {comment.reportCount === 1 ? 'time' : 'times'}
+                      </p>
+                      <ul className="text-orange-700">
+                        {comment.reports.map(report => (
+                          <li key={report._id}>
+                            {displayName(report.user)}{report.reason && `: ${report.reason}`}
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+
+                  {comment.moderatedBy && (
+                    <p className="text-xs text-gray-400 mt-2">
+                      Last reviewed by {displayName(comment.moderatedBy)} {formatDate(comment.moderatedAt)}
+                    </p>
+                  )}
+                </div>
+                <div className="flex flex-col gap-2 flex-shrink-0">
+                  <button onClick={() => moderate([comment._id], 'approve')} className="btn btn-outline text-sm">
+                    {(comment.status || 'approved') === 'approved' ? 'Dismiss Reports' : 'Approve'}
+                  </button>
+                  {comment.status !== 'hidden' && (
+                    <button onClick={() => moderate([comment._id], 'reject')} className="btn btn-outline text-sm">
+                      Reject
+                    </button>
+                  )}
+                  {comment.author && !isBanned(comment.author.commentBan) && (
+                    <button
+                      onClick={() => handleBan(comment.author)}
+                      className="btn btn-outline text-sm text-red-600 border-red-200 hover:bg-red-50"
+                    >
+                      Ban User
+                    </button>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+
+          {paginationControls}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Moderation;
@@ -0,0 +1,257 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/auth.context.jsx';
+import { postService } from '../services/api.js';
+import { useApi } from '../hooks/useAPi.js';
+
+const TABS = [
+  { key: 'all', label: 'All' },
+  { key: 'draft', label: 'Drafts' },
+  { key: 'scheduled', label: 'Scheduled' },
+  { key: 'published', label: 'Published' }
+];
+
+const SORT_OPTIONS = [
+  { value: '-updatedAt', label: 'Recently updated' },
+  { value: '-createdAt', label: 'Newest first' },
+  { value: 'createdAt', label: 'Oldest first' },
+  { value: 'title', label: 'Title (A-Z)' },
+  { value: '-viewCount', label: 'Most viewed' }
+];
+
+// Work out the dashboard status of a post from its fields
+const getPostStatus = (post) => {
+  if (post.isPublished) return 'published';
+  if (post.publishAt && new Date(post.publishAt) > new Date()) return 'scheduled';
+  return 'draft';
+};
+
+const statusStyles = {
+  published: 'bg-green-100 text-green-800',
+  scheduled: 'bg-blue-100 text-blue-800',
+  draft: 'bg-gray-100 text-gray-700'
+};
+
+const MyPosts = () => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { loading, error, callApi } = useApi();
+  const [posts, setPosts] = useState([]);
+  const [counts, setCounts] = useState({ all: 0, draft: 0, scheduled: 0, published: 0 });
+  const [pagination, setPagination] = useState(null);
+  const [actionError, setActionError] = useState('');
+
+  const status = searchParams.get('status') || 'all';
+  const sort = searchParams.get('sort') || '-updatedAt';
+  const page = parseInt(searchParams.get('page')) || 1;
+
+  const updateParams = (updates) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(updates).forEach(([key, value]) => {
+      if (value) next.set(key, value);
+      else next.delete(key);
+    });
+    setSearchParams(next);
+  };
+
+  const fetchPosts = useCallback(async () => {
+    try {
+      const response = await callApi(postService.getMyPosts, { status, sort, page });
+      setPosts(response.data);
+      setCounts(response.counts);
+      setPagination(response.pagination);
+    } catch (err) {
+      // Error is shown by useApi
+    }
+  }, [callApi, status, sort, page]);
+
+  useEffect(() => {
+    if (!user) {
+      navigate('/login');
+      return;
+    }
+    fetchPosts();
+  }, [user, navigate, fetchPosts]);
+
+  // Run a quick action, then reload the list so counts stay in sync
+  const runAction = async (action) => {
+    setActionError('');
+    try {
+      await action();
+      await fetchPosts();
+    } catch (err) {
+      setActionError(err.response?.data?.message || 'Action failed. Please try again.');
+    }
+  };
+
+  const handleDelete = (post) => {
+    if (!window.confirm(`Delete "${post.title}"? This cannot be undone.`)) return;
+    runAction(() => postService.deletePost(post._id));
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  if (!user) {
+    return null;
+  }
+
+  return (
+    <div className="fade-in">
+      {/* Header */}
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-6">
+        <div>
+          <h2 className="text-3xl font-bold text-gray-800">My Posts</h2>
+          <p className="text-gray-600">Manage your drafts, scheduled and published posts</p>
+        </div>
+        <Link to="/create-post" className="btn btn-primary">New Post</Link>
+      </div>
+
+      {/* Tabs and Sort */}
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 border-b border-gray-200 mb-6">
+        <nav className="flex gap-4">
+          {TABS.map(tab => (
+            <button
+              key={tab.key}
+              onClick={() => updateParams({ status: tab.key === 'all' ? null : tab.key, page: null })}
+              className={`pb-3 border-b-2 font-medium transition-colors ${
+                status === tab.key
+                  ? 'border-primary-600 text-primary-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700'
+              }`}
+            >
+              {tab.label}
+              <span className="ml-2 text-xs bg-gray-100 text-gray-600 px-2 py-0.5 rounded-full">
+                {counts[tab.key]}
+              </span>
+            </button>
+          ))}
+        </nav>
+        <select
+          value={sort}
+          onChange={(e) => updateParams({ sort: e.target.value, page: null })}
+          className="form-input w-auto mb-3"
+        >
+          {SORT_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {(error || actionError) && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
+          <p className="text-red-800 text-sm">{actionError || error}</p>
+        </div>
+      )}
+
+      {/* Post List */}
+      {loading && posts.length === 0 ? (
+        <div className="flex justify-center py-16">
+          <div className="loading-spinner"></div>
+        </div>
+      ) : posts.length === 0 ? (
+        <div className="text-center py-16">
+          <p className="text-gray-500 mb-4">No posts here yet.</p>
+          <Link to="/create-post" className="btn btn-primary">Write a post</Link>
+        </div>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {posts.map(post => {
+            const postStatus = getPostStatus(post);
+            return (
+              <li key={post._id} className="py-4 flex flex-col md:flex-row md:items-center gap-4">
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center gap-2 mb-1">
+                    <span className={`text-xs font-semibold px-2 py-0.5 rounded-full capitalize ${statusStyles[postStatus]}`}>
+                      {postStatus}
+                    </span>
+                    {post.category?.name && (
+                      <span className="text-xs text-gray-500">{post.category.name}</span>
+                    )}
+                  </div>
+                  <Link
+                    to={`/posts/${post._id}`}
+                    className="text-lg font-semibold text-gray-900 hover:text-primary-600 truncate block"
+                  >
+                    {post.title}
+                  </Link>
+                  <p className="text-sm text-gray-500">
+                    {postStatus === 'scheduled'
+                      ? `Publishes ${formatDate(post.publishAt)}`
+                      : `Updated ${formatDate(post.updatedAt)}`}
+                    {postStatus === 'published' && ` · ${post.viewCount} views`}
+                  </p>
+                </div>
+
+                {/* Quick Actions */}
+                <div className="flex flex-wrap items-center gap-2">
+                  <Link to={`/edit-post/${post._id}`} className="btn btn-outline text-sm">
+                    Edit
+                  </Link>
+                  {postStatus === 'published' ? (
+                    <button
+                      onClick={() => runAction(() => postService.setPostStatus(post._id, 'draft'))}
+                      className="btn btn-outline text-sm"
+                    >
+                      Unpublish
+                    </button>
+                  ) : (
+                    <button
+                      onClick={() => runAction(() => postService.setPostStatus(post._id, 'published'))}
+                      className="btn btn-outline text-sm"
+                    >
+                      Publish
+                    </button>
+                  )}
+                  <button
+                    onClick={() => runAction(() => postService.duplicatePost(post._id))}
+                    className="btn btn-outline text-sm"
+                  >
+                    Duplicate
+                  </button>
+                  <button
+                    onClick={() => handleDelete(post)}
+                    className="btn btn-outline text-sm text-red-600 border-red-200 hover:bg-red-50"
+                  >
+                    Delete
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {/* Pagination */}
+      {pagination && pagination.pages > 1 && (
+        <div className="flex justify-center items-center gap-4 mt-8">
+          <button
+            onClick={() => updateParams({ page: String(page - 1) })}
+            disabled={page <= 1}
+            className="btn btn-outline disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span className="text-gray-600">Page {page} of {pagination.pages}</span>
+          <button
+            onClick={() => updateParams({ page: String(page + 1) })}
+            disabled={page >= pagination.pages}
+            className="btn btn-outline disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MyPosts;
@@ -1,8 +1,13 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { useParams, Link, useNavigate } from 'react-router-dom';
+import { useParams, Link, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../context/auth.context.jsx';
-import { postAPI } from '../services/api';
+import { postService, commentService } from '../services/api';
 import { useApi } from '../hooks/useAPi.js';
+import ReactionBar from '../components/post/reactionbar.jsx';
+import BookmarkButton from '../components/post/bookmarkbutton.jsx';
+import CommentItem from '../components/post/commentitem.jsx';
+import HoneypotField, { HONEYPOT_FIELD } from '../components/post/honeypotfield.jsx';
+import { linkMentions } from '../components/post/mentiontext.jsx';
 
 // Reading time calculator
 const calculateReadingTime = (content) => {
@@ -45,30 +50,101 @@ const generateTableOfContents = (content) => {
   });
 };
 
+// Apply `update` to the comment with the given id, wherever it sits in the tree
+const updateCommentTree = (comments, commentId, update) => comments.map(comment => {
+  if (comment._id === commentId) return update(comment);
+  if (!comment.replies.length) return comment;
+  return { ...comment, replies: updateCommentTree(comment.replies, commentId, update) };
+});
+
+// Drop the comments with the given ids, keeping their parents' reply counts in step
+const removeFromCommentTree = (comments, ids) => comments
+  .filter(comment => !ids.includes(comment._id))
+  .map(comment => {
+    if (!comment.replies.length) return comment;
+    const replies = removeFromCommentTree(comment.replies, ids);
+    if (replies.length === comment.replies.length) return comment;
+    return { ...comment, replies, replyCount: comment.replyCount - (comment.replies.length - replies.length) };
+  });
+
 const PostDetail = () => {
   const { id } = useParams();
   const navigate = useNavigate();
+  const location = useLocation();
   const [post, setPost] = useState(null);
   const [comment, setComment] = useState('');
   const [replyTo, setReplyTo] = useState(null);
-  const [editingComment, setEditingComment] = useState(null);
-  const [editContent, setEditContent] = useState('');
+  const [comments, setComments] = useState([]);
+  const [commentTotal, setCommentTotal] = useState(0);
+  const [commentsCursor, setCommentsCursor] = useState(null);
+  const [loadingComments, setLoadingComments] = useState(false);
+  const [postingComment, setPostingComment] = useState(false);
+  const [commentNotice, setCommentNotice] = useState(null);
   const [relatedPosts, setRelatedPosts] = useState([]);
-  const [isLiked, setIsLiked] = useState(false);
-  const [likeCount, setLikeCount] = useState(0);
+  const [reactionCounts, setReactionCounts] = useState({});
+  const [viewerReaction, setViewerReaction] = useState(null);
   const [showShareMenu, setShowShareMenu] = useState(false);
   const [showToc, setShowToc] = useState(false);
-  const { user } = useAuth();
+  const { user, can } = useAuth();
   const { loading, error, callApi } = useApi();
   const shareButtonRef = useRef(null);
+  const scrolledToHash = useRef('');
 
   const fetchPost = async () => {
-    const response = await callApi(postAPI.getPost, id);
-    if (response) {
-      setPost(response.data);
-      setIsLiked(response.data.isLiked || false);
-      setLikeCount(response.data.likeCount || 0);
-      fetchRelatedPosts(response.data.category?._id, response.data._id);
+    try {
+      const response = await callApi(postService.getPost, id);
+      if (response) {
+        setPost(response.data);
+        setReactionCounts(response.data.reactionCounts || {});
+        setViewerReaction(response.data.viewerReaction || null);
+        fetchComments(response.data._id);
+        fetchRelatedPosts(response.data.category?._id, response.data._id);
+      }
+    } catch (error) {
+      // The post was renamed; follow the server's pointer to its current slug
+      if (error.response?.status === 301 && error.response.data?.slug) {
+        navigate(`/posts/${error.response.data.slug}`, { replace: true });
+      }
+    }
+  };
+
+  // Top-level comments with their replies; `after` appends the next page
+  const fetchComments = async (postId, after = '') => {
+    setLoadingComments(true);
+    try {
+      const response = await postService.getComments(postId, { after });
+      setComments(prev => {
+        if (!after) return response.data;
+        // Skip comments this reader posted since the first page loaded
+        const loaded = new Set(prev.map(item => item._id));
+        return [...prev, ...response.data.filter(item => !loaded.has(item._id))];
+      });
+      setCommentTotal(response.total);
+      setCommentsCursor(response.pagination.nextCursor);
+    } catch (error) {
+      console.error('Error fetching comments:', error);
+    } finally {
+      setLoadingComments(false);
+    }
+  };
+
+  // Replies below the loaded depth, a page at a time
+  const handleLoadReplies = async (parent) => {
+    try {
+      const response = await postService.getComments(post._id, {
+        parent: parent._id,
+        after: parent.repliesCursor || ''
+      });
+      setComments(prev => updateCommentTree(prev, parent._id, node => {
+        const loaded = new Set(node.replies.map(reply => reply._id));
+        return {
+          ...node,
+          replies: [...node.replies, ...response.data.filter(reply => !loaded.has(reply._id))],
+          repliesCursor: response.pagination.nextCursor
+        };
+      }));
+    } catch (error) {
+      console.error('Error fetching replies:', error);
     }
   };
 
@@ -76,7 +152,7 @@ const PostDetail = () => {
     if (!categoryId) return;
     
     try {
-      const response = await postAPI.getPosts({ 
+      const response = await postService.getAllPosts({ 
         category: categoryId, 
         limit: 3,
         exclude: excludePostId 
@@ -93,6 +169,16 @@ const PostDetail = () => {
     fetchPost();
   }, [id]);
 
+  // Links from notifications point at a comment; scroll to it once it has loaded
+  useEffect(() => {
+    if (!location.hash.startsWith('#comment-') || scrolledToHash.current === location.hash) return;
+    const target = document.getElementById(location.hash.slice(1));
+    if (target) {
+      scrolledToHash.current = location.hash;
+      target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+  }, [location.hash, comments]);
+
   useEffect(() => {
     // Close share menu when clicking outside
     const handleClickOutside = (event) => {
@@ -108,58 +194,116 @@ const PostDetail = () => {
     e.preventDefault();
     if (!comment.trim()) return;
 
+    setPostingComment(true);
+    setCommentNotice(null);
     try {
-      await callApi(postAPI.addComment, id, { 
+      const response = await postService.addComment(post._id, {
         content: comment,
-        parentComment: replyTo 
+        parentComment: replyTo?._id,
+        [HONEYPOT_FIELD]: e.target.elements[HONEYPOT_FIELD].value
       });
+      const created = response.data;
+
+      // Deep replies can land one level up, so place it by what the server says
+      if (created.parentComment) {
+        setComments(prev => updateCommentTree(prev, created.parentComment, node => ({
+          ...node,
+          replies: [...node.replies, created],
+          replyCount: node.replyCount + 1
+        })));
+      } else {
+        setComments(prev => [...prev, created]);
+      }
+      // Comments held for moderation only show to their author until approved
+      if (created.status === 'pending') {
+        setCommentNotice({ type: 'info', text: response.message });
+      } else {
+        setCommentTotal(total => total + 1);
+      }
       setComment('');
       setReplyTo(null);
-      fetchPost();
     } catch (error) {
-      console.error('Add comment error:', error);
+      // Shown by the form rather than useApi, which would replace the whole page
+      const message = error.response?.data?.errors?.[0]?.msg || error.response?.data?.message;
+      setCommentNotice({ type: 'error', text: message || 'Could not post your comment.' });
+    } finally {
+      setPostingComment(false);
     }
   };
 
-  const handleEditComment = async (commentId) => {
-    if (!editContent.trim()) return;
+  const handleReportComment = async (target) => {
+    if (!user) {
+      navigate('/login');
+      return;
+    }
+
+    const reason = window.prompt('Why are you reporting this comment? (optional)');
+    if (reason === null) return;
 
     try {
-      // This would require a new API endpoint for editing comments
-      // await callApi(postAPI.updateComment, id, commentId, { content: editContent });
-      setEditingComment(null);
-      setEditContent('');
-      fetchPost();
+      const response = await commentService.report(target._id, reason);
+      window.alert(response.message);
     } catch (error) {
-      console.error('Edit comment error:', error);
+      window.alert(error.response?.data?.message || 'Could not report the comment.');
     }
   };
 
-  const handleDeleteComment = async (commentId) => {
+  // Errors are left to CommentItem, which keeps the editor open and shows them
+  const handleEditComment = async (target, content) => {
+    const response = await postService.updateComment(post._id, target._id, { content });
+    setComments(prev => updateCommentTree(prev, target._id, node => ({
+      ...node,
+      ...response.data,
+      replies: node.replies,
+      replyCount: node.replyCount
+    })));
+  };
+
+  const handleDeleteComment = async (target) => {
     if (!window.confirm('Are you sure you want to delete this comment?')) return;
 
     try {
-      // This would require a new API endpoint for deleting comments
-      // await callApi(postAPI.deleteComment, id, commentId);
-      fetchPost();
+      const response = await postService.deleteComment(post._id, target._id);
+      // A comment with replies stays behind as a placeholder
+      if (response.data) {
+        setComments(prev => updateCommentTree(prev, target._id, node => ({
+          ...node,
+          ...response.data,
+          replies: node.replies,
+          replyCount: node.replyCount
+        })));
+      } else {
+        setComments(prev => removeFromCommentTree(prev, response.removed));
+      }
+      setCommentTotal(total => total - 1);
     } catch (error) {
       console.error('Delete comment error:', error);
     }
   };
 
-  const handleLike = async () => {
+  // Reactions need an account; the server returns the updated totals
+  const handleReact = async (type) => {
     if (!user) {
       navigate('/login');
       return;
     }
 
     try {
-      // This would require a new API endpoint for liking posts
-      // await callApi(postAPI.likePost, id);
-      setIsLiked(!isLiked);
-      setLikeCount(prev => isLiked ? prev - 1 : prev + 1);
+      const response = await postService.react(post._id, type);
+      setReactionCounts(response.data.reactionCounts);
+      setViewerReaction(response.data.viewerReaction);
+    } catch (error) {
+      console.error('Reaction error:', error);
+    }
+  };
+
+  const handleRemoveReaction = async () => {
+    try {
+      const response = await postService.removeReaction(post._id);
+      setReactionCounts(response.data.reactionCounts);
+      setViewerReaction(null);
     } catch (error) {
-      console.error('Like error:', error);
+      console.error('Reaction error:', error);
     }
   };
 
@@ -189,7 +333,7 @@ const PostDetail = () => {
     if (!window.confirm('Are you sure you want to delete this post? This action cannot be undone.')) return;
 
     try {
-      await callApi(postAPI.deletePost, id);
+      await callApi(postService.deletePost, id);
       navigate('/');
     } catch (error) {
       console.error('Delete post error:', error);
@@ -207,6 +351,12 @@ const PostDetail = () => {
   };
 
   const isPostOwner = user && post && user.id === post.author?._id;
+  const canEditPost = isPostOwner || can('posts:update:any');
+  const canDeletePost = isPostOwner || can('posts:delete:any');
+  // Authors can edit for a short while after posting and delete any time; moderators always can
+  const isCommentAuthor = (item) => Boolean(user && item.author && user.id === item.author._id);
+  const canEditComment = (item) => can('comments:moderate') || (isCommentAuthor(item) && new Date(item.editableUntil) > new Date());
+  const canDeleteComment = (item) => can('comments:moderate') || isCommentAuthor(item);
   const readingTime = post ? calculateReadingTime(post.content) : 0;
   const tableOfContents = post ? generateTableOfContents(post.content) : [];
 
@@ -309,25 +459,16 @@ const PostDetail = () => {
               {/* Post Actions Bar */}
               <div className="flex flex-wrap items-center justify-between mb-6 gap-4">
                 <div className="flex items-center gap-4">
-                  {/* Like Button */}
-                  <button
-                    onClick={handleLike}
-                    className={`flex items-center gap-2 px-3 py-2 rounded-lg transition-colors ${
-                      isLiked 
-                        ? 'bg-red-50 text-red-600 border border-red-200' 
-                        : 'bg-gray-50 text-gray-600 border border-gray-200 hover:bg-gray-100'
-                    }`}
-                  >
-                    <svg 
-                      className={`w-5 h-5 ${isLiked ? 'fill-current' : ''}`} 
-                      fill={isLiked ? 'currentColor' : 'none'} 
-                      stroke="currentColor" 
-                      viewBox="0 0 24 24"
-                    >
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z" />
-                    </svg>
-                    <span>{likeCount}</span>
-                  </button>
+                  {/* Reactions */}
+                  <ReactionBar
+                    counts={reactionCounts}
+                    viewerReaction={viewerReaction}
+                    onReact={handleReact}
+                    onRemove={handleRemoveReaction}
+                  />
+
+                  {/* Bookmark Button */}
+                  <BookmarkButton post={post} />
 
                   {/* Share Button */}
                   <div className="relative" ref={shareButtonRef}>
@@ -398,9 +539,10 @@ const PostDetail = () => {
                     </button>
                   )}
 
-                  {/* Edit/Delete Buttons for Owner */}
-                  {isPostOwner && (
+                  {/* Edit/Delete Buttons for Owner, Editors and Admins */}
+                  {(canEditPost || canDeletePost) && (
                     <div className="flex items-center gap-2">
+                      {canEditPost && (
                       <Link
                         to={`/edit-post/${id}`}
                         className="btn btn-outline flex items-center gap-2"
@@ -410,6 +552,8 @@ const PostDetail = () => {
                         </svg>
                         Edit
                       </Link>
+                      )}
+                      {canDeletePost && (
                       <button
                         onClick={handleDeletePost}
                         className="btn btn-outline text-red-600 border-red-200 hover:bg-red-50 flex items-center gap-2"
@@ -419,6 +563,7 @@ const PostDetail = () => {
                         </svg>
                         Delete
                       </button>
+                      )}
                     </div>
                   )}
                 </div>
@@ -444,15 +589,26 @@ const PostDetail = () => {
                 </h1>
 
                 {/* Author Profile Card */}
-                <div className="flex items-center gap-4 p-4 bg-gray-50 rounded-lg">
-                  <div className="w-12 h-12 bg-gradient-primary rounded-full flex items-center justify-center text-white font-semibold">
-                    {post.author?.username?.charAt(0).toUpperCase()}
-                  </div>
+                <Link
+                  to={`/authors/${post.author?.username}`}
+                  className="flex items-center gap-4 p-4 bg-gray-50 rounded-lg hover:bg-gray-100 transition-colors"
+                >
+                  {post.author?.avatar ? (
+                    <img
+                      src={`http://localhost:5000${post.author.avatar}`}
+                      alt={post.author.username}
+                      className="w-12 h-12 rounded-full object-cover"
+                    />
+                  ) : (
+                    <div className="w-12 h-12 bg-gradient-primary rounded-full flex items-center justify-center text-white font-semibold">
+                      {post.author?.username?.charAt(0).toUpperCase()}
+                    </div>
+                  )}
                   <div>
-                    <div className="font-semibold text-gray-900">{post.author?.username}</div>
-                    <div className="text-sm text-gray-600">Blog Author</div>
+                    <div className="font-semibold text-gray-900">{post.author?.displayName || post.author?.username}</div>
+                    <div className="text-sm text-gray-600">@{post.author?.username}</div>
                   </div>
-                </div>
+                </Link>
               </header>
 
               {/* Excerpt */}
@@ -482,7 +638,7 @@ const PostDetail = () => {
               <div className="prose max-w-none mb-8">
                 <div 
                   className="text-gray-700 leading-relaxed"
-                  dangerouslySetInnerHTML={{ __html: markdownToHtml(post.content) }}
+                  dangerouslySetInnerHTML={{ __html: markdownToHtml(linkMentions(post.content, post.mentions)) }}
                 />
               </div>
 
@@ -522,7 +678,7 @@ const PostDetail = () => {
               <section className="border-t pt-8">
                 <div className="flex items-center justify-between mb-6">
                   <h3 className="text-2xl font-bold">
-                    Comments ({post.comments?.length || 0})
+                    Comments ({commentTotal})
                   </h3>
                   {tableOfContents.length > 0 && (
                     <button
@@ -534,13 +690,26 @@ const PostDetail = () => {
                   )}
                 </div>
 
+                {commentNotice && (
+                  <div
+                    className={`rounded-lg p-3 mb-4 text-sm border ${
+                      commentNotice.type === 'error'
+                        ? 'bg-red-50 border-red-200 text-red-800'
+                        : 'bg-yellow-50 border-yellow-200 text-yellow-800'
+                    }`}
+                  >
+                    {commentNotice.text}
+                  </div>
+                )}
+
                 {/* Add Comment Form */}
                 {user ? (
                   <form onSubmit={handleAddComment} className="mb-8">
+                    <HoneypotField />
                     {replyTo && (
                       <div className="flex items-center justify-between bg-blue-50 border border-blue-200 rounded-lg p-3 mb-4">
                         <span className="text-sm text-blue-700">
-                          Replying to comment
+                          Replying to {replyTo.author?.displayName || replyTo.author?.username || 'comment'}
                         </span>
                         <button
                           type="button"
@@ -566,10 +735,10 @@ const PostDetail = () => {
                     <div className="flex gap-3">
                       <button
                         type="submit"
-                        disabled={loading}
+                        disabled={postingComment}
                         className="btn btn-primary"
                       >
-                        {loading ? 'Posting...' : replyTo ? 'Post Reply' : 'Post Comment'}
+                        {postingComment ? 'Posting...' : replyTo ? 'Post Reply' : 'Post Comment'}
                       </button>
                       {replyTo && (
                         <button
@@ -595,96 +764,34 @@ const PostDetail = () => {
 
                 {/* Comments List */}
                 <div className="space-y-6">
-                  {post.comments && post.comments.length > 0 ? (
-                    post.comments.map((comment) => (
-                      <div key={comment._id || comment.createdAt} className="comment">
-                        <div className="flex justify-between items-start mb-3">
-                          <div className="flex items-center gap-3">
-                            <div className="w-8 h-8 bg-gradient-primary rounded-full flex items-center justify-center text-white text-sm font-semibold">
-                              {comment.user?.username?.charAt(0).toUpperCase()}
-                            </div>
-                            <div>
-                              <span className="font-semibold text-gray-900">
-                                {comment.user?.username || 'Unknown User'}
-                              </span>
-                              <span className="text-sm text-gray-500 ml-3">
-                                {formatDate(comment.createdAt)}
-                              </span>
-                            </div>
-                          </div>
-                          
-                          {/* Comment Actions */}
-                          {user && (
-                            <div className="flex items-center gap-2">
-                              <button
-                                onClick={() => setReplyTo(comment._id)}
-                                className="text-gray-400 hover:text-primary-600 transition-colors"
-                                title="Reply"
-                              >
-                                <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 10h10a8 8 0 018 8v2M3 10l6 6m-6-6l6-6" />
-                                </svg>
-                              </button>
-                              {(user.id === comment.user?._id || isPostOwner) && (
-                                <>
-                                  <button
-                                    onClick={() => {
-                                      setEditingComment(comment._id);
-                                      setEditContent(comment.content);
-                                    }}
-                                    className="text-gray-400 hover:text-blue-600 transition-colors"
-                                    title="Edit"
-                                  >
-                                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
-                                    </svg>
-                                  </button>
-                                  <button
-                                    onClick={() => handleDeleteComment(comment._id)}
-                                    className="text-gray-400 hover:text-red-600 transition-colors"
-                                    title="Delete"
-                                  >
-                                    <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
-                                    </svg>
-                                  </button>
-                                </>
-                              )}
-                            </div>
-                          )}
+                  {comments.length > 0 ? (
+                    <>
+                      {comments.map((item) => (
+                        <CommentItem
+                          key={item._id}
+                          comment={item}
+                          user={user}
+                          canEdit={canEditComment}
+                          canDelete={canDeleteComment}
+                          onReply={setReplyTo}
+                          onEdit={handleEditComment}
+                          onDelete={handleDeleteComment}
+                          onReport={handleReportComment}
+                          onLoadReplies={handleLoadReplies}
+                        />
+                      ))}
+                      {commentsCursor && (
+                        <div className="text-center">
+                          <button
+                            onClick={() => fetchComments(post._id, commentsCursor)}
+                            disabled={loadingComments}
+                            className="btn btn-outline"
+                          >
+                            {loadingComments ? 'Loading...' : 'Load More Comments'}
+                          </button>
                         </div>
-
-                        {/* Comment Content */}
-                        {editingComment === comment._id ? (
-                          <div className="space-y-3">
-                            <textarea
-                              value={editContent}
-                              onChange={(e) => setEditContent(e.target.value)}
-                              rows="3"
-                              className="form-textarea"
-                            />
-                            <div className="flex gap-2">
-                              <button
-                                onClick={() => handleEditComment(comment._id)}
-                                className="btn btn-primary btn-sm"
-                              >
-                                Save
-                              </button>
-                              <button
-                                onClick={() => setEditingComment(null)}
-                                className="btn btn-ghost btn-sm"
-                              >
-                                Cancel
-                              </button>
-                            </div>
-                          </div>
-                        ) : (
-                          <p className="text-gray-700 leading-relaxed whitespace-pre-line">
-                            {comment.content}
-                          </p>
-                        )}
-                      </div>
-                    ))
+                      )}
+                    </>
                   ) : (
                     <div className="text-center py-8">
                       <svg className="w-16 h-16 text-gray-300 mx-auto mb-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -0,0 +1,227 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/auth.context.jsx';
+import { userService } from '../services/api.js';
+import { useApi } from '../hooks/useAPi.js';
+
+const Profile = () => {
+  const { user, updateUser } = useAuth();
+  const { loading, error, callApi } = useApi();
+  const navigate = useNavigate();
+
+  const [formData, setFormData] = useState({
+    displayName: '',
+    bio: '',
+    website: '',
+    twitter: '',
+    github: '',
+    linkedin: ''
+  });
+  const [avatar, setAvatar] = useState(null);
+  const [avatarFile, setAvatarFile] = useState(null);
+  const [removeAvatar, setRemoveAvatar] = useState(false);
+  const [saved, setSaved] = useState(false);
+  // Load the profile once per signed-in user, not each time updateUser changes `user`
+  const loadedFor = useRef(null);
+
+  useEffect(() => {
+    if (!user) {
+      loadedFor.current = null;
+      navigate('/login');
+      return;
+    }
+    if (loadedFor.current === user.id) return;
+    loadedFor.current = user.id;
+
+    const fetchProfile = async () => {
+      try {
+        const response = await callApi(userService.getMyProfile);
+        const profile = response.data;
+        setFormData({
+          displayName: profile.displayName === profile.username ? '' : profile.displayName,
+          bio: profile.bio,
+          website: profile.website,
+          twitter: profile.socialLinks.twitter,
+          github: profile.socialLinks.github,
+          linkedin: profile.socialLinks.linkedin
+        });
+        setAvatar(profile.avatar ? `http://localhost:5000${profile.avatar}` : null);
+      } catch (err) {
+        // Error is shown by useApi
+      }
+    };
+
+    fetchProfile();
+  }, [user, navigate, callApi]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+    setSaved(false);
+  };
+
+  const handleAvatarChange = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setAvatarFile(file);
+    setRemoveAvatar(false);
+    setAvatar(URL.createObjectURL(file));
+    setSaved(false);
+  };
+
+  const handleRemoveAvatar = () => {
+    setAvatarFile(null);
+    setAvatar(null);
+    setRemoveAvatar(true);
+    setSaved(false);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const profileData = new FormData();
+    profileData.append('displayName', formData.displayName);
+    profileData.append('bio', formData.bio);
+    profileData.append('website', formData.website);
+    profileData.append('socialLinks[twitter]', formData.twitter);
+    profileData.append('socialLinks[github]', formData.github);
+    profileData.append('socialLinks[linkedin]', formData.linkedin);
+    if (avatarFile) {
+      profileData.append('avatar', avatarFile);
+    } else if (removeAvatar) {
+      profileData.append('removeAvatar', 'true');
+    }
+
+    try {
+      const response = await callApi(userService.updateMyProfile, profileData);
+      updateUser({
+        displayName: response.data.displayName,
+        avatar: response.data.avatar
+      });
+      setAvatarFile(null);
+      setRemoveAvatar(false);
+      setSaved(true);
+    } catch (err) {
+      // Error is shown by useApi
+    }
+  };
+
+  if (!user) {
+    return null;
+  }
+
+  return (
+    <div className="max-w-2xl mx-auto fade-in">
+      <div className="flex items-center justify-between mb-8">
+        <div>
+          <h2 className="text-3xl font-bold text-gray-800 mb-2">Your Profile</h2>
+          <p className="text-gray-600">This is what readers see on your author page</p>
+        </div>
+        <Link to={`/authors/${user.username}`} className="btn btn-outline">
+          View public page
+        </Link>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
+          <p className="text-red-800 text-sm">{error}</p>
+        </div>
+      )}
+
+      {saved && (
+        <div className="bg-green-50 border border-green-200 rounded-lg p-4 mb-6">
+          <p className="text-green-800 text-sm">Profile saved.</p>
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-6">
+        {/* Avatar */}
+        <div className="flex items-center gap-6">
+          {avatar ? (
+            <img src={avatar} alt="Avatar" className="w-20 h-20 rounded-full object-cover" />
+          ) : (
+            <div className="w-20 h-20 bg-gradient-primary rounded-full flex items-center justify-center text-white text-2xl font-semibold">
+              {user.username.charAt(0).toUpperCase()}
+            </div>
+          )}
+          <div className="flex gap-2">
+            <label className="btn btn-outline cursor-pointer">
+              Upload avatar
+              <input type="file" accept="image/*" onChange={handleAvatarChange} className="hidden" />
+            </label>
+            {avatar && (
+              <button type="button" onClick={handleRemoveAvatar} className="btn btn-outline text-red-600 border-red-200 hover:bg-red-50">
+                Remove
+              </button>
+            )}
+          </div>
+        </div>
+
+        <div className="form-group">
+          <label className="form-label" htmlFor="displayName">Display Name</label>
+          <input
+            type="text"
+            id="displayName"
+            name="displayName"
+            value={formData.displayName}
+            onChange={handleChange}
+            maxLength={50}
+            className="form-input"
+            placeholder={user.username}
+          />
+        </div>
+
+        <div className="form-group">
+          <label className="form-label" htmlFor="bio">Bio</label>
+          <textarea
+            id="bio"
+            name="bio"
+            value={formData.bio}
+            onChange={handleChange}
+            maxLength={500}
+            rows={4}
+            className="form-input"
+            placeholder="Tell readers a little about yourself"
+          />
+          <p className="text-xs text-gray-500 mt-1">{formData.bio.length}/500</p>
+        </div>
+
+        <div className="form-group">
+          <label className="form-label" htmlFor="website">Website</label>
+          <input
+            type="url"
+            id="website"
+            name="website"
+            value={formData.website}
+            onChange={handleChange}
+            className="form-input"
+            placeholder="https://example.com"
+          />
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          {['twitter', 'github', 'linkedin'].map(network => (
+            <div className="form-group" key={network}>
+              <label className="form-label capitalize" htmlFor={network}>{network}</label>
+              <input
+                type="url"
+                id={network}
+                name={network}
+                value={formData[network]}
+                onChange={handleChange}
+                className="form-input"
+                placeholder={`https://${network}.com/...`}
+              />
+            </div>
+          ))}
+        </div>
+
+        <button type="submit" disabled={loading} className="btn btn-primary">
+          {loading ? 'Saving...' : 'Save Profile'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default Profile;
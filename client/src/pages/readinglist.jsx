@@ -0,0 +1,265 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/auth.context.jsx';
+import { postService, userService } from '../services/api.js';
+import { useApi } from '../hooks/useAPi.js';
+
+const ReadingList = () => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { loading, error, callApi } = useApi();
+  const [bookmarks, setBookmarks] = useState([]);
+  const [folders, setFolders] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [actionError, setActionError] = useState('');
+
+  // A missing folder param shows everything; an empty one shows unsorted bookmarks
+  const folder = searchParams.get('folder');
+  const page = parseInt(searchParams.get('page')) || 1;
+
+  const updateParams = (updates) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(updates).forEach(([key, value]) => {
+      if (value === null || value === undefined) next.delete(key);
+      else next.set(key, value);
+    });
+    setSearchParams(next);
+  };
+
+  const fetchBookmarks = useCallback(async () => {
+    const params = { page };
+    if (folder !== null) params.folder = folder;
+
+    try {
+      const response = await callApi(userService.getBookmarks, params);
+      setBookmarks(response.data);
+      setFolders(response.folders);
+      setPagination(response.pagination);
+    } catch (err) {
+      // Error is shown by useApi
+    }
+  }, [callApi, folder, page]);
+
+  useEffect(() => {
+    if (!user) {
+      navigate('/login');
+      return;
+    }
+    fetchBookmarks();
+  }, [user, navigate, fetchBookmarks]);
+
+  const handleRemove = async (bookmark) => {
+    setActionError('');
+    try {
+      await postService.removeBookmark(bookmark.postId);
+      await fetchBookmarks();
+    } catch (err) {
+      setActionError(err.response?.data?.message || 'Could not remove the bookmark.');
+    }
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setActionError('');
+    try {
+      await postService.bookmark(editing.postId, { folder: editing.folder, note: editing.note });
+      setEditing(null);
+      await fetchBookmarks();
+    } catch (err) {
+      const message = err.response?.data?.errors?.[0]?.msg || err.response?.data?.message;
+      setActionError(message || 'Could not save the bookmark.');
+    }
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    });
+  };
+
+  if (!user) {
+    return null;
+  }
+
+  const totalSaved = folders.reduce((total, item) => total + item.count, 0);
+
+  return (
+    <div className="fade-in">
+      {/* Header */}
+      <div className="mb-6">
+        <h2 className="text-3xl font-bold text-gray-800">Reading List</h2>
+        <p className="text-gray-600">Posts you saved for later</p>
+      </div>
+
+      {/* Folder Tabs */}
+      <nav className="flex flex-wrap gap-4 border-b border-gray-200 mb-6">
+        <button
+          onClick={() => updateParams({ folder: null, page: null })}
+          className={`pb-3 border-b-2 font-medium transition-colors ${
+            folder === null
+              ? 'border-primary-600 text-primary-600'
+              : 'border-transparent text-gray-500 hover:text-gray-700'
+          }`}
+        >
+          All
+          <span className="ml-2 text-xs bg-gray-100 text-gray-600 px-2 py-0.5 rounded-full">{totalSaved}</span>
+        </button>
+        {folders.map(item => (
+          <button
+            key={item.name || '__unsorted'}
+            onClick={() => updateParams({ folder: item.name, page: null })}
+            className={`pb-3 border-b-2 font-medium transition-colors ${
+              folder === item.name
+                ? 'border-primary-600 text-primary-600'
+                : 'border-transparent text-gray-500 hover:text-gray-700'
+            }`}
+          >
+            {item.name || 'Unsorted'}
+            <span className="ml-2 text-xs bg-gray-100 text-gray-600 px-2 py-0.5 rounded-full">{item.count}</span>
+          </button>
+        ))}
+      </nav>
+
+      {(error || actionError) && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
+          <p className="text-red-800 text-sm">{actionError || error}</p>
+        </div>
+      )}
+
+      {/* Bookmark List */}
+      {loading && bookmarks.length === 0 ? (
+        <div className="flex justify-center py-16">
+          <div className="loading-spinner"></div>
+        </div>
+      ) : bookmarks.length === 0 ? (
+        <div className="text-center py-16">
+          <p className="text-gray-500 mb-4">Nothing saved here yet. Use the bookmark button on any post to save it.</p>
+          <Link to="/" className="btn btn-primary">Browse posts</Link>
+        </div>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {bookmarks.map(bookmark => (
+            <li key={bookmark._id} className="py-4">
+              <div className="flex flex-col md:flex-row md:items-start gap-4">
+                <div className="flex-1 min-w-0">
+                  {bookmark.post ? (
+                    <>
+                      <Link
+                        to={`/posts/${bookmark.post.slug || bookmark.post._id}`}
+                        className="text-lg font-semibold text-gray-800 hover:text-primary-600 truncate block"
+                      >
+                        {bookmark.post.title}
+                      </Link>
+                      <p className="text-sm text-gray-500">
+                        {bookmark.post.author?.displayName || bookmark.post.author?.username}
+                        {bookmark.post.category && ` · ${bookmark.post.category.name}`}
+                        {` · Saved ${formatDate(bookmark.createdAt)}`}
+                      </p>
+                    </>
+                  ) : (
+                    <p className="text-gray-500 italic">This post is no longer available.</p>
+                  )}
+                  {bookmark.folder && (
+                    <span className="inline-block mt-1 text-xs bg-gray-100 text-gray-600 px-2 py-0.5 rounded-full">
+                      {bookmark.folder}
+                    </span>
+                  )}
+                  {bookmark.note && editing?._id !== bookmark._id && (
+                    <p className="mt-2 text-sm text-gray-700 bg-yellow-50 border-l-4 border-yellow-300 px-3 py-2 rounded-r">
+                      {bookmark.note}
+                    </p>
+                  )}
+
+                  {/* Folder and Note Editor */}
+                  {editing?._id === bookmark._id && (
+                    <form onSubmit={handleSave} className="mt-3 space-y-2">
+                      <input
+                        type="text"
+                        value={editing.folder}
+                        onChange={(e) => setEditing(prev => ({ ...prev, folder: e.target.value }))}
+                        list="bookmark-folders"
+                        maxLength={50}
+                        placeholder="Folder (optional)"
+                        className="form-input text-sm"
+                      />
+                      <textarea
+                        value={editing.note}
+                        onChange={(e) => setEditing(prev => ({ ...prev, note: e.target.value }))}
+                        maxLength={500}
+                        rows={3}
+                        placeholder="Note (optional)"
+                        className="form-textarea text-sm"
+                      />
+                      <div className="flex gap-2">
+                        <button type="submit" className="btn btn-primary text-sm">Save</button>
+                        <button type="button" onClick={() => setEditing(null)} className="btn btn-outline text-sm">
+                          Cancel
+                        </button>
+                      </div>
+                    </form>
+                  )}
+                </div>
+
+                <div className="flex gap-2 flex-shrink-0">
+                  {bookmark.post && editing?._id !== bookmark._id && (
+                    <button
+                      onClick={() => setEditing({
+                        _id: bookmark._id,
+                        postId: bookmark.postId,
+                        folder: bookmark.folder || '',
+                        note: bookmark.note || ''
+                      })}
+                      className="btn btn-outline text-sm"
+                    >
+                      Edit
+                    </button>
+                  )}
+                  <button
+                    onClick={() => handleRemove(bookmark)}
+                    className="btn btn-outline text-sm text-red-600 border-red-200 hover:bg-red-50"
+                  >
+                    Remove
+                  </button>
+                </div>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* Existing folder names for the folder input */}
+      <datalist id="bookmark-folders">
+        {folders.filter(item => item.name).map(item => (
+          <option key={item.name} value={item.name} />
+        ))}
+      </datalist>
+
+      {/* Pagination */}
+      {pagination && pagination.pages > 1 && (
+        <div className="flex justify-center items-center gap-4 mt-8">
+          <button
+            onClick={() => updateParams({ page: String(page - 1) })}
+            disabled={page <= 1}
+            className="btn btn-outline disabled:opacity-50"
+          >
+            Previous
+          </button>
+          <span className="text-gray-600">Page {page} of {pagination.pages}</span>
+          <button
+            onClick={() => updateParams({ page: String(page + 1) })}
+            disabled={page >= pagination.pages}
+            className="btn btn-outline disabled:opacity-50"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReadingList;
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/auth.context.jsx';
+import { authService } from '../services/api.js';
 
 // Password strength checker
 const checkPasswordStrength = (password) => {
@@ -51,6 +52,13 @@ const validateUsername = (username) => {
   return null;
 };
 
+// Messages for the reasons returned by the availability endpoint
+const usernameReasons = {
+  taken: 'Username is already taken',
+  reserved: 'This username is reserved',
+  invalid: 'Username can only contain letters, numbers, and underscores'
+};
+
 const Register = () => {
   const [formData, setFormData] = useState({
     username: '',
@@ -64,6 +72,7 @@ const Register = () => {
   const [touched, setTouched] = useState({});
   const [isCheckingUsername, setIsCheckingUsername] = useState(false);
   const [usernameAvailable, setUsernameAvailable] = useState(null);
+  const [usernameMessage, setUsernameMessage] = useState('');
   
   const { register, loading } = useAuth();
   const navigate = useNavigate();
@@ -77,19 +86,33 @@ const Register = () => {
     }
   }, [formData.password]);
 
-  // Simulate username availability check
+  // Debounced username availability check against the backend
   useEffect(() => {
-    if (formData.username && formData.username.length >= 3) {
+    const username = formData.username.trim();
+    if (username.length >= 3 && !validateUsername(username)) {
+      let cancelled = false;
       setIsCheckingUsername(true);
-      const timer = setTimeout(() => {
-        // Simulate API call - in real app, this would check against your backend
-        const isAvailable = Math.random() > 0.3; // 70% chance of being available
-        setUsernameAvailable(isAvailable);
-        setIsCheckingUsername(false);
-      }, 1000);
-      return () => clearTimeout(timer);
+      const timer = setTimeout(async () => {
+        try {
+          const response = await authService.checkAvailability({ username });
+          if (cancelled) return;
+          const result = response.data.username;
+          setUsernameAvailable(result.available);
+          setUsernameMessage(usernameReasons[result.reason] || '');
+        } catch (error) {
+          // If the check fails, let the server decide on submit
+          if (!cancelled) setUsernameAvailable(null);
+        } finally {
+          if (!cancelled) setIsCheckingUsername(false);
+        }
+      }, 500);
+      return () => {
+        cancelled = true;
+        clearTimeout(timer);
+      };
     } else {
       setUsernameAvailable(null);
+      setIsCheckingUsername(false);
     }
   }, [formData.username]);
 
@@ -109,6 +132,17 @@ const Register = () => {
     }
   };
 
+  const checkEmailAvailability = async (email) => {
+    try {
+      const response = await authService.checkAvailability({ email });
+      if (!response.data.email.available) {
+        setFormErrors(prev => ({ ...prev, email: 'An account with this email already exists' }));
+      }
+    } catch (error) {
+      // Fall back to the check on submit
+    }
+  };
+
   const handleBlur = (e) => {
     const { name, value } = e.target;
     setTouched(prev => ({ ...prev, [name]: true }));
@@ -116,6 +150,8 @@ const Register = () => {
     // Validate on blur
     if (name === 'email' && value && !validateEmail(value)) {
       setFormErrors(prev => ({ ...prev, email: 'Please enter a valid email address' }));
+    } else if (name === 'email' && value) {
+      checkEmailAvailability(value);
     }
     
     if (name === 'username' && value) {
@@ -135,6 +171,7 @@ const Register = () => {
     } else {
       const usernameError = validateUsername(formData.username);
       if (usernameError) errors.username = usernameError;
+      else if (usernameAvailable === false) errors.username = usernameMessage;
     }
 
     // Email validation
@@ -282,7 +319,7 @@ const Register = () => {
               <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20">
                 <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
               </svg>
-              Username is already taken
+              {usernameMessage}
             </div>
           )}
         </div>
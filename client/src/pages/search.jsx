@@ -0,0 +1,312 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import PostCard from '../components/post/postcard.jsx';
+import { postService } from '../services/api.js';
+import { useApi } from '../hooks/useAPi.js';
+
+const FILTER_KEYS = ['category', 'author', 'tag', 'from', 'to'];
+
+// "2026-10" -> first and last day of that month, as YYYY-MM-DD
+const monthRange = (month) => {
+  const [year, monthIndex] = month.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(year, monthIndex, 0)).getUTCDate();
+  return { from: `${month}-01`, to: `${month}-${String(lastDay).padStart(2, '0')}` };
+};
+
+const formatMonth = (month) => {
+  const [year, monthIndex] = month.split('-').map(Number);
+  return new Date(year, monthIndex - 1).toLocaleDateString('en-US', { year: 'numeric', month: 'long' });
+};
+
+// One facet group with clickable values and their result counts
+const FacetGroup = ({ title, items, isActive, onSelect }) => {
+  if (!items.length) return null;
+
+  return (
+    <div className="mb-6">
+      <h3 className="text-sm font-semibold text-gray-700 uppercase tracking-wide mb-2">{title}</h3>
+      <ul className="space-y-1">
+        {items.map(item => (
+          <li key={item.key}>
+            <button
+              type="button"
+              onClick={() => onSelect(item)}
+              className={`w-full flex items-center justify-between text-left text-sm px-2 py-1 rounded transition-colors ${
+                isActive(item) ? 'bg-primary-50 text-primary-700 font-medium' : 'text-gray-600 hover:bg-gray-50'
+              }`}
+            >
+              <span className="truncate">{item.label}</span>
+              <span className="ml-2 text-xs bg-gray-100 text-gray-600 px-2 py-0.5 rounded-full">{item.count}</span>
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+const Search = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { loading, error, callApi } = useApi();
+  const [posts, setPosts] = useState([]);
+  const [facets, setFacets] = useState({ categories: [], tags: [], authors: [], dates: [] });
+  const [suggestions, setSuggestions] = useState(null);
+  const [pagination, setPagination] = useState(null);
+
+  const query = searchParams.get('q') || '';
+  const page = parseInt(searchParams.get('page')) || 1;
+  const [queryInput, setQueryInput] = useState(query);
+
+  // Keep the search box in step with back/forward navigation
+  useEffect(() => {
+    setQueryInput(query);
+  }, [query]);
+
+  const updateParams = (updates) => {
+    const next = new URLSearchParams(searchParams);
+    Object.entries(updates).forEach(([key, value]) => {
+      if (value) next.set(key, value);
+      else next.delete(key);
+    });
+    // Any change other than paging starts from the first page
+    if (!('page' in updates)) next.delete('page');
+    setSearchParams(next);
+  };
+
+  useEffect(() => {
+    const fetchResults = async () => {
+      const params = { page, limit: 12 };
+      FILTER_KEYS.forEach(key => {
+        if (searchParams.get(key)) params[key] = searchParams.get(key);
+      });
+
+      try {
+        const response = await callApi(postService.searchPosts, query, params);
+        setPosts(response.data);
+        setFacets(response.facets);
+        setSuggestions(response.suggestions);
+        setPagination(response.pagination);
+      } catch (err) {
+        // Error is shown by useApi
+      }
+    };
+
+    fetchResults();
+  }, [searchParams, query, page, callApi]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    updateParams({ q: queryInput.trim() });
+  };
+
+  const toggleParam = (key, value) => {
+    updateParams({ [key]: searchParams.get(key) === value ? null : value });
+  };
+
+  const clearFilters = () => {
+    updateParams(Object.fromEntries(FILTER_KEYS.map(key => [key, null])));
+  };
+
+  const activeFilters = [];
+  if (searchParams.get('category')) {
+    const category = facets.categories.find(item => item._id === searchParams.get('category'));
+    activeFilters.push({ key: 'category', label: `Category: ${category?.name || 'Selected'}` });
+  }
+  if (searchParams.get('author')) {
+    const author = facets.authors.find(item => item._id === searchParams.get('author'));
+    activeFilters.push({ key: 'author', label: `Author: ${author?.displayName || author?.username || 'Selected'}` });
+  }
+  if (searchParams.get('tag')) {
+    activeFilters.push({ key: 'tag', label: `Tag: #${searchParams.get('tag')}` });
+  }
+  if (searchParams.get('from') || searchParams.get('to')) {
+    activeFilters.push({
+      key: 'date',
+      label: `Date: ${searchParams.get('from') || '…'} – ${searchParams.get('to') || '…'}`
+    });
+  }
+
+  const removeFilter = (key) => {
+    if (key === 'date') updateParams({ from: null, to: null });
+    else updateParams({ [key]: null });
+  };
+
+  const selectedMonth = (item) => {
+    const range = monthRange(item.key);
+    return searchParams.get('from') === range.from && searchParams.get('to') === range.to;
+  };
+
+  return (
+    <div className="fade-in">
+      {/* Search Box */}
+      <form onSubmit={handleSubmit} className="flex gap-3 mb-6">
+        <input
+          type="search"
+          value={queryInput}
+          onChange={(e) => setQueryInput(e.target.value)}
+          placeholder='Search posts, e.g. react hooks or "state management"'
+          className="form-input flex-1"
+        />
+        <button type="submit" className="btn btn-primary">Search</button>
+      </form>
+
+      <div className="flex flex-col lg:flex-row gap-8">
+        {/* Facets */}
+        <aside className="lg:w-64 flex-shrink-0">
+          <FacetGroup
+            title="Category"
+            items={facets.categories.map(item => ({ key: item._id, label: item.name, count: item.count }))}
+            isActive={(item) => searchParams.get('category') === item.key}
+            onSelect={(item) => toggleParam('category', item.key)}
+          />
+          <FacetGroup
+            title="Tags"
+            items={facets.tags.map(item => ({ key: item.tag, label: `#${item.tag}`, count: item.count }))}
+            isActive={(item) => searchParams.get('tag') === item.key}
+            onSelect={(item) => toggleParam('tag', item.key)}
+          />
+          <FacetGroup
+            title="Author"
+            items={facets.authors.map(item => ({
+              key: item._id,
+              label: item.displayName || item.username,
+              count: item.count
+            }))}
+            isActive={(item) => searchParams.get('author') === item.key}
+            onSelect={(item) => toggleParam('author', item.key)}
+          />
+          <FacetGroup
+            title="Published"
+            items={facets.dates.map(item => ({ key: item.month, label: formatMonth(item.month), count: item.count }))}
+            isActive={selectedMonth}
+            onSelect={(item) => updateParams(selectedMonth(item) ? { from: null, to: null } : monthRange(item.key))}
+          />
+
+          {/* Custom Date Range */}
+          <div className="mb-6">
+            <h3 className="text-sm font-semibold text-gray-700 uppercase tracking-wide mb-2">Date Range</h3>
+            <div className="space-y-2">
+              <input
+                type="date"
+                value={searchParams.get('from') || ''}
+                onChange={(e) => updateParams({ from: e.target.value })}
+                className="form-input text-sm"
+                aria-label="From date"
+              />
+              <input
+                type="date"
+                value={searchParams.get('to') || ''}
+                onChange={(e) => updateParams({ to: e.target.value })}
+                className="form-input text-sm"
+                aria-label="To date"
+              />
+            </div>
+          </div>
+        </aside>
+
+        {/* Results */}
+        <section className="flex-1 min-w-0">
+          <div className="flex flex-wrap items-center gap-2 mb-4">
+            <h2 className="text-2xl font-bold text-gray-800 mr-2">
+              {query ? <>Results for &ldquo;{query}&rdquo;</> : 'Browse posts'}
+            </h2>
+            {pagination && (
+              <span className="text-gray-500 text-sm">
+                {pagination.total} {pagination.total === 1 ? 'post' : 'posts'}
+              </span>
+            )}
+          </div>
+
+          {activeFilters.length > 0 && (
+            <div className="flex flex-wrap items-center gap-2 mb-6">
+              {activeFilters.map(filter => (
+                <button
+                  key={filter.key}
+                  type="button"
+                  onClick={() => removeFilter(filter.key)}
+                  className="text-sm bg-primary-50 text-primary-700 px-3 py-1 rounded-full hover:bg-primary-100 transition-colors"
+                >
+                  {filter.label} &times;
+                </button>
+              ))}
+              <button type="button" onClick={clearFilters} className="text-sm text-gray-500 hover:text-gray-700 underline">
+                Clear all
+              </button>
+            </div>
+          )}
+
+          {error && (
+            <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
+              <p className="text-red-800 text-sm">{error}</p>
+            </div>
+          )}
+
+          {loading && posts.length === 0 ? (
+            <div className="flex justify-center py-16">
+              <div className="loading-spinner"></div>
+            </div>
+          ) : posts.length === 0 ? (
+            <div className="text-center py-16">
+              <p className="text-gray-700 font-medium mb-2">No posts found{query && <> for &ldquo;{query}&rdquo;</>}.</p>
+              <ul className="text-gray-500 text-sm space-y-1 mb-6">
+                <li>Check the spelling or try more general words.</li>
+                {suggestions?.withoutFilters > 0 && (
+                  <li>
+                    <button type="button" onClick={clearFilters} className="text-primary-600 hover:underline">
+                      Remove the filters to see {suggestions.withoutFilters} {suggestions.withoutFilters === 1 ? 'result' : 'results'}
+                    </button>
+                  </li>
+                )}
+              </ul>
+              {suggestions?.popularTags?.length > 0 && (
+                <div>
+                  <p className="text-sm text-gray-600 mb-2">Popular tags</p>
+                  <div className="flex flex-wrap justify-center gap-2">
+                    {suggestions.popularTags.map(item => (
+                      <Link
+                        key={item.tag}
+                        to={`/search?tag=${encodeURIComponent(item.tag)}`}
+                        className="text-sm bg-gray-100 text-gray-700 px-3 py-1 rounded-full hover:bg-gray-200 transition-colors"
+                      >
+                        #{item.tag}
+                      </Link>
+                    ))}
+                  </div>
+                </div>
+              )}
+            </div>
+          ) : (
+            <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-6 mb-8">
+              {posts.map(post => (
+                <PostCard key={post._id} post={post} />
+              ))}
+            </div>
+          )}
+
+          {/* Pagination */}
+          {pagination && pagination.pages > 1 && (
+            <div className="flex justify-center items-center gap-4 mt-8">
+              <button
+                onClick={() => updateParams({ page: String(page - 1) })}
+                disabled={page <= 1}
+                className="btn btn-outline disabled:opacity-50"
+              >
+                Previous
+              </button>
+              <span className="text-gray-600">Page {page} of {pagination.pages}</span>
+              <button
+                onClick={() => updateParams({ page: String(page + 1) })}
+                disabled={page >= pagination.pages}
+                className="btn btn-outline disabled:opacity-50"
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+};
+
+export default Search;
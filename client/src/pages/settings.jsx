@@ -0,0 +1,419 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/auth.context.jsx';
+import { authService, notificationService } from '../services/api.js';
+import { useApi } from '../hooks/useAPi.js';
+
+// List of recovery codes with a copy button, shown once after generating them
+const RecoveryCodes = ({ codes, onDone }) => {
+  const [copied, setCopied] = useState(false);
+
+  const copyCodes = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join('\n'));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Failed to copy:', err);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4">
+        <p className="text-yellow-800 text-sm">
+          Save these recovery codes somewhere safe. Each code can be used once to sign in if you lose
+          access to your authenticator app. They won't be shown again.
+        </p>
+      </div>
+      <div className="grid grid-cols-2 gap-2 font-mono text-sm bg-gray-50 p-4 rounded-lg">
+        {codes.map(code => (
+          <span key={code}>{code}</span>
+        ))}
+      </div>
+      <div className="flex gap-2">
+        <button type="button" onClick={copyCodes} className="btn btn-outline">
+          {copied ? 'Copied!' : 'Copy codes'}
+        </button>
+        <button type="button" onClick={onDone} className="btn btn-primary">
+          I've saved them
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const NOTIFICATION_TYPES = [
+  { type: 'comment', label: 'Comments on my posts' },
+  { type: 'reply', label: 'Replies to my comments' },
+  { type: 'mention', label: 'Mentions of me' },
+  { type: 'reaction', label: 'Reactions to my posts and comments' },
+  { type: 'moderation', label: 'Moderation decisions about my content' }
+];
+
+// Checkboxes for the notification types the user receives; each change is saved straight away
+const NotificationPreferences = () => {
+  const [preferences, setPreferences] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    notificationService.getPreferences()
+      .then(response => setPreferences(response.data))
+      .catch(() => setError('Failed to load notification settings'));
+  }, []);
+
+  const toggle = async (type) => {
+    const previous = preferences;
+    setPreferences({ ...preferences, [type]: !preferences[type] });
+    setError('');
+    try {
+      const response = await notificationService.updatePreferences({ [type]: !previous[type] });
+      setPreferences(response.data);
+    } catch (err) {
+      setPreferences(previous);
+      setError(err.response?.data?.message || 'Failed to save notification settings');
+    }
+  };
+
+  return (
+    <section className="border border-gray-200 rounded-lg p-6 mt-6">
+      <h3 className="text-xl font-semibold text-gray-800">Notifications</h3>
+      <p className="text-sm text-gray-600 mb-4">Choose what you want to be notified about.</p>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-4">
+          <p className="text-red-800 text-sm">{error}</p>
+        </div>
+      )}
+
+      {preferences ? (
+        <div className="space-y-3">
+          {NOTIFICATION_TYPES.map(({ type, label }) => (
+            <label key={type} className="flex items-center gap-3 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={preferences[type] !== false}
+                onChange={() => toggle(type)}
+              />
+              {label}
+            </label>
+          ))}
+        </div>
+      ) : !error && (
+        <p className="text-sm text-gray-500">Loading...</p>
+      )}
+    </section>
+  );
+};
+
+const EMAIL_TYPES = [
+  { type: 'comment', label: 'New comments on my posts' },
+  { type: 'reply', label: 'Replies to my comments' }
+];
+
+const EMAIL_MODES = [
+  { mode: 'immediate', label: 'Right away' },
+  { mode: 'daily', label: 'Daily digest' },
+  { mode: 'off', label: 'Off' }
+];
+
+// How comment and reply emails are delivered; each change is saved straight away
+const EmailPreferences = ({ emailVerified }) => {
+  const [preferences, setPreferences] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    notificationService.getEmailPreferences()
+      .then(response => setPreferences(response.data))
+      .catch(() => setError('Failed to load email settings'));
+  }, []);
+
+  const change = async (type, mode) => {
+    const previous = preferences;
+    setPreferences({ ...preferences, [type]: mode });
+    setError('');
+    try {
+      const response = await notificationService.updateEmailPreferences({ [type]: mode });
+      setPreferences(response.data);
+    } catch (err) {
+      setPreferences(previous);
+      setError(err.response?.data?.message || 'Failed to save email settings');
+    }
+  };
+
+  return (
+    <section className="border border-gray-200 rounded-lg p-6 mt-6">
+      <h3 className="text-xl font-semibold text-gray-800">Email</h3>
+      <p className="text-sm text-gray-600 mb-4">
+        Get an email as it happens, or one digest a day.
+        {!emailVerified && ' Emails are only sent once you have confirmed your email address.'}
+      </p>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-4">
+          <p className="text-red-800 text-sm">{error}</p>
+        </div>
+      )}
+
+      {preferences ? (
+        <div className="space-y-3">
+          {EMAIL_TYPES.map(({ type, label }) => (
+            <div key={type} className="flex items-center justify-between gap-4">
+              <label className="text-sm text-gray-700" htmlFor={`email-${type}`}>{label}</label>
+              <select
+                id={`email-${type}`}
+                value={preferences[type] || 'immediate'}
+                onChange={(e) => change(type, e.target.value)}
+                className="form-input w-auto"
+              >
+                {EMAIL_MODES.map(({ mode, label: modeLabel }) => (
+                  <option key={mode} value={mode}>{modeLabel}</option>
+                ))}
+              </select>
+            </div>
+          ))}
+        </div>
+      ) : !error && (
+        <p className="text-sm text-gray-500">Loading...</p>
+      )}
+    </section>
+  );
+};
+
+const Settings = () => {
+  const { user, updateUser } = useAuth();
+  const { loading, error, callApi, clearError } = useApi();
+  const navigate = useNavigate();
+
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [showDisable, setShowDisable] = useState(false);
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    if (!user) {
+      navigate('/login');
+    }
+  }, [user, navigate]);
+
+  const resetForms = () => {
+    setCode('');
+    setPassword('');
+    clearError();
+  };
+
+  const startSetup = async () => {
+    resetForms();
+    setMessage('');
+    try {
+      const response = await callApi(authService.setupTwoFactor);
+      setSetup(response.data);
+    } catch (err) {
+      // Error is shown by useApi
+    }
+  };
+
+  const confirmSetup = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await callApi(authService.enableTwoFactor, code.trim());
+      setRecoveryCodes(response.data.recoveryCodes);
+      setSetup(null);
+      resetForms();
+      updateUser({ twoFactorEnabled: true });
+    } catch (err) {
+      // Error is shown by useApi
+    }
+  };
+
+  const disableTwoFactor = async (e) => {
+    e.preventDefault();
+    try {
+      await callApi(authService.disableTwoFactor, { password, code: code.trim() });
+      setShowDisable(false);
+      resetForms();
+      updateUser({ twoFactorEnabled: false });
+      setMessage('Two-factor authentication has been disabled.');
+    } catch (err) {
+      // Error is shown by useApi
+    }
+  };
+
+  const regenerateCodes = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await callApi(authService.regenerateRecoveryCodes, code.trim());
+      setRecoveryCodes(response.data.recoveryCodes);
+      resetForms();
+    } catch (err) {
+      // Error is shown by useApi
+    }
+  };
+
+  if (!user) {
+    return null;
+  }
+
+  return (
+    <div className="max-w-2xl mx-auto fade-in">
+      <h2 className="text-3xl font-bold text-gray-800 mb-2">Account Settings</h2>
+      <p className="text-gray-600 mb-8">Manage how you sign in and what you are notified about</p>
+
+      {/* Two-Factor Authentication */}
+      <section className="border border-gray-200 rounded-lg p-6">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h3 className="text-xl font-semibold text-gray-800">Two-Factor Authentication</h3>
+            <p className="text-sm text-gray-600">
+              Require a code from an authenticator app when signing in.
+            </p>
+          </div>
+          <span className={`tag ${user.twoFactorEnabled ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-600'}`}>
+            {user.twoFactorEnabled ? 'Enabled' : 'Disabled'}
+          </span>
+        </div>
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-4">
+            <p className="text-red-800 text-sm">{error}</p>
+          </div>
+        )}
+
+        {message && (
+          <div className="bg-green-50 border border-green-200 rounded-lg p-4 mb-4">
+            <p className="text-green-800 text-sm">{message}</p>
+          </div>
+        )}
+
+        {recoveryCodes ? (
+          <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />
+        ) : !user.twoFactorEnabled ? (
+          setup ? (
+            <form onSubmit={confirmSetup} className="space-y-4">
+              <p className="text-sm text-gray-700">
+                Scan this QR code with your authenticator app, then enter the 6-digit code it shows.
+              </p>
+              <img src={setup.qrCode} alt="Two-factor QR code" className="w-48 h-48 mx-auto" />
+              <p className="text-xs text-gray-500 text-center break-all">
+                Can't scan it? Enter this key manually: <code className="font-mono">{setup.secret}</code>
+              </p>
+              <div className="form-group">
+                <label className="form-label" htmlFor="code">Authentication Code *</label>
+                <input
+                  type="text"
+                  id="code"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  required
+                  className="form-input"
+                  placeholder="123456"
+                />
+              </div>
+              <div className="flex gap-2">
+                <button type="submit" disabled={loading} className="btn btn-primary">
+                  {loading ? 'Verifying...' : 'Enable'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => {
+                    setSetup(null);
+                    resetForms();
+                  }}
+                  className="btn btn-outline"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          ) : (
+            <button type="button" onClick={startSetup} disabled={loading} className="btn btn-primary">
+              {loading ? 'Loading...' : 'Set up two-factor authentication'}
+            </button>
+          )
+        ) : showDisable ? (
+          <form onSubmit={disableTwoFactor} className="space-y-4">
+            <div className="form-group">
+              <label className="form-label" htmlFor="password">Password *</label>
+              <input
+                type="password"
+                id="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                required
+                className="form-input"
+              />
+            </div>
+            <div className="form-group">
+              <label className="form-label" htmlFor="disableCode">Authentication Code *</label>
+              <input
+                type="text"
+                id="disableCode"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                required
+                className="form-input"
+                placeholder="123456"
+              />
+            </div>
+            <div className="flex gap-2">
+              <button type="submit" disabled={loading} className="btn btn-outline text-red-600 border-red-200 hover:bg-red-50">
+                {loading ? 'Disabling...' : 'Disable two-factor authentication'}
+              </button>
+              <button
+                type="button"
+                onClick={() => {
+                  setShowDisable(false);
+                  resetForms();
+                }}
+                className="btn btn-outline"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        ) : (
+          <div className="space-y-4">
+            <form onSubmit={regenerateCodes} className="flex flex-col sm:flex-row gap-2">
+              <input
+                type="text"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                required
+                className="form-input"
+                placeholder="Code from your app"
+              />
+              <button type="submit" disabled={loading} className="btn btn-outline whitespace-nowrap">
+                New recovery codes
+              </button>
+            </form>
+            <button
+              type="button"
+              onClick={() => {
+                setShowDisable(true);
+                resetForms();
+                setMessage('');
+              }}
+              className="btn btn-outline text-red-600 border-red-200 hover:bg-red-50"
+            >
+              Disable two-factor authentication
+            </button>
+          </div>
+        )}
+      </section>
+
+      <NotificationPreferences />
+
+      <EmailPreferences emailVerified={user.emailVerified} />
+    </div>
+  );
+};
+
+export default Settings;
@@ -0,0 +1,69 @@
+import React, { useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useAuth } from '../context/auth.context.jsx';
+import { notificationService } from '../services/api.js';
+
+// Opened from the unsubscribe link in an email; works without signing in.
+// Nothing changes until the button is clicked, so link scanners and previews
+// that load the page don't unsubscribe anyone.
+const Unsubscribe = () => {
+  const { token } = useParams();
+  const { user } = useAuth();
+  const [status, setStatus] = useState('confirm');
+  const [message, setMessage] = useState('');
+
+  const handleUnsubscribe = async () => {
+    setStatus('working');
+    try {
+      const response = await notificationService.unsubscribe(token);
+      setMessage(response.message);
+      setStatus('success');
+    } catch (error) {
+      setMessage(error.response?.data?.message || 'Unsubscribing failed. Please try again.');
+      setStatus('error');
+    }
+  };
+
+  return (
+    <div className="max-w-md mx-auto bg-white p-8 rounded-lg shadow-lg fade-in text-center">
+      <h2 className="text-3xl font-bold text-gray-800 mb-4">Email Preferences</h2>
+
+      {(status === 'confirm' || status === 'working') && (
+        <>
+          <p className="text-gray-600 mb-6">Stop receiving these emails about comments?</p>
+          <button
+            type="button"
+            onClick={handleUnsubscribe}
+            disabled={status === 'working'}
+            className="btn btn-primary"
+          >
+            {status === 'working' ? 'Unsubscribing...' : 'Unsubscribe'}
+          </button>
+        </>
+      )}
+
+      {status === 'success' && (
+        <div className="bg-green-50 border border-green-200 rounded-lg p-4 mb-6">
+          <p className="text-green-800 text-sm">{message}</p>
+        </div>
+      )}
+
+      {status === 'error' && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
+          <p className="text-red-800 text-sm">{message}</p>
+        </div>
+      )}
+
+      {(status === 'success' || status === 'error') && (
+        <Link
+          to={user ? '/settings' : '/login'}
+          className="btn btn-primary"
+        >
+          {user ? 'Manage email preferences' : 'Sign in to manage email preferences'}
+        </Link>
+      )}
+    </div>
+  );
+};
+
+export default Unsubscribe;
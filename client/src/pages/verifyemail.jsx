@@ -0,0 +1,75 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useAuth } from '../context/auth.context.jsx';
+import { authService } from '../services/api.js';
+
+const VerifyEmail = () => {
+  const { token } = useParams();
+  const { user, updateUser } = useAuth();
+  const [status, setStatus] = useState('verifying');
+  const [message, setMessage] = useState('');
+  // Tokens are single-use, so only send each one once (StrictMode runs effects twice)
+  const verifiedToken = useRef(null);
+
+  useEffect(() => {
+    if (verifiedToken.current === token) return;
+    verifiedToken.current = token;
+
+    const verify = async () => {
+      try {
+        const response = await authService.verifyEmail(token);
+        if (user) {
+          updateUser({ emailVerified: true });
+        }
+        setMessage(response.message);
+        setStatus('success');
+      } catch (error) {
+        setMessage(error.response?.data?.message || 'Verification failed. Please try again.');
+        setStatus('error');
+      }
+    };
+
+    verify();
+  }, [token, user, updateUser]);
+
+  return (
+    <div className="max-w-md mx-auto bg-white p-8 rounded-lg shadow-lg fade-in text-center">
+      <h2 className="text-3xl font-bold text-gray-800 mb-4">Email Verification</h2>
+
+      {status === 'verifying' && (
+        <div className="flex items-center justify-center gap-2 text-gray-600">
+          <div className="loading-spinner"></div>
+          Verifying your email...
+        </div>
+      )}
+
+      {status === 'success' && (
+        <div className="bg-green-50 border border-green-200 rounded-lg p-4 mb-6">
+          <p className="text-green-800 text-sm">{message}</p>
+        </div>
+      )}
+
+      {status === 'error' && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
+          <p className="text-red-800 text-sm">{message}</p>
+          {user && (
+            <p className="text-red-700 text-sm mt-2">
+              You can request a new link from the banner at the top of the page.
+            </p>
+          )}
+        </div>
+      )}
+
+      {status !== 'verifying' && (
+        <Link
+          to={user ? '/' : '/login'}
+          className="btn btn-primary"
+        >
+          {user ? 'Go to homepage' : 'Sign in'}
+        </Link>
+      )}
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -24,15 +24,75 @@ api.interceptors.request.use(
   }
 );
 
+// Clear the stored session and send the user back to the login page
+const endSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+  window.location.href = '/login';
+};
+
+// Store the token pair returned by login, register and refresh
+const saveTokens = ({ token, refreshToken }) => {
+  if (token) {
+    localStorage.setItem('token', token);
+  }
+  if (refreshToken) {
+    localStorage.setItem('refreshToken', refreshToken);
+  }
+};
+
+// Share a single refresh request between all calls that fail at the same time
+let refreshPromise = null;
+
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+    // Use a bare axios call so a failed refresh doesn't re-enter the interceptor
+    refreshPromise = axios
+      .post(`${api.defaults.baseURL}/auth/refresh`, { refreshToken })
+      .then((response) => {
+        saveTokens(response.data.data);
+        return response.data.data.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+// Requests where a 401 means bad credentials rather than an expired access token
+const NO_REFRESH_URLS = ['/auth/login', '/auth/login/2fa', '/auth/register', '/auth/refresh'];
+
 // Add response interceptor for error handling
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    // Handle authentication errors
-    if (error.response && error.response.status === 401) {
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
-      window.location.href = '/login';
+  async (error) => {
+    const originalRequest = error.config;
+
+    // Handle authentication errors by refreshing the access token once
+    if (
+      error.response &&
+      error.response.status === 401 &&
+      originalRequest &&
+      !originalRequest._retry &&
+      !NO_REFRESH_URLS.includes(originalRequest.url) &&
+      localStorage.getItem('refreshToken')
+    ) {
+      originalRequest._retry = true;
+      try {
+        const token = await refreshAccessToken();
+        originalRequest.headers.Authorization = `Bearer ${token}`;
+        return api(originalRequest);
+      } catch (refreshError) {
+        endSession();
+        return Promise.reject(refreshError);
+      }
+    }
+
+    if (error.response && error.response.status === 401 && localStorage.getItem('token')) {
+      endSession();
     }
     return Promise.reject(error);
   }
@@ -40,13 +100,9 @@ api.interceptors.response.use(
 
 // Post API services
 export const postService = {
-  // Get all posts with optional pagination and filters
-  getAllPosts: async (page = 1, limit = 10, category = null) => {
-    let url = `/posts?page=${page}&limit=${limit}`;
-    if (category) {
-      url += `&category=${category}`;
-    }
-    const response = await api.get(url);
+  // Get published posts ({ page, limit, sort, category, author, tag, from, to, search, fields })
+  getAllPosts: async (params = {}) => {
+    const response = await api.get('/posts', { params });
     return response.data;
   },
 
@@ -74,15 +130,95 @@ export const postService = {
     return response.data;
   },
 
+  // React to a post ('like', 'love', 'laugh', 'wow', 'sad', 'celebrate'), replacing any earlier reaction
+  react: async (id, type = 'like') => {
+    const response = await api.post(`/posts/${id}/reactions`, { type });
+    return response.data;
+  },
+
+  // Remove the current user's reaction
+  removeReaction: async (id) => {
+    const response = await api.delete(`/posts/${id}/reactions`);
+    return response.data;
+  },
+
+  // Save a post to the reading list ({ folder, note } optional); saving again updates them
+  bookmark: async (id, data = {}) => {
+    const response = await api.post(`/posts/${id}/bookmark`, data);
+    return response.data;
+  },
+
+  // Remove a post from the reading list
+  removeBookmark: async (id) => {
+    const response = await api.delete(`/posts/${id}/bookmark`);
+    return response.data;
+  },
+
+  // A post's comment tree ({ after, before, limit, sort, depth, parent })
+  getComments: async (postId, params = {}) => {
+    const response = await api.get(`/posts/${postId}/comments`, { params });
+    return response.data;
+  },
+
   // Add a comment to a post
   addComment: async (postId, commentData) => {
     const response = await api.post(`/posts/${postId}/comments`, commentData);
     return response.data;
   },
 
-  // Search posts
-  searchPosts: async (query) => {
-    const response = await api.get(`/posts/search?q=${query}`);
+  // Edit a comment's content
+  updateComment: async (postId, commentId, commentData) => {
+    const response = await api.put(`/posts/${postId}/comments/${commentId}`, commentData);
+    return response.data;
+  },
+
+  // Delete a comment; returns the placeholder or the ids removed from the thread
+  deleteComment: async (postId, commentId) => {
+    const response = await api.delete(`/posts/${postId}/comments/${commentId}`);
+    return response.data;
+  },
+
+  // Get the signed-in author's posts ({ status, sort, page, limit })
+  getMyPosts: async (params = {}) => {
+    const response = await api.get('/posts/mine', { params });
+    return response.data;
+  },
+
+  // Publish or unpublish a post ('published' | 'draft')
+  setPostStatus: async (id, status) => {
+    const response = await api.patch(`/posts/${id}/status`, { status });
+    return response.data;
+  },
+
+  // Copy a post into a new draft
+  duplicatePost: async (id) => {
+    const response = await api.post(`/posts/${id}/duplicate`);
+    return response.data;
+  },
+
+  // List a post's saved revisions, newest first
+  getRevisions: async (id) => {
+    const response = await api.get(`/posts/${id}/revisions`);
+    return response.data;
+  },
+
+  // Word diff of a revision against an older one (defaults to the previous revision)
+  getRevisionDiff: async (id, rev, against = null) => {
+    const response = await api.get(`/posts/${id}/revisions/${rev}/diff`, {
+      params: against ? { against } : {}
+    });
+    return response.data;
+  },
+
+  // Restore a post to the content of an earlier revision
+  restoreRevision: async (id, rev) => {
+    const response = await api.post(`/posts/${id}/revisions/${rev}/restore`);
+    return response.data;
+  },
+
+  // Search posts by relevance ({ page, limit })
+  searchPosts: async (query, params = {}) => {
+    const response = await api.get('/posts/search', { params: { q: query, ...params } });
     return response.data;
   },
 };
@@ -102,28 +238,170 @@ export const categoryService = {
   },
 };
 
+// Comment reporting and moderation API services
+export const commentService = {
+  // Report a comment to the moderators
+  report: async (commentId, reason = '') => {
+    const response = await api.post(`/comments/${commentId}/report`, { reason });
+    return response.data;
+  },
+
+  // Get a moderation queue ({ status: pending | reported | spam | hidden, page, limit })
+  getModerationQueue: async (params = {}) => {
+    const response = await api.get('/comments/moderation', { params });
+    return response.data;
+  },
+
+  // Approve, reject or mark several comments as spam
+  moderate: async (ids, action) => {
+    const response = await api.post('/comments/moderation', { ids, action });
+    return response.data;
+  },
+
+  // Get the users currently banned from commenting
+  getBans: async () => {
+    const response = await api.get('/comments/bans');
+    return response.data;
+  },
+
+  // Ban a user from commenting ({ user, days, reason }); no days means indefinitely
+  banUser: async (banData) => {
+    const response = await api.post('/comments/bans', banData);
+    return response.data;
+  },
+
+  // Lift a comment ban
+  unbanUser: async (userId) => {
+    const response = await api.delete(`/comments/bans/${userId}`);
+    return response.data;
+  },
+};
+
+// User profile API services
+export const userService = {
+  // Get a public author profile with their published posts
+  getProfile: async (username, page = 1, limit = 10) => {
+    const response = await api.get(`/users/${encodeURIComponent(username)}`, { params: { page, limit } });
+    return response.data;
+  },
+
+  // Get the signed-in user's editable profile
+  getMyProfile: async () => {
+    const response = await api.get('/users/me');
+    return response.data;
+  },
+
+  // Update the signed-in user's profile (FormData so an avatar can be included)
+  updateMyProfile: async (profileData) => {
+    const response = await api.put('/users/me', profileData);
+    return response.data;
+  },
+
+  // Get the signed-in user's reading list ({ folder, page, limit })
+  getBookmarks: async (params = {}) => {
+    const response = await api.get('/users/me/bookmarks', { params });
+    return response.data;
+  },
+};
+
 // Auth API services
 export const authService = {
   // Register a new user
   register: async (userData) => {
     const response = await api.post('/auth/register', userData);
+    const { user } = response.data.data;
+    saveTokens(response.data.data);
+    localStorage.setItem('user', JSON.stringify(user));
     return response.data;
   },
 
-  // Login user
+  // Login user. When two-factor auth is on, the response carries a
+  // challengeToken instead of a session and nothing is stored yet.
   login: async (credentials) => {
     const response = await api.post('/auth/login', credentials);
-    if (response.data.token) {
-      localStorage.setItem('token', response.data.token);
-      localStorage.setItem('user', JSON.stringify(response.data.user));
+    const { user, twoFactorRequired } = response.data.data;
+    if (!twoFactorRequired) {
+      saveTokens(response.data.data);
+      localStorage.setItem('user', JSON.stringify(user));
     }
     return response.data;
   },
 
-  // Logout user
-  logout: () => {
-    localStorage.removeItem('token');
-    localStorage.removeItem('user');
+  // Complete a two-factor login with an authenticator or recovery code
+  loginTwoFactor: async (challengeToken, { code, recoveryCode }) => {
+    const response = await api.post('/auth/login/2fa', { challengeToken, code, recoveryCode });
+    const { user } = response.data.data;
+    saveTokens(response.data.data);
+    localStorage.setItem('user', JSON.stringify(user));
+    return response.data;
+  },
+
+  // Start two-factor enrolment; returns the secret, otpauth URI and QR code
+  setupTwoFactor: async () => {
+    const response = await api.post('/auth/2fa/setup');
+    return response.data;
+  },
+
+  // Confirm enrolment with the first code; returns the recovery codes
+  enableTwoFactor: async (code) => {
+    const response = await api.post('/auth/2fa/enable', { code });
+    return response.data;
+  },
+
+  // Turn two-factor auth off
+  disableTwoFactor: async ({ password, code, recoveryCode }) => {
+    const response = await api.post('/auth/2fa/disable', { password, code, recoveryCode });
+    return response.data;
+  },
+
+  // Replace the recovery codes
+  regenerateRecoveryCodes: async (code) => {
+    const response = await api.post('/auth/2fa/recovery-codes', { code });
+    return response.data;
+  },
+
+  // Logout user and revoke the session on the server
+  logout: async () => {
+    const refreshToken = localStorage.getItem('refreshToken');
+    try {
+      await api.post('/auth/logout', { refreshToken });
+    } catch (error) {
+      // The local session is cleared even if the server can't be reached
+    } finally {
+      localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
+      localStorage.removeItem('user');
+    }
+  },
+
+  // Request a password reset email
+  forgotPassword: async (email) => {
+    const response = await api.post('/auth/forgot-password', { email });
+    return response.data;
+  },
+
+  // Set a new password using the token from the reset email
+  resetPassword: async (token, password) => {
+    const response = await api.post('/auth/reset-password', { token, password });
+    return response.data;
+  },
+
+  // Confirm an email address with the token from the verification email
+  verifyEmail: async (token) => {
+    const response = await api.get(`/auth/verify/${token}`);
+    return response.data;
+  },
+
+  // Send the verification email again
+  resendVerification: async () => {
+    const response = await api.post('/auth/verify/resend');
+    return response.data;
+  },
+
+  // Check whether a username and/or email is free to register
+  checkAvailability: async ({ username, email }) => {
+    const response = await api.get('/auth/availability', { params: { username, email } });
+    return response.data;
   },
 
   // Get current user
@@ -133,4 +411,182 @@ export const authService = {
   },
 };
 
-export default api; 
\ No newline at end of file
+export default api; 
+// Spam rule settings and held post review API services
+export const spamService = {
+  // Get the spam rules (admins)
+  getRules: async () => {
+    const response = await api.get('/spam/rules');
+    return response.data;
+  },
+
+  // Change some of the spam rules (admins)
+  updateRules: async (rules) => {
+    const response = await api.put('/spam/rules', rules);
+    return response.data;
+  },
+
+  // Score some text against the current rules without saving it ({ type, title, content })
+  check: async (content) => {
+    const response = await api.post('/spam/check', content);
+    return response.data;
+  },
+
+  // Get the posts held for review ({ page, limit })
+  getHeldPosts: async (params = {}) => {
+    const response = await api.get('/spam/posts', { params });
+    return response.data;
+  },
+
+  // Approve or reject a held post
+  reviewPost: async (id, action) => {
+    const response = await api.post(`/spam/posts/${id}/review`, { action });
+    return response.data;
+  },
+};
+
+// Split a chunk of a text/event-stream into complete events, returning the
+// parsed events and whatever is left over for the next chunk
+const parseEvents = (buffer) => {
+  const blocks = buffer.split(/\r?\n\r?\n/);
+  const rest = blocks.pop();
+  const events = blocks.map((block) => {
+    const event = { event: 'message', data: '' };
+    block.split(/\r?\n/).forEach((line) => {
+      // Lines starting with a colon are keep-alive comments
+      if (!line || line.startsWith(':')) return;
+      const index = line.indexOf(':');
+      const field = index === -1 ? line : line.slice(0, index);
+      const value = index === -1 ? '' : line.slice(index + 1).replace(/^ /, '');
+      if (field === 'data') {
+        event.data += event.data ? `\n${value}` : value;
+      } else {
+        event[field] = value;
+      }
+    });
+    return event;
+  });
+  return { events, rest };
+};
+
+// Notification API services
+export const notificationService = {
+  // Get the signed-in user's notifications ({ unread, page, limit })
+  getNotifications: async (params = {}) => {
+    const response = await api.get('/notifications', { params });
+    return response.data;
+  },
+
+  // Mark a notification read or unread
+  markRead: async (id, read = true) => {
+    const response = await api.patch(`/notifications/${id}`, { read });
+    return response.data;
+  },
+
+  markAllRead: async () => {
+    const response = await api.post('/notifications/read-all');
+    return response.data;
+  },
+
+  // Get which notification types the user receives
+  getPreferences: async () => {
+    const response = await api.get('/notifications/preferences');
+    return response.data;
+  },
+
+  // Switch notification types on or off ({ comment: false, ... })
+  updatePreferences: async (preferences) => {
+    const response = await api.put('/notifications/preferences', preferences);
+    return response.data;
+  },
+
+  // Get how comment and reply emails are delivered (immediate, daily or off)
+  getEmailPreferences: async () => {
+    const response = await api.get('/notifications/email-preferences');
+    return response.data;
+  },
+
+  // Change email delivery ({ comment: 'daily', reply: 'off' })
+  updateEmailPreferences: async (preferences) => {
+    const response = await api.put('/notifications/email-preferences', preferences);
+    return response.data;
+  },
+
+  // Unsubscribe with the token from an email link; no sign-in needed
+  unsubscribe: async (token) => {
+    const response = await api.post(`/notifications/unsubscribe/${encodeURIComponent(token)}`);
+    return response.data;
+  },
+
+  // Listen for live notifications. onEvent(type, data) is called with
+  // 'unread' ({ count }) and 'notification' ({ notification, unreadCount }).
+  // EventSource can't send the Authorization header, so the stream is read
+  // with fetch. Reconnects when the stream closes; returns a function that
+  // stops listening.
+  subscribe: (onEvent) => {
+    let controller = null;
+    let retryTimer = null;
+    let retryMs = 5000;
+    let stopped = false;
+    let refreshed = false;
+
+    const connect = async () => {
+      controller = new AbortController();
+      try {
+        const response = await fetch(`${api.defaults.baseURL}/notifications/stream`, {
+          headers: { Authorization: `Bearer ${localStorage.getItem('token')}` },
+          signal: controller.signal,
+        });
+
+        // An expired token is refreshed once; after that give up until the
+        // next page load rather than hammering the server
+        if (response.status === 401) {
+          if (refreshed || !localStorage.getItem('refreshToken')) return;
+          refreshed = true;
+          await refreshAccessToken();
+          connect();
+          return;
+        }
+        if (!response.ok || !response.body) {
+          throw new Error(`Notification stream failed (${response.status})`);
+        }
+        refreshed = false;
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        for (;;) {
+          const { done, value } = await reader.read();
+          if (done) break;
+          const { events, rest } = parseEvents(buffer + decoder.decode(value, { stream: true }));
+          buffer = rest;
+          events.forEach((event) => {
+            if (event.retry && !Number.isNaN(Number(event.retry))) {
+              retryMs = Number(event.retry);
+            }
+            if (event.data) {
+              onEvent(event.event, JSON.parse(event.data));
+            }
+          });
+        }
+      } catch (error) {
+        if (stopped) return;
+        console.error('Notification stream error:', error);
+      }
+
+      if (!stopped) {
+        retryTimer = setTimeout(connect, retryMs);
+      }
+    };
+
+    connect();
+
+    return () => {
+      stopped = true;
+      clearTimeout(retryTimer);
+      if (controller) {
+        controller.abort();
+      }
+    };
+  },
+};
@@ -0,0 +1,49 @@
+// Role-based permissions. Routes declare the permission they need with the
+// `authorize` middleware; controllers use `hasPermission` for checks that
+// depend on the resource, such as editing your own post versus anyone's.
+
+const ROLES = ['user', 'author', 'editor', 'moderator', 'admin'];
+
+const DEFAULT_ROLE = 'author';
+
+const AUTHOR_PERMISSIONS = [
+  'posts:create',
+  'posts:update',
+  'posts:delete',
+  'comments:create'
+];
+
+const ROLE_PERMISSIONS = {
+  // Accounts created before roles existed keep the abilities they had
+  user: AUTHOR_PERMISSIONS,
+  author: AUTHOR_PERMISSIONS,
+  editor: [
+    ...AUTHOR_PERMISSIONS,
+    'posts:update:any'
+  ],
+  moderator: [
+    ...AUTHOR_PERMISSIONS,
+    'comments:moderate'
+  ],
+  // Admins are granted every permission
+  admin: ['*']
+};
+
+const getPermissions = (role) => {
+  return ROLE_PERMISSIONS[role] || [];
+};
+
+const hasPermission = (user, permission) => {
+  if (!user) return false;
+
+  const permissions = getPermissions(user.role);
+  return permissions.includes('*') || permissions.includes(permission);
+};
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  ROLE_PERMISSIONS,
+  getPermissions,
+  hasPermission
+};
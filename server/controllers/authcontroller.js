@@ -1,13 +1,86 @@
 const User = require('../models/user');
-const jwt = require('jsonwebtoken');
+const Session = require('../models/session');
+const mongoose = require('mongoose');
 const { validationResult } = require('express-validator');
+const { getPermissions } = require('../config/permissions');
+const QRCode = require('qrcode');
+const { sendMail, clientUrl } = require('../utils/mailer');
+const { generateSecret, verifyCode, buildOtpauthUrl } = require('../utils/totp');
+const {
+  hashToken,
+  generateAccessToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  generateRefreshToken,
+  parseRefreshToken,
+  refreshTokenExpiry
+} = require('../utils/tokens');
 
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET || 'fallback_secret', {
-    expiresIn: '30d'
+const USERNAME_PATTERN = /^[a-zA-Z0-9_]+$/;
+
+// Shape of the user object returned by every auth endpoint
+const toAuthUser = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  displayName: user.displayName,
+  avatar: user.avatar,
+  role: user.role,
+  permissions: getPermissions(user.role),
+  emailVerified: user.emailVerified,
+  twoFactorEnabled: user.twoFactorEnabled
+});
+
+// Email a link that confirms the user owns their address
+const sendVerificationEmail = async (user) => {
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save();
+
+  const verifyUrl = clientUrl(`/verify-email/${verificationToken}`);
+
+  await sendMail({
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: `Hi ${user.username},\n\nThanks for signing up! Confirm your email address ` +
+      `to start posting and commenting:\n\n${verifyUrl}`,
+    html: `<p>Hi ${user.username},</p>` +
+      '<p>Thanks for signing up! Confirm your email address to start posting and commenting:</p>' +
+      `<p><a href="${verifyUrl}">${verifyUrl}</a></p>`
   });
 };
 
+// 423 response for accounts locked after too many failed logins
+const sendLocked = (res, user) => {
+  const retryAfter = user.lockRemainingSeconds();
+  res.set('Retry-After', String(retryAfter));
+  return res.status(423).json({
+    success: false,
+    code: 'ACCOUNT_LOCKED',
+    message: 'Account is temporarily locked due to too many failed login attempts',
+    retryAfter,
+    lockedUntil: user.lockUntil
+  });
+};
+
+// Start a new server-side session and issue its first token pair
+const createSession = async (user, req) => {
+  const session = new Session({
+    user: user._id,
+    userAgent: req.get('User-Agent'),
+    ip: req.ip,
+    expiresAt: refreshTokenExpiry()
+  });
+
+  const refreshToken = generateRefreshToken(session._id);
+  session.refreshTokenHash = refreshToken.hash;
+  await session.save();
+
+  return {
+    token: generateAccessToken(user._id, session._id),
+    refreshToken: refreshToken.token
+  };
+};
+
 exports.register = async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -20,10 +93,16 @@ exports.register = async (req, res, next) => {
 
     const { username, email, password } = req.body;
 
+    if (User.isReservedUsername(username)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This username is reserved'
+      });
+    }
+
     // Check if user already exists
-    const existingUser = await User.findOne({
-      $or: [{ email }, { username }]
-    });
+    const existingUser = await User.findOne({ email: email.toLowerCase() }) ||
+      await User.findByUsername(username);
 
     if (existingUser) {
       return res.status(400).json({
@@ -38,18 +117,21 @@ exports.register = async (req, res, next) => {
       password
     });
 
-    const token = generateToken(user._id);
+    // A mail failure shouldn't fail the signup; the user can ask for a resend
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Failed to send verification email:', mailError);
+    }
+
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(201).json({
       success: true,
       data: {
-        user: {
-          id: user._id,
-          username: user.username,
-          email: user.email,
-          role: user.role
-        },
-        token
+        user: toAuthUser(user),
+        token,
+        refreshToken
       }
     });
   } catch (error) {
@@ -78,27 +160,115 @@ exports.login = async (req, res, next) => {
       });
     }
 
+    if (user.isLocked()) {
+      return sendLocked(res, user);
+    }
+
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await user.registerFailedLogin();
+      if (user.isLocked()) {
+        return sendLocked(res, user);
+      }
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    // With 2FA on, the password only earns a challenge for the second step
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        data: {
+          twoFactorRequired: true,
+          challengeToken: generateChallengeToken(user._id)
+        }
+      });
+    }
+
+    if (user.failedLoginAttempts > 0) {
+      await user.resetLoginAttempts();
+    }
+
+    const { token, refreshToken } = await createSession(user, req);
+
+    res.json({
+      success: true,
+      data: {
+        user: toAuthUser(user),
+        token,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Second step of a two-factor login: trade the challenge and a code for tokens
+exports.loginTwoFactor = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    let decoded;
+    try {
+      decoded = verifyChallengeToken(challengeToken);
+    } catch (tokenError) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge has expired. Please sign in again.'
+      });
+    }
+
+    const user = await User.findById(decoded.userId)
+      .select('+twoFactorSecret +twoFactorLastStep +twoFactorRecoveryCodes');
+
+    if (!user || !user.twoFactorEnabled) {
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    const token = generateToken(user._id);
+    if (user.isLocked()) {
+      return sendLocked(res, user);
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    if (!user.verifyTwoFactor({ code, recoveryCode })) {
+      await user.registerFailedLogin();
+      if (user.isLocked()) {
+        return sendLocked(res, user);
+      }
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    // Persist the used time step or the consumed recovery code
+    user.failedLoginAttempts = 0;
+    user.lockUntil = undefined;
+    await user.save();
+
+    const { token, refreshToken } = await createSession(user, req);
 
     res.json({
       success: true,
       data: {
-        user: {
-          id: user._id,
-          username: user.username,
-          email: user.email,
-          role: user.role
-        },
-        token
+        user: toAuthUser(user),
+        token,
+        refreshToken
       }
     });
   } catch (error) {
@@ -106,20 +276,459 @@ exports.login = async (req, res, next) => {
   }
 };
 
+// Check whether a username and/or email can still be registered
+exports.checkAvailability = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { username, email } = req.query;
+    const data = {};
+
+    if (username !== undefined) {
+      const name = username.trim();
+      if (!USERNAME_PATTERN.test(name) || name.length < 3 || name.length > 30) {
+        data.username = { available: false, reason: 'invalid' };
+      } else if (User.isReservedUsername(name)) {
+        data.username = { available: false, reason: 'reserved' };
+      } else {
+        const taken = await User.findByUsername(name).select('_id');
+        data.username = taken ? { available: false, reason: 'taken' } : { available: true };
+      }
+    }
+
+    if (email !== undefined) {
+      const taken = await User.exists({ email: email.trim().toLowerCase() });
+      data.email = taken ? { available: false, reason: 'taken' } : { available: true };
+    }
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 exports.getMe = async (req, res, next) => {
   try {
     res.json({
       success: true,
       data: {
-        user: {
-          id: req.user._id,
-          username: req.user.username,
-          email: req.user.email,
-          role: req.user.role
-        }
+        user: toAuthUser(req.user)
       }
     });
   } catch (error) {
     next(error);
   }
-};
\ No newline at end of file
+};
+
+// Exchange a refresh token for a new token pair, rotating the refresh token
+exports.refresh = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const parsed = parseRefreshToken(req.body.refreshToken);
+    if (!parsed || !mongoose.Types.ObjectId.isValid(parsed.sessionId)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token'
+      });
+    }
+
+    const session = await Session.findById(parsed.sessionId);
+    if (!session || !session.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or been revoked'
+      });
+    }
+
+    // A valid session presented with an old secret means the refresh token
+    // was used twice; assume it leaked and shut the whole session down
+    if (session.refreshTokenHash !== parsed.secretHash) {
+      await session.revoke('refresh_token_reuse');
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token has already been used'
+      });
+    }
+
+    const user = await User.findById(session.user);
+    if (!user) {
+      await session.revoke('user_not_found');
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token'
+      });
+    }
+
+    const refreshToken = generateRefreshToken(session._id);
+    session.refreshTokenHash = refreshToken.hash;
+    session.lastUsedAt = new Date();
+    session.expiresAt = refreshTokenExpiry();
+    await session.save();
+
+    res.json({
+      success: true,
+      data: {
+        token: generateAccessToken(user._id, session._id),
+        refreshToken: refreshToken.token
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Revoke the session behind the given refresh token (or the current access token)
+exports.logout = async (req, res, next) => {
+  try {
+    let session = null;
+
+    const parsed = parseRefreshToken(req.body.refreshToken);
+    if (parsed && mongoose.Types.ObjectId.isValid(parsed.sessionId)) {
+      session = await Session.findById(parsed.sessionId);
+      if (session && session.refreshTokenHash !== parsed.secretHash) {
+        session = null;
+      }
+    } else if (req.session) {
+      session = req.session;
+    }
+
+    if (session && !session.revokedAt) {
+      await session.revoke('logout');
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Email a password reset link. Always responds the same way so the endpoint
+// can't be used to find out which emails are registered.
+exports.forgotPassword = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+
+    if (user) {
+      const resetToken = user.createPasswordResetToken();
+      await user.save();
+
+      const resetUrl = clientUrl(`/reset-password/${resetToken}`);
+
+      try {
+        await sendMail({
+          to: user.email,
+          subject: 'Reset your password',
+          text: `Hi ${user.username},\n\nWe received a request to reset your password. ` +
+            `Open the link below to choose a new one:\n\n${resetUrl}\n\n` +
+            `If you didn't ask for this, you can ignore this email.`,
+          html: `<p>Hi ${user.username},</p>` +
+            '<p>We received a request to reset your password. Open the link below to choose a new one:</p>' +
+            `<p><a href="${resetUrl}">${resetUrl}</a></p>` +
+            "<p>If you didn't ask for this, you can ignore this email.</p>"
+        });
+      } catch (mailError) {
+        user.passwordResetToken = undefined;
+        user.passwordResetExpires = undefined;
+        await user.save();
+        return next(mailError);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a reset link has been sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.resetPassword = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { token, password } = req.body;
+
+    const user = await User.findOne({
+      passwordResetToken: hashToken(token),
+      passwordResetExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    // Clearing the token makes the link single-use
+    user.password = password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    user.failedLoginAttempts = 0;
+    user.lockUntil = undefined;
+    await user.save();
+
+    // Sign out everywhere in case the old password was compromised
+    await Session.updateMany(
+      { user: user._id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'password_reset' }
+    );
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.verifyEmail = async (req, res, next) => {
+  try {
+    const user = await User.findOne({
+      emailVerificationToken: hashToken(req.params.token),
+      emailVerificationExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      data: {
+        user: toAuthUser(user)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.resendVerification = async (req, res, next) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    await sendVerificationEmail(user);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Start 2FA enrolment: create a pending secret and return it as a URI and QR code
+exports.setupTwoFactor = async (req, res, next) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateSecret();
+    const otpauthUrl = buildOtpauthUrl(secret, req.user.email, process.env.TOTP_ISSUER || 'MERN Blog');
+
+    await User.findByIdAndUpdate(req.user._id, { twoFactorPendingSecret: secret });
+
+    res.json({
+      success: true,
+      data: {
+        secret,
+        otpauthUrl,
+        qrCode: await QRCode.toDataURL(otpauthUrl)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Finish enrolment by proving the authenticator app produces valid codes
+exports.enableTwoFactor = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+twoFactorPendingSecret');
+
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup before confirming it'
+      });
+    }
+
+    const step = verifyCode(user.twoFactorPendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    user.twoFactorEnabled = true;
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorLastStep = step;
+    const recoveryCodes = user.createRecoveryCodes();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      data: {
+        recoveryCodes
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Turning 2FA off requires the password and a current code or recovery code
+exports.disableTwoFactor = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await User.findById(req.user._id)
+      .select('+twoFactorSecret +twoFactorLastStep +twoFactorRecoveryCodes');
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    // 400 rather than 401: the client treats a 401 as an expired session and signs out
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch || !user.verifyTwoFactor({ code, recoveryCode })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid password or authentication code'
+      });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorLastStep = undefined;
+    user.twoFactorRecoveryCodes = undefined;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Issue a fresh set of recovery codes, invalidating the old ones
+exports.regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id)
+      .select('+twoFactorSecret +twoFactorLastStep +twoFactorRecoveryCodes');
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!user.verifyTwoFactor({ code: req.body.code })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const recoveryCodes = user.createRecoveryCodes();
+    await user.save();
+
+    res.json({
+      success: true,
+      data: {
+        recoveryCodes
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,126 @@
+const Post = require('../models/Post');
+const Bookmark = require('../models/bookmark');
+const { validationResult } = require('express-validator');
+const { parsePagination } = require('../utils/queryparser');
+
+// Save a post to the reading list, or update its folder and note if already saved
+exports.addBookmark = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const post = await Post.findById(req.params.id).select('isPublished');
+    if (!post || !post.isPublished) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    // Only overwrite folder/note when they were sent, so re-saving keeps them
+    const update = {};
+    if (req.body.folder !== undefined) update.folder = req.body.folder;
+    if (req.body.note !== undefined) update.note = req.body.note;
+
+    const bookmark = await Bookmark.findOneAndUpdate(
+      { user: req.user._id, post: post._id },
+      { $set: update },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.json({
+      success: true,
+      data: bookmark
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Remove a post from the reading list. Removing one that isn't saved is not an error.
+exports.removeBookmark = async (req, res, next) => {
+  try {
+    await Bookmark.deleteOne({ user: req.user._id, post: req.params.id });
+
+    res.json({
+      success: true,
+      message: 'Bookmark removed'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// The signed-in user's reading list, newest first, optionally limited to one folder
+exports.getMyBookmarks = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const filter = { user: req.user._id };
+    if (req.query.folder !== undefined) {
+      filter.folder = String(req.query.folder);
+    }
+
+    const [bookmarks, total, folders] = await Promise.all([
+      Bookmark.find(filter)
+        .populate({
+          path: 'post',
+          select: '-content',
+          populate: [
+            { path: 'author', select: 'username displayName avatar' },
+            { path: 'category', select: 'name' }
+          ]
+        })
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(limit),
+      Bookmark.countDocuments(filter),
+      Bookmark.aggregate([
+        { $match: { user: req.user._id } },
+        { $group: { _id: '$folder', count: { $sum: 1 } } },
+        { $sort: { _id: 1 } },
+        { $project: { _id: 0, name: '$_id', count: 1 } }
+      ])
+    ]);
+
+    // Posts that were deleted or unpublished since being saved show as unavailable
+    const data = bookmarks.map(bookmark => {
+      const item = bookmark.toObject();
+      // Keep the post ID even when the post itself is gone, so the bookmark can be removed
+      item.postId = bookmark.populated('post') || bookmark.post;
+      if (!item.post || !item.post.isPublished) {
+        item.post = null;
+      } else {
+        item.post.isBookmarked = true;
+      }
+      return item;
+    });
+
+    res.json({
+      success: true,
+      data,
+      folders,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
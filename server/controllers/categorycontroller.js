@@ -23,17 +23,40 @@ exports.createCategory = async (req, res, next) => {
       });
     }
 
-    // Check if user is admin
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
+    const category = await Category.create(req.body);
+    
+    res.status(201).json({
+      success: true,
+      data: category
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.updateCategory = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         success: false,
-        message: 'Not authorized to create categories'
+        errors: errors.array()
       });
     }
 
-    const category = await Category.create(req.body);
-    
-    res.status(201).json({
+    const { name, description, requireCommentApproval } = req.body;
+    const updates = { name, description, requireCommentApproval };
+    Object.keys(updates).forEach(key => updates[key] === undefined && delete updates[key]);
+
+    const category = await Category.findByIdAndUpdate(req.params.id, updates, { new: true, runValidators: true });
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    res.json({
       success: true,
       data: category
     });
@@ -1,32 +1,400 @@
-import Comment from '../models/comment.js';
-import Post from '../models/post.js';
+const Post = require('../models/Post');
+const Comment = require('../models/comment');
+const Category = require('../models/category');
+const { validationResult } = require('express-validator');
+const { hasPermission } = require('../config/permissions');
+const { parsePagination } = require('../utils/queryparser');
+const { buildCursorQuery, buildCursorPage } = require('../utils/cursor');
+const { HONEYPOT_FIELD, scoreContent } = require('../utils/spam');
+const { findMentionedUsers, recordMentions, removeMentions } = require('../utils/mentions');
+const { notifyNewComment, removeNotifications } = require('../utils/notifications');
 
-export const addComment = async (req, res, next) => {
+const AUTHOR_FIELDS = 'username displayName avatar';
+
+// Authors, and the users mentioned, for comments sent to the client
+const COMMENT_POPULATE = [
+  { path: 'author', select: AUTHOR_FIELDS },
+  { path: 'mentions', select: 'username' }
+];
+
+// Reply levels returned below each listed comment unless ?depth= says otherwise
+const DEFAULT_TREE_DEPTH = 3;
+
+// How long authors can edit their comments; moderators can edit any time
+const editWindowMinutes = () => parseInt(process.env.COMMENT_EDIT_WINDOW_MINUTES) || 15;
+
+// The API view of a comment: when its author may stop editing it, no content
+// or author once it has been deleted, and nothing about who reported it or
+// how it scored on the spam checks
+const presentComment = (comment) => {
+  const { reports, reportCount, moderatedBy, spam, ...rest } = comment;
+  const node = {
+    ...rest,
+    editableUntil: new Date(new Date(comment.createdAt).getTime() + editWindowMinutes() * 60 * 1000)
+  };
+  if (comment.isDeleted) {
+    node.content = '[deleted]';
+    node.author = null;
+    node.mentions = [];
+  }
+  return node;
+};
+
+// Comments are open on published posts, and on drafts for people who can see them
+const findViewablePost = async (req, res) => {
+  const post = await Post.findById(req.params.postId).select('author category isPublished');
+
+  const canView = post && (
+    post.isPublished ||
+    (req.user && (post.author.toString() === req.user._id.toString() || hasPermission(req.user, 'posts:update:any')))
+  );
+
+  if (!canView) {
+    res.status(404).json({
+      success: false,
+      message: 'Post not found'
+    });
+    return null;
+  }
+
+  return post;
+};
+
+// New comments wait for a moderator when the spam checks flag them, or when
+// the site or the post's category asks for it. Moderators and the post's
+// author are trusted.
+const needsApproval = async (post, user, spam) => {
+  if (hasPermission(user, 'comments:moderate') || post.author.toString() === user._id.toString()) {
+    return false;
+  }
+  if (spam.flagged) {
+    return true;
+  }
+  if (process.env.COMMENTS_REQUIRE_APPROVAL === 'true') {
+    return true;
+  }
+  const category = await Category.findById(post.category).select('requireCommentApproval');
+  return Boolean(category?.requireCommentApproval);
+};
+
+// Nest the replies under `comments` (which share one parent) down to `depth`
+// levels, showing only what `visible` matches. Comments at the last level get
+// an empty `replies` and a `replyCount` telling the client there is more to load.
+const buildTree = async (comments, depth, visible) => {
+  const byId = new Map();
+  const roots = comments.map(comment => {
+    const node = { ...presentComment(comment), replies: [], replyCount: 0 };
+    byId.set(comment._id.toString(), node);
+    return node;
+  });
+  if (!roots.length) return roots;
+
+  const lastDepth = roots[0].depth + depth;
+
+  if (depth > 0) {
+    const descendants = await Comment.find({
+      ancestors: { $in: roots.map(root => root._id) },
+      depth: { $lte: lastDepth },
+      ...visible
+    })
+      .sort({ createdAt: 1, _id: 1 })
+      .populate(COMMENT_POPULATE)
+      .lean();
+
+    descendants.forEach(comment => {
+      byId.set(comment._id.toString(), { ...presentComment(comment), replies: [], replyCount: 0 });
+    });
+    descendants.forEach(comment => {
+      // Replies under a hidden comment, or one deleted at the same moment, are left out
+      const parent = byId.get(comment.parentComment.toString());
+      if (!parent) return;
+      parent.replies.push(byId.get(comment._id.toString()));
+      parent.replyCount += 1;
+    });
+  }
+
+  const frontier = [...byId.values()].filter(node => node.depth === lastDepth);
+  if (frontier.length) {
+    const counts = await Comment.aggregate([
+      { $match: { parentComment: { $in: frontier.map(node => node._id) }, ...visible } },
+      { $group: { _id: '$parentComment', count: { $sum: 1 } } }
+    ]);
+    counts.forEach(({ _id, count }) => {
+      byId.get(_id.toString()).replyCount = count;
+    });
+  }
+
+  return roots;
+};
+
+// List a post's comments as a tree. Top-level comments (or the replies to
+// ?parent=) are paged with cursors, oldest first unless ?sort=-createdAt, and
+// each carries its replies down to ?depth= levels.
+exports.getComments = async (req, res, next) => {
   try {
-    const { content } = req.body;
-    const { postId } = req.params;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const post = await findViewablePost(req, res);
+    if (!post) return;
+
+    let parent = null;
+    if (req.query.parent) {
+      parent = await Comment.findOne({ _id: req.query.parent, post: post._id }).select('_id');
+      if (!parent) {
+        return res.status(404).json({
+          success: false,
+          message: 'Comment not found'
+        });
+      }
+    }
+
+    const { limit } = parsePagination(req.query, 20);
+    const depth = req.query.depth !== undefined ? parseInt(req.query.depth) : DEFAULT_TREE_DEPTH;
+    const cursor = buildCursorQuery(req.query, req.query.sort === '-createdAt');
+    const visible = Comment.visibleTo(req.user);
+
+    const [comments, total] = await Promise.all([
+      Comment.find({
+        post: post._id,
+        parentComment: parent ? parent._id : null,
+        $and: [visible, cursor.match]
+      })
+        .sort(cursor.sort)
+        .limit(limit + 1)
+        .populate(COMMENT_POPULATE)
+        .lean(),
+      Comment.countDocuments({ post: post._id, isDeleted: { $ne: true }, ...Comment.APPROVED })
+    ]);
+
+    const { data, pagination } = buildCursorPage(comments, limit, cursor);
+
+    res.json({
+      success: true,
+      data: await buildTree(data, depth, visible),
+      total,
+      pagination
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    const post = await Post.findById(postId);
-    if (!post) {
-      return res.status(404).json({
+// Add a comment to a post, or a reply when parentComment is given
+exports.addComment = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         success: false,
-        message: 'Post not found'
+        errors: errors.array()
       });
     }
 
+    const post = await findViewablePost(req, res);
+    if (!post) return;
+
+    let placement = { parentComment: null, ancestors: [], depth: 0 };
+    if (req.body.parentComment) {
+      const parent = await Comment.findOne({
+        _id: req.body.parentComment,
+        post: post._id,
+        isDeleted: { $ne: true },
+        ...Comment.visibleTo(req.user)
+      }).select('parentComment ancestors depth');
+      if (!parent) {
+        return res.status(404).json({
+          success: false,
+          message: 'Parent comment not found'
+        });
+      }
+      placement = Comment.replyPlacement(parent);
+    }
+
+    const spam = await scoreContent({
+      type: 'comment',
+      content: req.body.content,
+      user: req.user,
+      honeypot: req.body[HONEYPOT_FIELD]
+    });
+    const status = await needsApproval(post, req.user, spam) ? 'pending' : 'approved';
+    const mentions = (await findMentionedUsers(req.body.content, req.user._id)).map(user => user._id);
+
     const comment = await Comment.create({
-      content,
+      content: req.body.content,
       author: req.user._id,
-      post: postId
+      post: post._id,
+      status,
+      mentions,
+      spam: { score: spam.score, reasons: spam.reasons, checkedAt: spam.checkedAt },
+      ...placement
     });
+    if (status === 'approved') {
+      await Post.updateOne({ _id: post._id }, { $inc: { commentCount: 1 } });
+    }
 
-    await comment.populate('author', 'username');
+    // Mentions in a held comment are notified when a moderator approves it
+    await recordMentions({
+      users: mentions,
+      author: req.user._id,
+      post: post._id,
+      comment: comment._id,
+      notify: status === 'approved'
+    });
+    if (status === 'approved') {
+      await notifyNewComment(comment);
+    }
+
+    await comment.populate(COMMENT_POPULATE);
 
     res.status(201).json({
       success: true,
-      data: comment
+      message: status === 'pending' ? 'Your comment is awaiting moderation' : 'Comment added',
+      data: { ...presentComment(comment.toObject()), replies: [], replyCount: 0 }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Load the comment named in the URL and make sure the user may change it
+const findOwnComment = async (req, res, action) => {
+  const comment = await Comment.findOne({
+    _id: req.params.commentId,
+    post: req.params.postId,
+    isDeleted: { $ne: true }
+  });
+
+  if (!comment) {
+    res.status(404).json({
+      success: false,
+      message: 'Comment not found'
+    });
+    return null;
+  }
+
+  // Authors may change their own comments; moderators may change any
+  if (comment.author.toString() !== req.user._id.toString() && !hasPermission(req.user, 'comments:moderate')) {
+    res.status(403).json({
+      success: false,
+      message: `Not authorized to ${action} this comment`
+    });
+    return null;
+  }
+
+  return comment;
+};
+
+// Edit a comment's content. Authors have a limited window; moderators don't.
+exports.updateComment = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const comment = await findOwnComment(req, res, 'edit');
+    if (!comment) return;
+
+    const windowMinutes = editWindowMinutes();
+    const windowClosed = Date.now() > comment.createdAt.getTime() + windowMinutes * 60 * 1000;
+    if (windowClosed && !hasPermission(req.user, 'comments:moderate')) {
+      return res.status(403).json({
+        success: false,
+        message: `Comments can only be edited within ${windowMinutes} minutes of posting`
+      });
+    }
+
+    comment.content = req.body.content;
+    if (comment.isModified('content')) {
+      comment.editedAt = new Date();
+      comment.mentions = (await findMentionedUsers(comment.content, comment.author)).map(user => user._id);
+      await comment.save();
+      await recordMentions({
+        users: comment.mentions,
+        author: comment.author,
+        post: comment.post,
+        comment: comment._id,
+        notify: Comment.isApproved(comment)
+      });
+    }
+
+    await comment.populate(COMMENT_POPULATE);
+
+    res.json({
+      success: true,
+      data: presentComment(comment.toObject())
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Delete a comment. One with replies becomes a "[deleted]" placeholder; one
+// without is removed, along with any placeholders it was the last reply to.
+// `removed` lists the ids that are gone from the thread.
+exports.deleteComment = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const comment = await findOwnComment(req, res, 'delete');
+    if (!comment) return;
+
+    if (Comment.isApproved(comment)) {
+      await Post.updateOne({ _id: comment.post }, { $inc: { commentCount: -1 } });
+    }
+
+    if (await Comment.exists({ parentComment: comment._id })) {
+      const deletedAt = new Date();
+      // updateOne skips validation, which would reject the emptied content
+      await Comment.updateOne({ _id: comment._id }, { isDeleted: true, deletedAt, content: '', mentions: [] });
+      await removeMentions({ comment: comment._id });
+      await removeNotifications({ comment: comment._id });
+
+      return res.json({
+        success: true,
+        message: 'Comment deleted',
+        data: presentComment({ ...comment.toObject(), isDeleted: true, deletedAt }),
+        removed: []
+      });
+    }
+
+    await comment.deleteOne();
+    const removed = [comment._id];
+
+    let parentId = comment.parentComment;
+    while (parentId) {
+      const parent = await Comment.findOne({ _id: parentId, isDeleted: true }).select('parentComment');
+      if (!parent || await Comment.exists({ parentComment: parent._id })) break;
+
+      await parent.deleteOne();
+      removed.push(parent._id);
+      parentId = parent.parentComment;
+    }
+    await removeMentions({ comment: { $in: removed } });
+    await removeNotifications({ comment: { $in: removed } });
+
+    res.json({
+      success: true,
+      message: 'Comment deleted',
+      data: null,
+      removed
     });
   } catch (error) {
     next(error);
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,324 @@
+const Post = require('../models/Post');
+const Comment = require('../models/comment');
+const User = require('../models/user');
+const { validationResult } = require('express-validator');
+const { hasPermission } = require('../config/permissions');
+const { parsePagination } = require('../utils/queryparser');
+const { notifyMentions } = require('../utils/mentions');
+const { notify, notifyNewComment } = require('../utils/notifications');
+
+// Reports that send an approved comment back to the moderation queue
+const reportThreshold = () => parseInt(process.env.COMMENT_REPORT_THRESHOLD) || 3;
+
+// The queues moderators work through
+const QUEUES = {
+  pending: { filter: { status: 'pending' }, sort: { createdAt: 1 } },
+  reported: {
+    filter: { reportCount: { $gt: 0 }, status: { $in: ['approved', 'pending', null] } },
+    sort: { reportCount: -1, createdAt: -1 }
+  },
+  spam: { filter: { status: 'spam' }, sort: { createdAt: -1 } },
+  hidden: { filter: { status: 'hidden' }, sort: { createdAt: -1 } }
+};
+
+// Bulk actions and the status each one sets
+const ACTIONS = {
+  approve: 'approved',
+  reject: 'hidden',
+  spam: 'spam'
+};
+
+// How a status change is described to the comment's author
+const OUTCOMES = {
+  approved: 'approved',
+  hidden: 'rejected',
+  spam: 'spam'
+};
+
+// Keep Post.commentCount, which only counts approved comments, in step with status changes
+const adjustCommentCounts = async (changes) => {
+  const deltas = new Map();
+  changes.forEach(({ post, from, to }) => {
+    const delta = Number(Comment.isApproved({ status: to })) - Number(Comment.isApproved({ status: from }));
+    if (delta) {
+      deltas.set(post.toString(), (deltas.get(post.toString()) || 0) + delta);
+    }
+  });
+
+  await Promise.all([...deltas].map(([postId, delta]) =>
+    Post.updateOne({ _id: postId }, { $inc: { commentCount: delta } })
+  ));
+};
+
+// Flag a comment for moderators. Each reader counts once per comment.
+exports.reportComment = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const comment = await Comment.findOne({
+      _id: req.params.id,
+      isDeleted: { $ne: true },
+      ...Comment.APPROVED
+    }).select('author post status');
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    if (comment.author?.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot report your own comment'
+      });
+    }
+
+    const reported = await Comment.findOneAndUpdate(
+      { _id: comment._id, 'reports.user': { $ne: req.user._id } },
+      {
+        $push: { reports: { user: req.user._id, reason: req.body.reason || '' } },
+        $inc: { reportCount: 1 }
+      },
+      { new: true }
+    ).select('post status reportCount');
+
+    if (!reported) {
+      return res.json({
+        success: true,
+        message: 'You have already reported this comment'
+      });
+    }
+
+    // Too many reports take the comment down until a moderator looks at it
+    if (reported.reportCount >= reportThreshold()) {
+      const held = await Comment.findOneAndUpdate(
+        { _id: reported._id, ...Comment.APPROVED },
+        { status: 'pending' }
+      ).select('post status');
+      if (held) {
+        await adjustCommentCounts([{ post: held.post, from: held.status, to: 'pending' }]);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Thanks, a moderator will review this comment'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// A page of one moderation queue (?status=pending|reported|spam|hidden), with
+// the size of every queue
+exports.getModerationQueue = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const queue = QUEUES[req.query.status || 'pending'];
+    const { page, limit, skip } = parsePagination(req.query, 20);
+    const filter = { ...queue.filter, isDeleted: { $ne: true } };
+
+    const [comments, total, ...queueCounts] = await Promise.all([
+      Comment.find(filter)
+        .populate('author', 'username displayName avatar commentBan')
+        .populate('post', 'title slug')
+        .populate('reports.user', 'username displayName')
+        .populate('moderatedBy', 'username displayName')
+        .sort(queue.sort)
+        .skip(skip)
+        .limit(limit),
+      Comment.countDocuments(filter),
+      ...Object.values(QUEUES).map(({ filter: queueFilter }) =>
+        Comment.countDocuments({ ...queueFilter, isDeleted: { $ne: true } })
+      )
+    ]);
+
+    res.json({
+      success: true,
+      data: comments,
+      counts: Object.fromEntries(Object.keys(QUEUES).map((name, index) => [name, queueCounts[index]])),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Approve, reject or mark as spam several comments at once. Approving also
+// clears their reports.
+exports.moderateComments = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const status = ACTIONS[req.body.action];
+    const comments = await Comment.find({ _id: { $in: req.body.ids }, isDeleted: { $ne: true } })
+      .select('post status author parentComment mentions');
+
+    const update = { status, moderatedBy: req.user._id, moderatedAt: new Date() };
+    if (status === 'approved') {
+      Object.assign(update, { reports: [], reportCount: 0 });
+    }
+
+    await Comment.updateMany({ _id: { $in: comments.map(comment => comment._id) } }, update);
+    await adjustCommentCounts(comments.map(comment => ({ post: comment.post, from: comment.status, to: status })));
+    // Users mentioned in a held comment, and the people it replies to, hear
+    // about it once it is approved
+    if (status === 'approved') {
+      await notifyMentions({ comment: { $in: comments.map(comment => comment._id) } });
+      for (const comment of comments.filter(comment => !Comment.isApproved(comment))) {
+        await notifyNewComment(comment);
+      }
+    }
+
+    // Authors hear what happened to their comments; dismissing reports on an
+    // approved comment changes nothing for them
+    await notify(comments
+      .filter(comment => (comment.status || 'approved') !== status)
+      .map(comment => ({
+        recipient: comment.author,
+        type: 'moderation',
+        actor: req.user._id,
+        post: comment.post,
+        comment: comment._id,
+        outcome: OUTCOMES[status]
+      })));
+
+    res.json({
+      success: true,
+      message: `${comments.length} comment(s) updated`,
+      data: {
+        ids: comments.map(comment => comment._id),
+        status
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Users currently banned from commenting
+exports.getCommentBans = async (req, res, next) => {
+  try {
+    const users = await User.find({
+      'commentBan.createdAt': { $exists: true },
+      $or: [{ 'commentBan.until': null }, { 'commentBan.until': { $gt: new Date() } }]
+    })
+      .select('username displayName avatar commentBan')
+      .populate('commentBan.bannedBy', 'username displayName')
+      .sort({ 'commentBan.createdAt': -1 });
+
+    res.json({
+      success: true,
+      data: users
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Stop a user commenting, for `days` days or indefinitely. Their comments
+// waiting for approval are rejected along with the ban.
+exports.banCommenter = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.body.user).select('username displayName role');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (hasPermission(user, 'comments:moderate')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Moderators cannot be banned from commenting'
+      });
+    }
+
+    const days = parseInt(req.body.days);
+    const commentBan = {
+      until: days ? new Date(Date.now() + days * 24 * 60 * 60 * 1000) : null,
+      reason: req.body.reason || '',
+      bannedBy: req.user._id,
+      createdAt: new Date()
+    };
+    await User.updateOne({ _id: user._id }, { commentBan });
+
+    await Comment.updateMany(
+      { author: user._id, status: 'pending' },
+      { status: 'hidden', moderatedBy: req.user._id, moderatedAt: new Date() }
+    );
+
+    await notify([{ recipient: user._id, type: 'moderation', actor: req.user._id, outcome: 'banned' }]);
+
+    res.json({
+      success: true,
+      message: `${user.username} is banned from commenting`,
+      data: { user: user._id, commentBan }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Lift a comment ban
+exports.unbanCommenter = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const result = await User.updateOne({ _id: req.params.userId }, { $unset: { commentBan: 1 } });
+    if (!result.matchedCount) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Comment ban lifted'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,269 @@
+const Notification = require('../models/notification');
+const User = require('../models/user');
+const { validationResult } = require('express-validator');
+const { parsePagination } = require('../utils/queryparser');
+const { verifyUnsubscribeToken } = require('../utils/tokens');
+const {
+  NOTIFICATION_POPULATE,
+  sendEvent,
+  addStream,
+  removeStream,
+  unreadCount,
+  publishUnreadCount
+} = require('../utils/notifications');
+
+// Keeps proxies from closing an idle stream
+const HEARTBEAT_MS = 25 * 1000;
+
+// Streams are closed after this long so the client reconnects with a fresh
+// token; the token is only checked when the stream opens
+const STREAM_MAX_MS = 15 * 60 * 1000;
+
+// The signed-in user's notifications, newest first. ?unread=true leaves out
+// the ones already read.
+exports.getNotifications = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { page, limit, skip } = parsePagination(req.query, 20);
+    const filter = { recipient: req.user._id };
+    if (req.query.unread === 'true') {
+      filter.read = false;
+    }
+
+    const [notifications, total, unread] = await Promise.all([
+      Notification.find(filter)
+        .populate(NOTIFICATION_POPULATE)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(limit),
+      Notification.countDocuments(filter),
+      unreadCount(req.user._id)
+    ]);
+
+    res.json({
+      success: true,
+      data: notifications,
+      unreadCount: unread,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Mark one notification read or unread
+exports.updateNotification = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const read = req.body.read;
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, recipient: req.user._id },
+      { read, readAt: read ? new Date() : null },
+      { new: true }
+    ).populate(NOTIFICATION_POPULATE);
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    // Other tabs the user has open update their badge too
+    await publishUnreadCount(req.user._id);
+
+    res.json({
+      success: true,
+      data: notification,
+      unreadCount: await unreadCount(req.user._id)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.markAllRead = async (req, res, next) => {
+  try {
+    const result = await Notification.updateMany(
+      { recipient: req.user._id, read: false },
+      { read: true, readAt: new Date() }
+    );
+
+    await publishUnreadCount(req.user._id);
+
+    res.json({
+      success: true,
+      message: `${result.modifiedCount} notification(s) marked as read`,
+      unreadCount: 0
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getPreferences = (req, res) => {
+  res.json({
+    success: true,
+    data: req.user.notificationPreferences
+  });
+};
+
+// Switch notification types on or off; types left out keep their setting
+exports.updatePreferences = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const update = {};
+    Notification.TYPES.forEach(type => {
+      if (req.body[type] !== undefined) {
+        update[`notificationPreferences.${type}`] = req.body[type];
+      }
+    });
+
+    const user = await User.findByIdAndUpdate(req.user._id, { $set: update }, { new: true })
+      .select('notificationPreferences');
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated',
+      data: user.notificationPreferences
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.getEmailPreferences = (req, res) => {
+  res.json({
+    success: true,
+    data: req.user.emailPreferences
+  });
+};
+
+// Set how each email type is delivered: immediate, daily or off
+exports.updateEmailPreferences = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const update = {};
+    User.EMAIL_TYPES.forEach(type => {
+      if (req.body[type] !== undefined) {
+        update[`emailPreferences.${type}`] = req.body[type];
+      }
+    });
+
+    const user = await User.findByIdAndUpdate(req.user._id, { $set: update }, { new: true })
+      .select('emailPreferences');
+
+    res.json({
+      success: true,
+      message: 'Email preferences updated',
+      data: user.emailPreferences
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// The one-click unsubscribe link from an email. Needs no sign-in: the token
+// names the user and the email type ('all' for every type).
+exports.unsubscribe = async (req, res, next) => {
+  try {
+    let decoded;
+    try {
+      decoded = verifyUnsubscribeToken(req.params.token);
+    } catch (tokenError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid unsubscribe link'
+      });
+    }
+
+    const types = decoded.type === 'all' ? User.EMAIL_TYPES : [decoded.type];
+    const user = await User.findByIdAndUpdate(
+      decoded.userId,
+      { $set: Object.fromEntries(types.filter(type => User.EMAIL_TYPES.includes(type)).map(type => [`emailPreferences.${type}`, 'off'])) },
+      { new: true }
+    ).select('_id');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: decoded.type === 'all'
+        ? 'You have been unsubscribed from all comment emails'
+        : `You have been unsubscribed from ${decoded.type} emails`,
+      data: { type: decoded.type }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Server-Sent Events: `unread` ({ count }) when the stream opens and whenever
+// the count changes elsewhere, and `notification` ({ notification,
+// unreadCount }) as notifications arrive
+exports.streamNotifications = async (req, res, next) => {
+  try {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // Stop nginx buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // Clients retry after this many milliseconds if the connection drops
+    res.write('retry: 5000\n\n');
+    sendEvent(res, 'unread', { count: await unreadCount(req.user._id) });
+    addStream(req.user._id, res);
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+    const expiry = setTimeout(() => res.end(), STREAM_MAX_MS);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      clearTimeout(expiry);
+      removeStream(req.user._id, res);
+    });
+  } catch (error) {
+    next(error);
+  }
+};
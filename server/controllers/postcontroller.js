@@ -1,42 +1,247 @@
-const Post = require('../models/post');
+const Post = require('../models/Post');
+const Revision = require('../models/revision');
+const Reaction = require('../models/reaction');
+const Bookmark = require('../models/bookmark');
+const Comment = require('../models/comment');
+const Category = require('../models/category');
+const User = require('../models/user');
 const { validationResult } = require('express-validator');
 const mongoose = require('mongoose');
+const { hasPermission } = require('../config/permissions');
+const { getSearchTerms, highlight, buildSnippet } = require('../utils/search');
+const { parseSort, parseFields, buildDateRange, parsePagination } = require('../utils/queryparser');
+const { isCursorRequest, buildCursorQuery, buildCursorPage } = require('../utils/cursor');
+const { HONEYPOT_FIELD, scoreContent } = require('../utils/spam');
+const { findMentionedUsers, recordMentions, notifyMentions, removeMentions } = require('../utils/mentions');
+const { removeNotifications } = require('../utils/notifications');
+
+// Work out isPublished/publishAt/publishedAt from the submitted form. A future
+// publishAt schedules the post; a past one publishes it straight away.
+const resolvePublishing = ({ isPublished, publishAt }, existing = null) => {
+  const publishNow = () => ({
+    isPublished: true,
+    publishAt: null,
+    publishedAt: existing?.publishedAt || new Date()
+  });
+
+  if (publishAt) {
+    const date = new Date(publishAt);
+    if (Number.isNaN(date.getTime())) {
+      return { error: 'Invalid publish date' };
+    }
+    if (date > new Date()) {
+      return { isPublished: false, publishAt: date };
+    }
+    return publishNow();
+  }
+
+  if (isPublished === 'true' || isPublished === true) {
+    return publishNow();
+  }
+
+  return { isPublished: false, publishAt: null };
+};
+
+const slugTaken = (res) => res.status(400).json({
+  success: false,
+  message: 'This slug is already used by another post'
+});
+
+// Spam check results are only shown to editors reviewing held posts
+const withoutSpamCheck = (post) => ({ ...post.toObject(), spam: undefined });
+
+// Posts held by the spam checks can't be published by their author until an
+// editor approves them; an editor publishing one approves it. Sends a 403
+// and returns false when the user has to wait.
+const allowHeldPublishing = (res, post, publishing, user) => {
+  const held = ['held', 'rejected'].includes(post.moderation?.status);
+  if (!held || (!publishing.isPublished && !publishing.publishAt)) {
+    return true;
+  }
+
+  if (!hasPermission(user, 'posts:update:any')) {
+    res.status(403).json({
+      success: false,
+      message: post.moderation.status === 'held'
+        ? 'This post is waiting for an editor to review it'
+        : 'This post was rejected by an editor and cannot be published'
+    });
+    return false;
+  }
 
-// Get all posts with pagination and filtering
+  post.moderation = { status: 'approved', reviewedBy: user._id, reviewedAt: new Date() };
+  return true;
+};
+
+// Unpublished and scheduled posts are only visible to their author and editors
+const canViewUnpublished = (post, user) => {
+  if (!user) return false;
+  const authorId = post.author?._id || post.author;
+  return authorId.toString() === user._id.toString() || hasPermission(user, 'posts:update:any');
+};
+
+// Plain post objects with the signed-in reader's isBookmarked flag
+const withBookmarkFlags = async (posts, user) => {
+  const bookmarked = await Bookmark.bookmarkedPostIds(user?._id, posts.map(post => post._id));
+  return posts.map(post => ({
+    ...(post.toObject ? post.toObject() : post),
+    isBookmarked: bookmarked.has(post._id.toString())
+  }));
+};
+
+// Get all posts with pagination and filtering. Query params are checked
+// against the whitelists in utils/queryparser by the route's validators.
 exports.getPosts = async (req, res, next) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { page, limit, skip } = parsePagination(req.query);
     
     const filter = { isPublished: true };
     
-    // Filter by category
     if (req.query.category) {
       filter.category = req.query.category;
     }
+    if (req.query.author) {
+      filter.author = req.query.author;
+    }
+    if (req.query.tag) {
+      filter.tags = req.query.tag;
+    }
+    const createdAt = buildDateRange(req.query.from, req.query.to);
+    if (createdAt) {
+      filter.createdAt = createdAt;
+    }
     
-    // Search by title or content
+    // Search the text index; results are most relevant first unless a sort is given
+    let sort = parseSort(req.query.sort);
+    let projection = {};
     if (req.query.search) {
-      filter.$or = [
-        { title: { $regex: req.query.search, $options: 'i' } },
-        { content: { $regex: req.query.search, $options: 'i' } },
-        { tags: { $in: [new RegExp(req.query.search, 'i')] } }
-      ];
+      filter.$text = { $search: String(req.query.search) };
+      projection = { score: { $meta: 'textScore' } };
+      if (!req.query.sort) {
+        sort = { score: { $meta: 'textScore' }, createdAt: -1 };
+      }
     }
 
-    const posts = await Post.find(filter)
-      .populate('author', 'username')
-      .populate('category', 'name')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit);
+    // Only populate references that were asked for
+    const fields = parseFields(req.query.fields);
+    const postsQuery = Post.find(filter, projection);
+    if (fields) {
+      postsQuery.select(fields);
+    }
+    if (!fields || fields.includes('author')) {
+      postsQuery.populate('author', 'username displayName avatar');
+    }
+    if (!fields || fields.includes('category')) {
+      postsQuery.populate('category', 'name');
+    }
+
+    // Cursor mode (?after= / ?before=) pages on (createdAt, _id) and skips the count
+    if (isCursorRequest(req.query)) {
+      const cursor = buildCursorQuery(req.query, req.query.sort !== 'createdAt');
+      const posts = await postsQuery
+        .where(cursor.match)
+        .sort(cursor.sort)
+        .limit(limit + 1);
+      const page = buildCursorPage(posts, limit, cursor);
+
+      return res.json({
+        success: true,
+        data: await withBookmarkFlags(page.data, req.user),
+        pagination: page.pagination
+      });
+    }
+
+    const [posts, total] = await Promise.all([
+      postsQuery.sort(sort).skip(skip).limit(limit),
+      Post.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: await withBookmarkFlags(posts, req.user),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    const total = await Post.countDocuments(filter);
+// Filters for each status on the author dashboard. Scheduled posts are
+// unpublished posts with a future publishAt.
+const statusFilter = (status) => {
+  switch (status) {
+    case 'published':
+      return { isPublished: true };
+    case 'scheduled':
+      return { isPublished: false, publishAt: { $gt: new Date() } };
+    case 'draft':
+      return {
+        isPublished: false,
+        $or: [{ publishAt: null }, { publishAt: { $lte: new Date() } }]
+      };
+    default:
+      return {};
+  }
+};
+
+// Sort options accepted by GET /api/posts/mine
+const MY_POSTS_SORTS = {
+  '-updatedAt': { updatedAt: -1 },
+  'updatedAt': { updatedAt: 1 },
+  '-createdAt': { createdAt: -1 },
+  'createdAt': { createdAt: 1 },
+  'title': { title: 1 },
+  '-title': { title: -1 },
+  '-viewCount': { viewCount: -1 }
+};
+
+// Get the signed-in author's posts, including drafts and scheduled posts
+exports.getMyPosts = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    const skip = (page - 1) * limit;
+    const status = req.query.status || 'all';
+    const sort = MY_POSTS_SORTS[req.query.sort] || MY_POSTS_SORTS['-updatedAt'];
+
+    const baseFilter = { author: req.user._id };
+    const filter = { ...baseFilter, ...statusFilter(status) };
+
+    const [posts, total, all, drafts, scheduled, published] = await Promise.all([
+      Post.find(filter)
+        .populate('category', 'name')
+        .sort(sort)
+        .skip(skip)
+        .limit(limit),
+      Post.countDocuments(filter),
+      Post.countDocuments(baseFilter),
+      Post.countDocuments({ ...baseFilter, ...statusFilter('draft') }),
+      Post.countDocuments({ ...baseFilter, ...statusFilter('scheduled') }),
+      Post.countDocuments({ ...baseFilter, ...statusFilter('published') })
+    ]);
 
     res.json({
       success: true,
       data: posts,
+      counts: {
+        all,
+        draft: drafts,
+        scheduled,
+        published
+      },
       pagination: {
         page,
         limit,
@@ -52,23 +257,35 @@ exports.getPosts = async (req, res, next) => {
 // Get single post by ID or slug
 exports.getPost = async (req, res, next) => {
   try {
-    let post;
-    
-    // Check if the parameter is a valid ObjectId
+    const populatePost = (query) => query
+      .populate('author', 'username email displayName avatar')
+      .populate('category', 'name')
+      .populate('mentions', 'username');
+
+    // Try the ID first; a 12 or 24 character slug can look like an ObjectId too
+    let post = null;
     if (mongoose.Types.ObjectId.isValid(req.params.id)) {
-      post = await Post.findById(req.params.id)
-        .populate('author', 'username email')
-        .populate('category', 'name')
-        .populate('comments.user', 'username');
-    } else {
-      // If not ObjectId, treat as slug
-      post = await Post.findOne({ slug: req.params.id })
-        .populate('author', 'username email')
-        .populate('category', 'name')
-        .populate('comments.user', 'username');
+      post = await populatePost(Post.findById(req.params.id));
+    }
+    if (!post) {
+      post = await populatePost(Post.findOne({ slug: req.params.id }));
     }
 
+    // A former slug points the client at the current one
     if (!post) {
+      const moved = await Post.findOne({ previousSlugs: req.params.id }).select('slug isPublished author');
+      if (moved && (moved.isPublished || canViewUnpublished(moved, req.user))) {
+        return res.status(301).json({
+          success: false,
+          message: 'Post has moved',
+          slug: moved.slug,
+          url: `/posts/${moved.slug}`
+        });
+      }
+    }
+
+    // Hide drafts and scheduled posts until they are published
+    if (!post || (!post.isPublished && !canViewUnpublished(post, req.user))) {
       return res.status(404).json({
         success: false,
         message: 'Post not found'
@@ -78,9 +295,21 @@ exports.getPost = async (req, res, next) => {
     // Increment view count
     await post.incrementViewCount();
 
+    // Signed-in readers also get their own reaction and bookmark state
+    const [reaction, isBookmarked] = req.user
+      ? await Promise.all([
+          Reaction.findOne({ post: post._id, user: req.user._id }).select('type'),
+          Bookmark.exists({ post: post._id, user: req.user._id })
+        ])
+      : [null, false];
+
     res.json({
       success: true,
-      data: post
+      data: {
+        ...post.toObject(),
+        viewerReaction: reaction ? reaction.type : null,
+        isBookmarked: Boolean(isBookmarked)
+      }
     });
   } catch (error) {
     next(error);
@@ -98,7 +327,19 @@ exports.createPost = async (req, res, next) => {
       });
     }
 
-    const { title, content, category, tags, excerpt, isPublished } = req.body;
+    const { title, content, category, tags, excerpt, slug } = req.body;
+
+    if (slug && await Post.isSlugTaken(slug)) {
+      return slugTaken(res);
+    }
+
+    const publishing = resolvePublishing(req.body);
+    if (publishing.error) {
+      return res.status(400).json({
+        success: false,
+        message: publishing.error
+      });
+    }
     
     const postData = {
       title,
@@ -106,9 +347,36 @@ exports.createPost = async (req, res, next) => {
       category,
       author: req.user._id,
       tags: tags ? tags.split(',').map(tag => tag.trim()) : [],
-      isPublished: isPublished === 'true'
+      ...publishing
     };
 
+    const spam = await scoreContent({
+      type: 'post',
+      title,
+      content,
+      user: req.user,
+      honeypot: req.body[HONEYPOT_FIELD]
+    });
+    postData.spam = { score: spam.score, reasons: spam.reasons, checkedAt: spam.checkedAt };
+    postData.mentions = (await findMentionedUsers(content, req.user._id)).map(user => user._id);
+
+    // A flagged post is saved as a draft until an editor approves it; editors
+    // are trusted
+    const held = spam.flagged && !hasPermission(req.user, 'posts:update:any');
+    if (held) {
+      postData.moderation = {
+        status: 'held',
+        publishRequested: Boolean(publishing.isPublished || publishing.publishAt),
+        publishAt: publishing.publishAt
+      };
+      Object.assign(postData, { isPublished: false, publishAt: null, publishedAt: null });
+    }
+
+    // Without a custom slug one is generated from the title
+    if (slug) {
+      postData.slug = slug;
+    }
+
     // Add excerpt if provided, otherwise generate from content
     if (excerpt) {
       postData.excerpt = excerpt;
@@ -121,12 +389,17 @@ exports.createPost = async (req, res, next) => {
     }
 
     const post = await Post.create(postData);
-    await post.populate('author', 'username');
+    await Revision.record(post, req.user._id);
+    // Mentions in drafts are notified when the post is published
+    await recordMentions({ users: post.mentions, author: post.author, post: post._id, notify: post.isPublished });
+    await post.populate('author', 'username displayName avatar');
     await post.populate('category', 'name');
+    await post.populate('mentions', 'username');
 
     res.status(201).json({
       success: true,
-      data: post
+      ...(held && { message: 'Your post is waiting for an editor to review it' }),
+      data: withoutSpamCheck(post)
     });
   } catch (error) {
     next(error);
@@ -153,22 +426,37 @@ exports.updatePost = async (req, res, next) => {
       });
     }
 
-    // Check if user owns the post or is admin
-    if (post.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    // Authors may edit their own posts; editors and admins may edit any
+    if (post.author.toString() !== req.user._id.toString() && !hasPermission(req.user, 'posts:update:any')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this post'
       });
     }
 
-    const { title, content, category, tags, excerpt, isPublished } = req.body;
+    const { title, content, category, tags, excerpt, slug } = req.body;
+
+    if (slug && slug !== post.slug && await Post.isSlugTaken(slug, post._id)) {
+      return slugTaken(res);
+    }
+
+    // Sending publishAt reschedules the post; leaving it empty cancels the schedule
+    const publishing = resolvePublishing(req.body, post);
+    if (publishing.error) {
+      return res.status(400).json({
+        success: false,
+        message: publishing.error
+      });
+    }
+
+    if (!allowHeldPublishing(res, post, publishing, req.user)) return;
     
     const updateData = {
       title,
       content,
       category,
       tags: tags ? tags.split(',').map(tag => tag.trim()) : [],
-      isPublished: isPublished === 'true'
+      ...publishing
     };
 
     // Update excerpt if provided or if content changed
@@ -182,14 +470,28 @@ exports.updatePost = async (req, res, next) => {
       updateData.featuredImage = `/uploads/${req.file.filename}`;
     }
 
-    post = await Post.findByIdAndUpdate(
-      req.params.id, 
-      updateData, 
-      {
-        new: true,
-        runValidators: true
-      }
-    ).populate('author', 'username').populate('category', 'name');
+    if (content !== undefined) {
+      updateData.mentions = (await findMentionedUsers(content, post.author)).map(user => user._id);
+    }
+
+    await Revision.recordBaseline(post);
+
+    // Sending the current slug keeps it when the title changes; an empty slug
+    // regenerates it from the title; leaving it out lets it follow the title
+    if (slug !== undefined) {
+      updateData.slug = slug;
+      post.$locals.keepSlug = Boolean(slug);
+    }
+
+    // Save the document rather than findByIdAndUpdate so the slug hooks run
+    post.set(updateData);
+    await post.save();
+    await recordMentions({ users: post.mentions, author: post.author, post: post._id, notify: post.isPublished });
+    await post.populate('author', 'username displayName avatar');
+    await post.populate('category', 'name');
+    await post.populate('mentions', 'username');
+
+    await Revision.record(post, req.user._id);
 
     res.json({
       success: true,
@@ -212,8 +514,8 @@ exports.deletePost = async (req, res, next) => {
       });
     }
 
-    // Check if user owns the post or is admin
-    if (post.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    // Authors may delete their own posts; admins may delete any
+    if (post.author.toString() !== req.user._id.toString() && !hasPermission(req.user, 'posts:delete:any')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this post'
@@ -221,6 +523,12 @@ exports.deletePost = async (req, res, next) => {
     }
 
     await Post.findByIdAndDelete(req.params.id);
+    await Revision.deleteMany({ post: post._id });
+    await Reaction.deleteMany({ post: post._id });
+    await Bookmark.deleteMany({ post: post._id });
+    await Comment.deleteMany({ post: post._id });
+    await removeMentions({ post: post._id });
+    await removeNotifications({ post: post._id });
 
     res.json({
       success: true,
@@ -231,20 +539,199 @@ exports.deletePost = async (req, res, next) => {
   }
 };
 
-// Add comment to post
-exports.addComment = async (req, res, next) => {
+const FACET_LIMIT = 20;
+
+// Turn the facet query params into $match conditions, keyed by facet
+const buildFacetFilters = ({ category, author, tag, from, to }) => {
+  const filters = {};
+  if (category) {
+    filters.category = { category: new mongoose.Types.ObjectId(category) };
+  }
+  if (author) {
+    filters.author = { author: new mongoose.Types.ObjectId(author) };
+  }
+  if (tag) {
+    filters.tag = { tags: String(tag) };
+  }
+  const createdAt = buildDateRange(from, to);
+  if (createdAt) {
+    filters.date = { createdAt };
+  }
+  return filters;
+};
+
+// Combine every facet filter except `skip`, so a facet's counts show what
+// choosing another value would return
+const combineFilters = (filters, skip = null) => Object.entries(filters)
+  .filter(([key]) => key !== skip)
+  .reduce((match, [, condition]) => ({ ...match, ...condition }), {});
+
+// Search published posts with facet counts for category, tag, author and month.
+// Without a query it browses all published posts, newest first.
+exports.searchPosts = async (req, res, next) => {
   try {
-    const { content } = req.body;
-    const { postId } = req.params;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const query = String(req.query.q || '').trim();
+    const { page, limit, skip } = parsePagination(req.query);
+
+    // $text has to be in the first $match of the pipeline
+    const baseMatch = { isPublished: true };
+    if (query) {
+      baseMatch.$text = { $search: query };
+    }
+
+    const filters = buildFacetFilters(req.query);
+    const match = combineFilters(filters);
+
+    // Cursor mode lists results newest first instead of by relevance
+    const cursor = isCursorRequest(req.query) ? buildCursorQuery(req.query) : null;
+    const resultStages = cursor
+      ? [
+          { $match: { ...match, ...cursor.match } },
+          { $sort: cursor.sort },
+          { $limit: limit + 1 }
+        ]
+      : [
+          { $match: match },
+          { $sort: query ? { score: -1, createdAt: -1 } : { createdAt: -1 } },
+          { $skip: skip },
+          { $limit: limit }
+        ];
+
+    const [result] = await Post.aggregate([
+      { $match: baseMatch },
+      ...(query ? [{ $addFields: { score: { $meta: 'textScore' } } }] : []),
+      {
+        $facet: {
+          results: resultStages,
+          total: [
+            { $match: match },
+            { $count: 'count' }
+          ],
+          categories: [
+            { $match: combineFilters(filters, 'category') },
+            { $group: { _id: '$category', count: { $sum: 1 } } },
+            { $sort: { count: -1 } },
+            { $limit: FACET_LIMIT },
+            { $lookup: { from: Category.collection.name, localField: '_id', foreignField: '_id', as: 'category' } },
+            { $unwind: '$category' },
+            { $project: { _id: 1, name: '$category.name', count: 1 } }
+          ],
+          tags: [
+            { $match: combineFilters(filters, 'tag') },
+            { $unwind: '$tags' },
+            { $group: { _id: '$tags', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+            { $limit: FACET_LIMIT },
+            { $project: { _id: 0, tag: '$_id', count: 1 } }
+          ],
+          authors: [
+            { $match: combineFilters(filters, 'author') },
+            { $group: { _id: '$author', count: { $sum: 1 } } },
+            { $sort: { count: -1 } },
+            { $limit: FACET_LIMIT },
+            { $lookup: { from: User.collection.name, localField: '_id', foreignField: '_id', as: 'author' } },
+            { $unwind: '$author' },
+            {
+              $project: {
+                _id: 1,
+                username: '$author.username',
+                displayName: '$author.displayName',
+                avatar: '$author.avatar',
+                count: 1
+              }
+            }
+          ],
+          dates: [
+            { $match: combineFilters(filters, 'date') },
+            { $group: { _id: { $dateToString: { format: '%Y-%m', date: '$createdAt' } }, count: { $sum: 1 } } },
+            { $sort: { _id: -1 } },
+            { $limit: 12 },
+            { $project: { _id: 0, month: '$_id', count: 1 } }
+          ]
+        }
+      }
+    ]);
+
+    const populated = await Post.populate(result.results, [
+      { path: 'author', select: 'username displayName avatar' },
+      { path: 'category', select: 'name' }
+    ]);
+    const total = result.total[0]?.count || 0;
+    const cursorPage = cursor ? buildCursorPage(populated, limit, cursor) : null;
+    const posts = cursorPage ? cursorPage.data : populated;
+
+    // Highlights are [{ text, highlight }] segments so the client never renders HTML
+    const terms = getSearchTerms(query);
+    const results = (await withBookmarkFlags(posts, req.user)).map(post => ({
+      ...post,
+      highlights: {
+        title: highlight(post.title, terms),
+        snippet: buildSnippet(post.content, terms)
+      }
+    }));
+
+    // With nothing found, say whether dropping the filters would help and offer popular tags
+    let suggestions = null;
+    if (total === 0) {
+      const [withoutFilters, popularTags] = await Promise.all([
+        Object.keys(filters).length ? Post.countDocuments(baseMatch) : 0,
+        Post.aggregate([
+          { $match: { isPublished: true } },
+          { $unwind: '$tags' },
+          { $group: { _id: '$tags', count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+          { $limit: 8 },
+          { $project: { _id: 0, tag: '$_id', count: 1 } }
+        ])
+      ]);
+      suggestions = { withoutFilters, popularTags };
+    }
 
-    if (!content) {
+    res.json({
+      success: true,
+      data: results,
+      facets: {
+        categories: result.categories,
+        tags: result.tags,
+        authors: result.authors,
+        dates: result.dates
+      },
+      suggestions,
+      pagination: cursorPage
+        ? { ...cursorPage.pagination, total }
+        : {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+          }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Publish or unpublish a post without resubmitting the whole form
+exports.updatePostStatus = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: 'Comment content is required'
+        errors: errors.array()
       });
     }
 
-    const post = await Post.findById(postId);
+    const post = await Post.findById(req.params.id);
+
     if (!post) {
       return res.status(404).json({
         success: false,
@@ -252,52 +739,73 @@ exports.addComment = async (req, res, next) => {
       });
     }
 
-    // Use the schema method to add comment
-    await post.addComment(req.user._id, content);
-    
-    // Fetch updated post with populated comments
-    const updatedPost = await Post.findById(postId)
-      .populate('comments.user', 'username');
+    if (post.author.toString() !== req.user._id.toString() && !hasPermission(req.user, 'posts:update:any')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this post'
+      });
+    }
 
-    res.status(201).json({
+    // Publishing or unpublishing from the dashboard also cancels any schedule
+    const publishing = resolvePublishing({ isPublished: req.body.status === 'published' }, post);
+    if (!allowHeldPublishing(res, post, publishing, req.user)) return;
+
+    Object.assign(post, publishing);
+    await post.save();
+    if (post.isPublished) {
+      await notifyMentions({ post: post._id, comment: null });
+    }
+
+    res.json({
       success: true,
-      data: updatedPost.comments
+      data: post
     });
   } catch (error) {
     next(error);
   }
 };
 
-// Search posts
-exports.searchPosts = async (req, res, next) => {
+// Copy a post into a new draft owned by the current user
+exports.duplicatePost = async (req, res, next) => {
   try {
-    const { q: query } = req.query;
-    
-    if (!query) {
-      return res.status(400).json({
+    const original = await Post.findById(req.params.id);
+
+    if (!original) {
+      return res.status(404).json({
         success: false,
-        message: 'Search query is required'
+        message: 'Post not found'
       });
     }
 
-    const posts = await Post.find({
-      isPublished: true,
-      $or: [
-        { title: { $regex: query, $options: 'i' } },
-        { content: { $regex: query, $options: 'i' } },
-        { tags: { $in: [new RegExp(query, 'i')] } }
-      ]
-    })
-      .populate('author', 'username')
-      .populate('category', 'name')
-      .sort({ createdAt: -1 })
-      .limit(20);
+    if (original.author.toString() !== req.user._id.toString() && !hasPermission(req.user, 'posts:update:any')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to duplicate this post'
+      });
+    }
 
-    res.json({
+    const post = await Post.create({
+      title: `${original.title} (copy)`.substring(0, 100),
+      content: original.content,
+      excerpt: original.excerpt,
+      category: original.category,
+      tags: original.tags,
+      featuredImage: original.featuredImage,
+      author: req.user._id,
+      isPublished: false,
+      mentions: original.mentions,
+      // A copy of a held or rejected post waits for review like the original
+      ...(['held', 'rejected'].includes(original.moderation?.status) && { moderation: { status: 'held' } })
+    });
+    await Revision.record(post, req.user._id);
+    await recordMentions({ users: post.mentions, author: post.author, post: post._id, notify: false });
+    await post.populate('category', 'name');
+
+    res.status(201).json({
       success: true,
-      data: posts
+      data: post
     });
   } catch (error) {
     next(error);
   }
-};
\ No newline at end of file
+};
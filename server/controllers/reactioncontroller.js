@@ -0,0 +1,96 @@
+const Post = require('../models/Post');
+const Reaction = require('../models/reaction');
+const { validationResult } = require('express-validator');
+const { notify } = require('../utils/notifications');
+
+// Only published posts can be reacted to
+const findPublishedPost = async (req, res) => {
+  const post = await Post.findById(req.params.id).select('author isPublished reactionCounts');
+
+  if (!post || !post.isPublished) {
+    res.status(404).json({
+      success: false,
+      message: 'Post not found'
+    });
+    return null;
+  }
+
+  return post;
+};
+
+// Apply count changes like { like: -1, love: 1 } and return the new totals
+const updateCounts = async (postId, changes) => {
+  const inc = Object.fromEntries(
+    Object.entries(changes).map(([type, amount]) => [`reactionCounts.${type}`, amount])
+  );
+  const post = await Post.findByIdAndUpdate(postId, { $inc: inc }, { new: true }).select('reactionCounts');
+  return post.reactionCounts;
+};
+
+// Add or change the current user's reaction. Repeating the same reaction changes nothing.
+exports.addReaction = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const post = await findPublishedPost(req, res);
+    if (!post) return;
+
+    const type = req.body.type || 'like';
+
+    // Returns the reaction as it was before the update, or null if it is new
+    const previous = await Reaction.findOneAndUpdate(
+      { post: post._id, user: req.user._id },
+      { type },
+      { upsert: true, new: false, runValidators: true }
+    );
+
+    let reactionCounts = post.reactionCounts;
+    if (!previous) {
+      reactionCounts = await updateCounts(post._id, { [type]: 1 });
+      // Only the first reaction from each reader notifies the author
+      await notify([{ recipient: post.author, type: 'reaction', actor: req.user._id, post: post._id, reaction: type }]);
+    } else if (previous.type !== type) {
+      reactionCounts = await updateCounts(post._id, { [previous.type]: -1, [type]: 1 });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        reactionCounts,
+        viewerReaction: type
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Remove the current user's reaction, if any
+exports.removeReaction = async (req, res, next) => {
+  try {
+    const post = await findPublishedPost(req, res);
+    if (!post) return;
+
+    const removed = await Reaction.findOneAndDelete({ post: post._id, user: req.user._id });
+
+    const reactionCounts = removed
+      ? await updateCounts(post._id, { [removed.type]: -1 })
+      : post.reactionCounts;
+
+    res.json({
+      success: true,
+      data: {
+        reactionCounts,
+        viewerReaction: null
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
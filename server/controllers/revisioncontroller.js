@@ -0,0 +1,202 @@
+const Post = require('../models/Post');
+const Revision = require('../models/revision');
+const { validationResult } = require('express-validator');
+const { hasPermission } = require('../config/permissions');
+const { diffWords } = require('../utils/diff');
+const { findMentionedUsers, recordMentions } = require('../utils/mentions');
+
+// Load the post and make sure the current user may edit it. Sends the error
+// response and resolves to null when they can't.
+const findEditablePost = async (req, res) => {
+  const post = await Post.findById(req.params.id);
+
+  if (!post) {
+    res.status(404).json({
+      success: false,
+      message: 'Post not found'
+    });
+    return null;
+  }
+
+  // Revisions are visible to whoever may edit the post
+  if (post.author.toString() !== req.user._id.toString() && !hasPermission(req.user, 'posts:update:any')) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to view the history of this post'
+    });
+    return null;
+  }
+
+  return post;
+};
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+const revisionNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Revision not found'
+});
+
+// List a post's revisions, newest first, without their content
+exports.getRevisions = async (req, res, next) => {
+  try {
+    const post = await findEditablePost(req, res);
+    if (!post) return;
+
+    const revisions = await Revision.find({ post: post._id })
+      .select('-content')
+      .populate('editor', 'username displayName avatar')
+      .populate('category', 'name')
+      .sort({ number: -1 });
+
+    res.json({
+      success: true,
+      data: revisions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Get a single revision with its full content
+exports.getRevision = async (req, res, next) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const post = await findEditablePost(req, res);
+    if (!post) return;
+
+    const revision = await Revision.findOne({ post: post._id, number: req.params.rev })
+      .populate('editor', 'username displayName avatar')
+      .populate('category', 'name');
+
+    if (!revision) {
+      return revisionNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: revision
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Word-level diff of a revision against an earlier one (?against=, defaults to the previous revision)
+exports.diffRevisions = async (req, res, next) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const post = await findEditablePost(req, res);
+    if (!post) return;
+
+    const number = parseInt(req.params.rev);
+    const revision = await Revision.findOne({ post: post._id, number })
+      .populate('editor', 'username displayName avatar')
+      .populate('category', 'name');
+
+    if (!revision) {
+      return revisionNotFound(res);
+    }
+
+    const baseQuery = req.query.against
+      ? Revision.findOne({ post: post._id, number: parseInt(req.query.against) })
+      : Revision.findOne({ post: post._id, number: { $lt: number } }).sort({ number: -1 });
+    const base = await baseQuery
+      .populate('editor', 'username displayName avatar')
+      .populate('category', 'name');
+
+    if (req.query.against && !base) {
+      return revisionNotFound(res);
+    }
+
+    // The first revision is diffed against an empty post
+    const text = (rev, field) => {
+      if (!rev) return '';
+      if (field === 'tags') return (rev.tags || []).join(', ');
+      if (field === 'category') return rev.category?.name || '';
+      return rev[field] || '';
+    };
+
+    const changes = {};
+    Revision.FIELDS.forEach((field) => {
+      changes[field] = diffWords(text(base, field), text(revision, field));
+    });
+
+    const summary = (rev) => rev && {
+      _id: rev._id,
+      number: rev.number,
+      title: rev.title,
+      editor: rev.editor,
+      restoredFrom: rev.restoredFrom,
+      createdAt: rev.createdAt
+    };
+
+    res.json({
+      success: true,
+      data: {
+        from: summary(base),
+        to: summary(revision),
+        changes
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Copy a revision's content back onto the post, recording the restore as a new revision
+exports.restoreRevision = async (req, res, next) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const post = await findEditablePost(req, res);
+    if (!post) return;
+
+    const revision = await Revision.findOne({ post: post._id, number: req.params.rev });
+
+    if (!revision) {
+      return revisionNotFound(res);
+    }
+
+    await Revision.recordBaseline(post);
+
+    Revision.FIELDS.forEach((field) => {
+      post[field] = revision[field];
+    });
+    post.mentions = (await findMentionedUsers(post.content, post.author)).map(user => user._id);
+    // Restoring an older title shouldn't move the post to a new URL
+    post.$locals.keepSlug = true;
+    await post.save();
+    await recordMentions({ users: post.mentions, author: post.author, post: post._id, notify: post.isPublished });
+
+    const restored = await Revision.record(post, req.user._id, {
+      force: true,
+      restoredFrom: revision.number
+    });
+
+    await post.populate('author', 'username displayName avatar');
+    await post.populate('category', 'name');
+    await post.populate('mentions', 'username');
+
+    res.json({
+      success: true,
+      data: post,
+      revision: restored.number,
+      message: `Restored revision ${revision.number}`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
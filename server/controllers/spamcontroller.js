@@ -0,0 +1,195 @@
+const Post = require('../models/Post');
+const SpamRules = require('../models/spamrules');
+const { validationResult } = require('express-validator');
+const { parsePagination } = require('../utils/queryparser');
+const { scoreContent } = require('../utils/spam');
+const { notifyMentions } = require('../utils/mentions');
+const { notify } = require('../utils/notifications');
+
+// Settings an admin can change: every path of SpamRules except bookkeeping
+const RULE_PATHS = Object.keys(SpamRules.schema.paths).filter(path =>
+  !['_id', '__v', 'key', 'updatedBy', 'createdAt', 'updatedAt'].includes(path)
+);
+
+const valueAt = (object, path) => path.split('.').reduce((value, key) => value?.[key], object);
+
+// The current spam rules
+exports.getSpamRules = async (req, res, next) => {
+  try {
+    const rules = await SpamRules.current();
+    await rules.populate('updatedBy', 'username displayName');
+
+    res.json({
+      success: true,
+      data: rules
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Change some of the spam rules; anything left out keeps its current value
+exports.updateSpamRules = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const update = { updatedBy: req.user._id };
+    RULE_PATHS.forEach(path => {
+      const value = valueAt(req.body, path);
+      if (value !== undefined) {
+        update[path] = Array.isArray(value) ? [...new Set(value)] : value;
+      }
+    });
+
+    const rules = await SpamRules.findOneAndUpdate(
+      { key: 'default' },
+      { $set: update },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    ).populate('updatedBy', 'username displayName');
+
+    res.json({
+      success: true,
+      message: 'Spam rules updated',
+      data: rules
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Score some text against the current rules without saving anything, as if
+// the signed-in user had posted it
+exports.checkContent = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const result = await scoreContent({
+      type: req.body.type || 'comment',
+      title: req.body.title,
+      content: req.body.content,
+      user: req.user,
+      honeypot: req.body.honeypot
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Posts the spam checks are holding, oldest first
+exports.getHeldPosts = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { page, limit, skip } = parsePagination(req.query, 20);
+    const filter = { 'moderation.status': 'held' };
+
+    const [posts, total] = await Promise.all([
+      Post.find(filter)
+        .select('+spam')
+        .populate('author', 'username displayName avatar createdAt')
+        .populate('category', 'name')
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(limit),
+      Post.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: posts,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Approve or reject a held post. Approving publishes it, or schedules it, the
+// way its author asked when they created it; rejecting leaves it a draft its
+// author can't publish.
+exports.reviewPost = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const post = await Post.findOne({
+      _id: req.params.id,
+      'moderation.status': { $in: ['held', 'rejected'] }
+    });
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'No held post found'
+      });
+    }
+
+    const { publishRequested, publishAt } = post.moderation;
+    const approved = req.body.action === 'approve';
+
+    if (approved && publishAt && publishAt > new Date()) {
+      post.publishAt = publishAt;
+    } else if (approved && publishRequested) {
+      post.isPublished = true;
+      post.publishedAt = post.publishedAt || new Date();
+    }
+
+    post.moderation = {
+      status: approved ? 'approved' : 'rejected',
+      reviewedBy: req.user._id,
+      reviewedAt: new Date()
+    };
+    await post.save();
+    if (post.isPublished) {
+      await notifyMentions({ post: post._id, comment: null });
+    }
+    await notify([{
+      recipient: post.author,
+      type: 'moderation',
+      actor: req.user._id,
+      post: post._id,
+      outcome: approved ? 'approved' : 'rejected'
+    }]);
+
+    res.json({
+      success: true,
+      message: approved ? 'Post approved' : 'Post rejected',
+      data: post
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,197 @@
+const User = require('../models/user');
+const Post = require('../models/Post');
+const { validationResult } = require('express-validator');
+const { getPermissions } = require('../config/permissions');
+
+// Profile fields users may edit through PUT /api/users/me
+const PROFILE_FIELDS = ['displayName', 'bio', 'website'];
+const SOCIAL_FIELDS = ['twitter', 'github', 'linkedin'];
+
+// Public author page: profile, stats and published posts
+exports.getProfile = async (req, res, next) => {
+  try {
+    const user = await User.findByUsername(req.params.username);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    const skip = (page - 1) * limit;
+
+    const filter = { author: user._id, isPublished: true };
+
+    const [posts, total, totals] = await Promise.all([
+      Post.find(filter)
+        .select('-content')
+        .populate('category', 'name')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Post.countDocuments(filter),
+      Post.aggregate([
+        { $match: filter },
+        { $group: { _id: null, views: { $sum: '$viewCount' } } }
+      ])
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        profile: user.toPublicProfile(),
+        stats: {
+          posts: total,
+          views: totals[0]?.views || 0
+        },
+        posts
+      },
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// The signed-in user's own profile, including private fields
+exports.getMyProfile = async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        ...req.user.toPublicProfile(),
+        email: req.user.email
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+exports.updateMyProfile = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    PROFILE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        user[field] = req.body[field];
+      }
+    });
+
+    // Multipart forms send nested fields flattened, e.g. socialLinks[github]
+    const socialLinks = req.body.socialLinks || {};
+    SOCIAL_FIELDS.forEach(field => {
+      if (socialLinks[field] !== undefined) {
+        user.socialLinks[field] = socialLinks[field];
+      }
+    });
+
+    if (req.file) {
+      user.avatar = `/uploads/${req.file.filename}`;
+    } else if (req.body.removeAvatar === 'true' || req.body.removeAvatar === true) {
+      user.avatar = undefined;
+    }
+
+    await user.save();
+
+    res.json({
+      success: true,
+      data: {
+        ...user.toPublicProfile(),
+        email: user.email
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Change a user's role (admin only)
+exports.updateUserRole = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    // Stop admins from locking themselves out of user management
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { role: req.body.role },
+      {
+        new: true,
+        runValidators: true
+      }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        id: user._id,
+        username: user.username,
+        role: user.role,
+        permissions: getPermissions(user.role)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Clear failed login attempts and lift an account lockout (admin only)
+exports.unlockUser = async (req, res, next) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { failedLoginAttempts: 0, $unset: { lockUntil: 1 } },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Account ${user.username} has been unlocked`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
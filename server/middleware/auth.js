@@ -1,5 +1,30 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/user');
+const Session = require('../models/session');
+const { verifyAccessToken } = require('../utils/tokens');
+
+// Resolve the user and session behind a bearer token, or null if either is
+// missing, expired or revoked
+const authenticate = async (token) => {
+  const decoded = verifyAccessToken(token);
+
+  // Every access token is tied to a session so logout can revoke it early;
+  // this also keeps two-factor challenge tokens from being used as access tokens
+  if (!decoded.sessionId) {
+    return null;
+  }
+
+  const session = await Session.findById(decoded.sessionId);
+  if (!session || !session.isActive || session.user.toString() !== decoded.userId) {
+    return null;
+  }
+
+  const user = await User.findById(decoded.userId).select('-password');
+  if (!user) {
+    return null;
+  }
+
+  return { user, session };
+};
 
 const auth = async (req, res, next) => {
   try {
@@ -9,18 +34,37 @@ const auth = async (req, res, next) => {
       return res.status(401).json({ message: 'No token, authorization denied' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret');
-    const user = await User.findById(decoded.userId).select('-password');
+    const result = await authenticate(token);
     
-    if (!user) {
+    if (!result) {
       return res.status(401).json({ message: 'Token is not valid' });
     }
 
-    req.user = user;
+    req.user = result.user;
+    req.session = result.session;
     next();
   } catch (error) {
     res.status(401).json({ message: 'Token is not valid' });
   }
 };
 
-module.exports = auth;
\ No newline at end of file
+// Attach the user when a valid token is sent, but let anonymous requests through
+const optionalAuth = async (req, res, next) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+
+    if (token) {
+      const result = await authenticate(token);
+      if (result) {
+        req.user = result.user;
+        req.session = result.session;
+      }
+    }
+  } catch (error) {
+    // An invalid token on a public route is treated as anonymous
+  }
+  next();
+};
+
+module.exports = auth;
+module.exports.optional = optionalAuth;
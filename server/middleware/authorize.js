@@ -0,0 +1,19 @@
+const { hasPermission } = require('../config/permissions');
+
+// Must run after `auth`. Passes when the user holds any of the given permissions.
+const authorize = (...permissions) => {
+  return (req, res, next) => {
+    const allowed = permissions.some(permission => hasPermission(req.user, permission));
+
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to perform this action'
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = authorize;
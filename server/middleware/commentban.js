@@ -0,0 +1,18 @@
+// Must run after `auth`. Blocks users a moderator has banned from commenting;
+// the `code` lets the client explain why instead of showing a generic error.
+const requireCommentAccess = (req, res, next) => {
+  if (req.user.isCommentBanned()) {
+    const { until } = req.user.commentBan;
+    return res.status(403).json({
+      success: false,
+      code: 'COMMENT_BANNED',
+      message: until
+        ? `You are banned from commenting until ${until.toISOString()}`
+        : 'You are banned from commenting',
+      until: until || null
+    });
+  }
+  next();
+};
+
+module.exports = requireCommentAccess;
@@ -0,0 +1,45 @@
+// Fixed-window, in-memory rate limiter keyed by client IP. Good enough for a
+// single server instance; limits are read from the environment per request so
+// they pick up values loaded by dotenv after this module is required.
+const rateLimit = ({ windowMinutesEnv, maxEnv, defaultWindowMinutes, defaultMax, message }) => {
+  const hits = new Map();
+
+  // Drop expired windows so the map doesn't grow forever
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) {
+        hits.delete(key);
+      }
+    }
+  }, 60 * 1000);
+  cleanup.unref();
+
+  return (req, res, next) => {
+    const windowMs = (parseInt(process.env[windowMinutesEnv]) || defaultWindowMinutes) * 60 * 1000;
+    const max = parseInt(process.env[maxEnv]) || defaultMax;
+    const now = Date.now();
+
+    let entry = hits.get(req.ip);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(req.ip, entry);
+    }
+
+    entry.count += 1;
+
+    if (entry.count > max) {
+      const retryAfter = Math.ceil((entry.resetAt - now) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message,
+        retryAfter
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = rateLimit;
@@ -0,0 +1,14 @@
+// Must run after `auth`. Blocks users who haven't confirmed their email yet;
+// the `code` lets the client show a verification banner instead of a generic error.
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.emailVerified) {
+    return res.status(403).json({
+      success: false,
+      code: 'EMAIL_NOT_VERIFIED',
+      message: 'Please verify your email address before posting or commenting'
+    });
+  }
+  next();
+};
+
+module.exports = requireVerifiedEmail;
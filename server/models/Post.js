@@ -1,6 +1,24 @@
 // Post.js - Mongoose model for blog posts
 
 const mongoose = require('mongoose');
+const { slugify, isReservedSlug, MAX_SLUG_LENGTH } = require('../utils/slug');
+const Reaction = require('./reaction');
+
+// Running totals per reaction type, kept in step by the reactions controller
+const reactionCountsSchema = new mongoose.Schema(
+  Object.fromEntries(Reaction.TYPES.map((type) => [type, { type: Number, default: 0 }])),
+  { _id: false }
+);
+
+// What the spam checks made of a post when it was created
+const spamCheckSchema = new mongoose.Schema(
+  {
+    score: { type: Number, default: 0 },
+    reasons: [{ _id: false, rule: String, score: Number, detail: String }],
+    checkedAt: { type: Date, default: null },
+  },
+  { _id: false }
+);
 
 const PostSchema = new mongoose.Schema(
   {
@@ -23,6 +41,11 @@ const PostSchema = new mongoose.Schema(
       required: true,
       unique: true,
     },
+    // Former slugs, kept so old links can be redirected to the current one
+    previousSlugs: {
+      type: [String],
+      default: [],
+    },
     excerpt: {
       type: String,
       maxlength: [200, 'Excerpt cannot be more than 200 characters'],
@@ -38,59 +61,146 @@ const PostSchema = new mongoose.Schema(
       required: true,
     },
     tags: [String],
+    // Users @mentioned in the content, so it can link to their profiles
+    mentions: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+    ],
     isPublished: {
       type: Boolean,
       default: false,
     },
+    // When set on an unpublished post, the scheduler publishes it at this time
+    publishAt: {
+      type: Date,
+      default: null,
+    },
+    publishedAt: {
+      type: Date,
+    },
     viewCount: {
       type: Number,
       default: 0,
     },
-    comments: [
-      {
-        user: {
-          type: mongoose.Schema.Types.ObjectId,
-          ref: 'User',
-        },
-        content: {
-          type: String,
-          required: true,
-        },
-        createdAt: {
-          type: Date,
-          default: Date.now,
-        },
+    reactionCounts: {
+      type: reactionCountsSchema,
+      default: () => ({}),
+    },
+    // Comments live in their own collection; this is kept in step for listings
+    commentCount: {
+      type: Number,
+      default: 0,
+    },
+    // Left out of queries unless asked for, so readers don't learn the rules
+    spam: {
+      type: spamCheckSchema,
+      select: false,
+    },
+    // Set when the spam checks hold a post for review. Its author can't
+    // publish it while it is held or rejected; approving it publishes it the
+    // way the author asked.
+    moderation: {
+      status: {
+        type: String,
+        enum: ['held', 'approved', 'rejected'],
       },
-    ],
+      publishRequested: Boolean,
+      publishAt: Date,
+      reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      reviewedAt: Date,
+    },
   },
   { timestamps: true }
 );
 
-// Create slug from title before saving
-PostSchema.pre('save', function (next) {
-  if (!this.isModified('title')) {
-    return next();
+// Remember the stored slug so a change can be recorded as a redirect
+PostSchema.post('init', function () {
+  this.$locals.loadedSlug = this.slug;
+});
+
+// True when another post uses the slug, currently or as a redirect
+PostSchema.statics.isSlugTaken = async function (slug, excludeId = null) {
+  if (isReservedSlug(slug)) {
+    return true;
   }
-  
-  this.slug = this.title
-    .toLowerCase()
-    .replace(/[^\w ]+/g, '')
-    .replace(/ +/g, '-');
-    
-  next();
+  const taken = await this.exists({
+    _id: { $ne: excludeId },
+    $or: [{ slug }, { previousSlugs: slug }],
+  });
+  return Boolean(taken);
+};
+
+// Slug from the text, with a numeric suffix (-2, -3, ...) if it is already taken
+PostSchema.statics.generateUniqueSlug = async function (text, excludeId = null) {
+  // Leave room for the suffix within the length limit
+  const base = slugify(text).substring(0, MAX_SLUG_LENGTH - 6).replace(/-+$/, '') || 'post';
+  const pattern = new RegExp(`^${base}(-\\d+)?$`);
+
+  const posts = await this.find({
+    _id: { $ne: excludeId },
+    $or: [{ slug: pattern }, { previousSlugs: pattern }],
+  }).select('slug previousSlugs');
+
+  const taken = new Set(posts.flatMap((post) => [post.slug, ...post.previousSlugs]));
+  if (!taken.has(base) && !isReservedSlug(base)) {
+    return base;
+  }
+
+  let suffix = 2;
+  while (taken.has(`${base}-${suffix}`)) {
+    suffix += 1;
+  }
+  return `${base}-${suffix}`;
+};
+
+// Generate the slug before validation so the required check passes. A custom
+// slug (or $locals.keepSlug) is kept; otherwise it follows the title.
+PostSchema.pre('validate', async function () {
+  const customSlug = this.isModified('slug') && this.slug;
+
+  if (!this.slug || (!customSlug && this.isModified('title') && !this.$locals.keepSlug)) {
+    this.slug = await this.constructor.generateUniqueSlug(this.title, this._id);
+  }
+
+  const previous = this.$locals.loadedSlug;
+  if (previous && previous !== this.slug && !this.previousSlugs.includes(previous)) {
+    this.previousSlugs.push(previous);
+  }
+  // A post can take back one of its own old slugs
+  if (this.previousSlugs.includes(this.slug)) {
+    this.previousSlugs.pull(this.slug);
+  }
+});
+
+PostSchema.post('save', function () {
+  this.$locals.loadedSlug = this.slug;
 });
 
+// Lets the scheduler find due posts quickly
+PostSchema.index({ isPublished: 1, publishAt: 1 });
+PostSchema.index({ previousSlugs: 1 });
+PostSchema.index({ 'moderation.status': 1, createdAt: 1 });
+PostSchema.index({ author: 1, createdAt: -1 });
+
+// Full-text search, ranking title matches above tags, excerpt and content
+PostSchema.index(
+  { title: 'text', tags: 'text', excerpt: 'text', content: 'text' },
+  {
+    name: 'post_text_search',
+    weights: { title: 10, tags: 5, excerpt: 3, content: 1 },
+  }
+);
+
 // Virtual for post URL
 PostSchema.virtual('url').get(function () {
   return `/posts/${this.slug}`;
 });
 
-// Method to add a comment
-PostSchema.methods.addComment = function (userId, content) {
-  this.comments.push({ user: userId, content });
-  return this.save();
-};
-
 // Method to increment view count
 PostSchema.methods.incrementViewCount = function () {
   this.viewCount += 1;
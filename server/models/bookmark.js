@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// A post saved to a user's reading list
+const bookmarkSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  // Optional folder name; empty means unsorted
+  folder: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [50, 'Folder name cannot be more than 50 characters']
+  },
+  note: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [500, 'Note cannot be more than 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+bookmarkSchema.index({ user: 1, post: 1 }, { unique: true });
+bookmarkSchema.index({ user: 1, folder: 1, createdAt: -1 });
+
+// IDs (as strings) of the given posts that the user has bookmarked
+bookmarkSchema.statics.bookmarkedPostIds = async function(userId, postIds) {
+  if (!userId || !postIds.length) {
+    return new Set();
+  }
+  const bookmarks = await this.find({ user: userId, post: { $in: postIds } }).select('post');
+  return new Set(bookmarks.map(bookmark => bookmark.post.toString()));
+};
+
+module.exports = mongoose.model('Bookmark', bookmarkSchema);
@@ -11,6 +11,11 @@ const categorySchema = new mongoose.Schema({
   description: {
     type: String,
     maxlength: 200
+  },
+  // Hold new comments on this category's posts for a moderator
+  requireCommentApproval: {
+    type: Boolean,
+    default: false
   }
 }, {
   timestamps: true
@@ -1,5 +1,12 @@
 const mongoose = require('mongoose');
 
+// Replies nest at most this many levels below a top-level comment
+const MAX_DEPTH = 5;
+
+// Only approved comments are shown to readers. Comments from before
+// moderation existed have no status and count as approved.
+const STATUSES = ['pending', 'approved', 'spam', 'hidden'];
+
 const commentSchema = new mongoose.Schema({
   content: {
     type: String,
@@ -7,6 +14,11 @@ const commentSchema = new mongoose.Schema({
     trim: true,
     maxlength: 1000
   },
+  // Users @mentioned in the content, so it can link to their profiles
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   author: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -18,11 +30,126 @@ const commentSchema = new mongoose.Schema({
     required: true
   },
   parentComment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  // Every comment above this one, top-level first, so a whole thread loads in one query
+  ancestors: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Comment'
+  }],
+  depth: {
+    type: Number,
+    default: 0
+  },
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  // A deleted comment that still has replies stays as a placeholder so the thread holds together
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'approved'
+  },
+  // Reader reports; enough of them send the comment back for review
+  reports: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  reportCount: {
+    type: Number,
+    default: 0
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  moderatedAt: {
+    type: Date,
+    default: null
+  },
+  // What the spam checks made of the comment when it was posted
+  spam: {
+    score: {
+      type: Number,
+      default: 0
+    },
+    reasons: [{
+      _id: false,
+      rule: String,
+      score: Number,
+      detail: String
+    }],
+    checkedAt: {
+      type: Date,
+      default: null
+    }
   }
 }, {
   timestamps: true
 });
 
-module.exports = mongoose.model('Comment', commentSchema);
\ No newline at end of file
+commentSchema.index({ post: 1, parentComment: 1, createdAt: 1, _id: 1 });
+commentSchema.index({ ancestors: 1 });
+commentSchema.index({ status: 1, createdAt: 1 });
+commentSchema.index({ reportCount: -1, createdAt: -1 });
+commentSchema.index({ author: 1, createdAt: -1 });
+
+// Conditions for comments that count as approved
+const APPROVED = { status: { $in: ['approved', null] } };
+
+commentSchema.statics.isApproved = function(comment) {
+  return !comment.status || comment.status === 'approved';
+};
+
+// What a reader may see: approved comments, plus their own awaiting approval
+commentSchema.statics.visibleTo = function(user) {
+  if (!user) return APPROVED;
+  return { $or: [APPROVED, { author: user._id, status: 'pending' }] };
+};
+
+// Where a reply to `parent` goes. Past MAX_DEPTH it joins the parent's own
+// level instead of nesting further.
+commentSchema.statics.replyPlacement = function(parent) {
+  if (parent.depth >= MAX_DEPTH) {
+    return {
+      parentComment: parent.parentComment,
+      ancestors: parent.ancestors,
+      depth: parent.depth
+    };
+  }
+
+  return {
+    parentComment: parent._id,
+    ancestors: [...parent.ancestors, parent._id],
+    depth: parent.depth + 1
+  };
+};
+
+commentSchema.statics.MAX_DEPTH = MAX_DEPTH;
+commentSchema.statics.STATUSES = STATUSES;
+commentSchema.statics.APPROVED = APPROVED;
+
+module.exports = mongoose.model('Comment', commentSchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+const User = require('./user');
+
+// A comment or reply waiting to go out in a user's daily digest email
+const digestItemSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: User.EMAIL_TYPES,
+    required: true
+  },
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+digestItemSchema.index({ user: 1, createdAt: 1 });
+
+module.exports = mongoose.model('DigestItem', digestItemSchema);
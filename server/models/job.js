@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Finished jobs are kept this long for debugging, then removed by MongoDB
+const KEEP_FINISHED_SECONDS = 7 * 24 * 60 * 60;
+
+// A unit of background work run by utils/jobs.js
+const jobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Only one job with a given key is ever queued, so the same work isn't
+  // scheduled twice (e.g. one digest per user per day)
+  key: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'done', 'failed'],
+    default: 'pending'
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  // The instance running the job; if it dies the job is picked up again
+  // once lockedUntil passes
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ key: 1 }, { unique: true, partialFilterExpression: { key: { $type: 'string' } } });
+jobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: KEEP_FINISHED_SECONDS });
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// A named lease used to make sure only one server instance runs a job at a time
+const lockSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  owner: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Take the lock if it is free, expired or already ours. Resolves to true when held.
+lockSchema.statics.acquire = async function(name, owner, ttlMs) {
+  const now = new Date();
+  try {
+    const lock = await this.findOneAndUpdate(
+      {
+        name,
+        $or: [{ expiresAt: { $lte: now } }, { owner }]
+      },
+      { owner, expiresAt: new Date(now.getTime() + ttlMs) },
+      { upsert: true, new: true }
+    );
+    return lock.owner === owner;
+  } catch (error) {
+    // Another instance holds a live lock, so the upsert hit the unique index
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+lockSchema.statics.release = function(name, owner) {
+  return this.deleteOne({ name, owner });
+};
+
+module.exports = mongoose.model('Lock', lockSchema);
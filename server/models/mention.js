@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// A user called into a post, or into one of its comments, with @username
+const mentionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  mentionedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  // Null when the mention is in the post itself
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  // Set once the user has been notified. Mentions in content nobody can see
+  // yet, like a pending comment or a draft, wait until it is visible.
+  notifiedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+mentionSchema.index({ post: 1, comment: 1, user: 1 }, { unique: true });
+mentionSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Mention', mentionSchema);
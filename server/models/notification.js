@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const Reaction = require('./reaction');
+
+// comment: on your post; reply: to your comment; moderation: a moderator or
+// editor acted on your comment or post, or banned you from commenting
+const TYPES = ['comment', 'reply', 'mention', 'reaction', 'moderation'];
+
+const OUTCOMES = ['approved', 'rejected', 'spam', 'banned'];
+
+// Something that happened which a user should hear about
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: TYPES,
+    required: true
+  },
+  // Who caused it
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    default: null
+  },
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  // For reaction notifications
+  reaction: {
+    type: String,
+    enum: Reaction.TYPES
+  },
+  // For moderation notifications
+  outcome: {
+    type: String,
+    enum: OUTCOMES
+  },
+  read: {
+    type: Boolean,
+    default: false
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, read: 1 });
+
+notificationSchema.statics.TYPES = TYPES;
+notificationSchema.statics.OUTCOMES = OUTCOMES;
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Reactions a reader can leave on a post; the client maps each to an emoji
+const REACTION_TYPES = ['like', 'love', 'laugh', 'wow', 'sad', 'celebrate'];
+
+// One reaction per user per post. Totals are kept on Post.reactionCounts.
+const reactionSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: REACTION_TYPES,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+reactionSchema.index({ post: 1, user: 1 }, { unique: true });
+
+reactionSchema.statics.TYPES = REACTION_TYPES;
+
+module.exports = mongoose.model('Reaction', reactionSchema);
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+// Fields copied into each revision and compared when diffing
+const REVISION_FIELDS = ['title', 'content', 'excerpt', 'tags', 'category'];
+
+// A snapshot of a post's content taken every time it is saved
+const revisionSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  // Sequential per post, starting at 1
+  number: {
+    type: Number,
+    required: true
+  },
+  title: String,
+  content: String,
+  excerpt: String,
+  tags: [String],
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  },
+  editor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Set when this revision was created by restoring an older one
+  restoredFrom: Number
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+revisionSchema.index({ post: 1, number: -1 }, { unique: true });
+
+// True when the post's content differs from this revision
+revisionSchema.methods.differsFrom = function(post) {
+  return REVISION_FIELDS.some((field) => {
+    if (field === 'tags') {
+      return (this.tags || []).join(',') !== (post.tags || []).join(',');
+    }
+    if (field === 'category') {
+      return String(this.category) !== String(post.category?._id || post.category);
+    }
+    return (this[field] || '') !== (post[field] || '');
+  });
+};
+
+// Store the post's current content as the next revision. Skips the save when
+// nothing changed since the latest revision, unless options.force is set.
+revisionSchema.statics.record = async function(post, editor, options = {}) {
+  const latest = await this.findOne({ post: post._id }).sort({ number: -1 });
+  if (latest && !options.force && !latest.differsFrom(post)) {
+    return latest;
+  }
+
+  const snapshot = { post: post._id, editor, restoredFrom: options.restoredFrom };
+  REVISION_FIELDS.forEach((field) => {
+    snapshot[field] = field === 'category' ? post.category?._id || post.category : post[field];
+  });
+
+  // Two saves racing for the same number collide on the unique index; retry with the next one
+  let number = latest ? latest.number + 1 : 1;
+  for (let attempt = 0; attempt < 3; attempt += 1) {
+    try {
+      return await this.create({ ...snapshot, number, createdAt: options.createdAt });
+    } catch (error) {
+      if (error.code !== 11000 || attempt === 2) {
+        throw error;
+      }
+      const current = await this.findOne({ post: post._id }).sort({ number: -1 });
+      number = current.number + 1;
+    }
+  }
+};
+
+// Posts written before revisions existed get their current state stored as
+// revision 1 before the first edit, so that state can still be restored
+revisionSchema.statics.recordBaseline = async function(post) {
+  if (await this.exists({ post: post._id })) {
+    return null;
+  }
+  return this.record(post, post.author, { createdAt: post.updatedAt });
+};
+
+revisionSchema.statics.FIELDS = REVISION_FIELDS;
+
+module.exports = mongoose.model('Revision', revisionSchema);
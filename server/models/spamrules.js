@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// Settings for the spam checks in utils/spam.js. There is a single document;
+// until an admin saves one the defaults below apply.
+const rule = (weight, options = {}) => ({
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // Points added to the score when the rule matches
+  weight: {
+    type: Number,
+    default: weight,
+    min: 0
+  },
+  ...options
+});
+
+const spamRulesSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'default',
+    unique: true
+  },
+  // Comments and posts scoring this much or more are held for review
+  threshold: {
+    type: Number,
+    default: 5,
+    min: 1
+  },
+  honeypot: rule(10),
+  linkDensity: rule(3, {
+    maxLinks: { type: Number, default: 3, min: 0 },
+    // Links per word
+    maxRatio: { type: Number, default: 0.1, min: 0, max: 1 }
+  }),
+  blocklist: rule(5, {
+    words: { type: [String], default: [] },
+    // Blocking example.com also blocks its subdomains
+    domains: { type: [String], default: [] }
+  }),
+  repeatedContent: rule(4, {
+    windowHours: { type: Number, default: 24, min: 1 },
+    // Short replies like "Thanks!" are often repeated in good faith
+    minLength: { type: Number, default: 20, min: 0 }
+  }),
+  newAccount: rule(3, {
+    maxAgeHours: { type: Number, default: 24, min: 1 },
+    maxPerHour: { type: Number, default: 5, min: 1 }
+  }),
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// The saved settings, or the defaults when none have been saved
+spamRulesSchema.statics.current = async function() {
+  return (await this.findOne({ key: 'default' })) || new this();
+};
+
+module.exports = mongoose.model('SpamRules', spamRulesSchema);
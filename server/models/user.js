@@ -1,11 +1,30 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { hashToken } = require('../utils/tokens');
+const { ROLES, DEFAULT_ROLE } = require('../config/permissions');
+const { verifyCode, generateRecoveryCodes } = require('../utils/totp');
+const Notification = require('./notification');
+
+// Usernames that would clash with routes or impersonate staff
+const RESERVED_USERNAMES = [
+  'admin', 'administrator', 'api', 'auth', 'settings', 'profile', 'me',
+  'login', 'logout', 'register', 'signup', 'search', 'posts', 'users',
+  'root', 'support', 'help', 'moderator', 'editor', 'system', 'null', 'undefined'
+];
+
+// Emails a user can subscribe to: new comments on their posts and replies to
+// their comments, sent as they happen, in a daily digest or not at all
+const EMAIL_TYPES = ['comment', 'reply'];
+const EMAIL_MODES = ['immediate', 'daily', 'off'];
+
+// Case-insensitive comparisons for username lookups
+const CASE_INSENSITIVE = { locale: 'en', strength: 2 };
 
 const userSchema = new mongoose.Schema({
   username: {
     type: String,
     required: true,
-    unique: true,
     trim: true,
     minlength: 3,
     maxlength: 30
@@ -22,15 +41,104 @@ const userSchema = new mongoose.Schema({
     required: true,
     minlength: 6
   },
+  displayName: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Display name cannot be more than 50 characters']
+  },
+  bio: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Bio cannot be more than 500 characters']
+  },
+  avatar: {
+    type: String
+  },
+  website: {
+    type: String,
+    trim: true
+  },
+  socialLinks: {
+    twitter: { type: String, trim: true },
+    github: { type: String, trim: true },
+    linkedin: { type: String, trim: true }
+  },
   role: {
     type: String,
-    enum: ['user', 'admin'],
-    default: 'user'
+    enum: ROLES,
+    default: DEFAULT_ROLE
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  // Secret generated during setup, promoted to twoFactorSecret once confirmed
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  // Last accepted TOTP time step, so a code can't be replayed
+  twoFactorLastStep: {
+    type: Number,
+    select: false
+  },
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: Date,
+  // Set by a moderator to stop the user commenting; no `until` means indefinitely
+  commentBan: {
+    until: Date,
+    reason: String,
+    bannedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdAt: Date
+  },
+  // In-app notification types the user wants, all on unless switched off
+  notificationPreferences: Object.fromEntries(
+    Notification.TYPES.map(type => [type, { type: Boolean, default: true }])
+  ),
+  emailPreferences: Object.fromEntries(
+    EMAIL_TYPES.map(type => [type, { type: String, enum: EMAIL_MODES, default: 'immediate' }])
+  ),
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
   }
 }, {
   timestamps: true
 });
 
+// Case-insensitive unique usernames, so "Alice" and "alice" can't both exist
+userSchema.index({ username: 1 }, { unique: true, collation: CASE_INSENSITIVE, name: 'username_ci' });
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -44,9 +152,139 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// True while a comment ban is in force
+userSchema.methods.isCommentBanned = function() {
+  if (!this.commentBan?.createdAt) return false;
+  return !this.commentBan.until || this.commentBan.until > new Date();
+};
+
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Fields that are safe to show to anyone visiting an author page
+userSchema.methods.toPublicProfile = function() {
+  return {
+    id: this._id,
+    username: this.username,
+    displayName: this.displayName || this.username,
+    bio: this.bio || '',
+    avatar: this.avatar || null,
+    website: this.website || '',
+    socialLinks: {
+      twitter: this.socialLinks?.twitter || '',
+      github: this.socialLinks?.github || '',
+      linkedin: this.socialLinks?.linkedin || ''
+    },
+    role: this.role,
+    joinedAt: this.createdAt
+  };
+};
+
+userSchema.statics.EMAIL_TYPES = EMAIL_TYPES;
+userSchema.statics.EMAIL_MODES = EMAIL_MODES;
+
+userSchema.statics.isReservedUsername = function(username) {
+  return RESERVED_USERNAMES.includes(String(username).toLowerCase());
+};
+
+userSchema.statics.findByUsername = function(username) {
+  return this.findOne({ username }).collation(CASE_INSENSITIVE);
+};
+
+userSchema.statics.findByUsernames = function(usernames) {
+  return this.find({ username: { $in: usernames } }).collation(CASE_INSENSITIVE);
+};
+
+// Whether the account is currently locked after too many failed logins
+userSchema.methods.isLocked = function() {
+  return Boolean(this.lockUntil && this.lockUntil > new Date());
+};
+
+// Seconds until a locked account can try again
+userSchema.methods.lockRemainingSeconds = function() {
+  return this.isLocked() ? Math.ceil((this.lockUntil - Date.now()) / 1000) : 0;
+};
+
+// Count a failed login. Once LOGIN_MAX_ATTEMPTS is reached the account is
+// locked, and each further failure doubles the lock up to LOGIN_LOCKOUT_MAX_MINUTES.
+userSchema.methods.registerFailedLogin = async function() {
+  const maxAttempts = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+  const baseMinutes = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+  const maxMinutes = parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES) || 24 * 60;
+
+  // $inc keeps the count right when several guesses arrive at once
+  const updated = await this.constructor.findByIdAndUpdate(
+    this._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+  this.failedLoginAttempts = updated.failedLoginAttempts;
+
+  if (this.failedLoginAttempts >= maxAttempts) {
+    const exponent = this.failedLoginAttempts - maxAttempts;
+    const minutes = Math.min(baseMinutes * 2 ** exponent, maxMinutes);
+    this.lockUntil = new Date(Date.now() + minutes * 60 * 1000);
+    await this.constructor.updateOne({ _id: this._id }, { lockUntil: this.lockUntil });
+  }
+};
+
+userSchema.methods.resetLoginAttempts = function() {
+  this.failedLoginAttempts = 0;
+  this.lockUntil = undefined;
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { failedLoginAttempts: 0, $unset: { lockUntil: 1 } }
+  );
+};
+
+// Generate a password reset token; only its hash is stored on the user
+userSchema.methods.createPasswordResetToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+  const ttlMinutes = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+  this.passwordResetToken = hashToken(resetToken);
+  this.passwordResetExpires = new Date(Date.now() + ttlMinutes * 60 * 1000);
+
+  return resetToken;
+};
+
+// Generate an email verification token; only its hash is stored on the user
+userSchema.methods.createEmailVerificationToken = function() {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+  const ttlHours = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+
+  this.emailVerificationToken = hashToken(verificationToken);
+  this.emailVerificationExpires = new Date(Date.now() + ttlHours * 60 * 60 * 1000);
+
+  return verificationToken;
+};
+
+// Check a TOTP code (or a single-use recovery code) against the enabled secret.
+// Needs twoFactorSecret, twoFactorLastStep and twoFactorRecoveryCodes selected.
+userSchema.methods.verifyTwoFactor = function({ code, recoveryCode }) {
+  if (recoveryCode) {
+    const hashed = hashToken(String(recoveryCode).trim().toLowerCase());
+    const index = this.twoFactorRecoveryCodes.indexOf(hashed);
+    if (index === -1) return false;
+
+    this.twoFactorRecoveryCodes.splice(index, 1);
+    return true;
+  }
+
+  const step = verifyCode(this.twoFactorSecret, code, this.twoFactorLastStep ?? -1);
+  if (step === null) return false;
+
+  this.twoFactorLastStep = step;
+  return true;
+};
+
+// Replace the recovery codes; returns the plain codes to show the user once
+userSchema.methods.createRecoveryCodes = function() {
+  const codes = generateRecoveryCodes();
+  this.twoFactorRecoveryCodes = codes.map(code => hashToken(code));
+  return codes;
+};
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
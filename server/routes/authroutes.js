@@ -1,13 +1,67 @@
 const express = require('express');
-const { register, login, getMe } = require('../controllers/authcontroller');
-const { body } = require('express-validator');
+const {
+  register,
+  login,
+  getMe,
+  refresh,
+  logout,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  loginTwoFactor,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  checkAvailability
+} = require('../controllers/authcontroller');
+const { body, query } = require('express-validator');
 const auth = require('../middleware/auth');
+const rateLimit = require('../middleware/ratelimit');
 
 const router = express.Router();
 
+// The availability check fires as the user types, so it gets its own, more
+// generous limit rather than the credential limit below
+router.get(
+  '/availability',
+  rateLimit({
+    windowMinutesEnv: 'AVAILABILITY_RATE_LIMIT_WINDOW_MINUTES',
+    maxEnv: 'AVAILABILITY_RATE_LIMIT_MAX',
+    defaultWindowMinutes: 15,
+    defaultMax: 300,
+    message: 'Too many availability checks, please slow down'
+  }),
+  [
+    // isString also rejects repeated params (?email=a&email=b), which arrive as arrays
+    query('username').optional().isString().withMessage('Username must be a single value'),
+    query('email').optional().isString().withMessage('Email must be a single value')
+      .bail()
+      .isEmail().withMessage('Please include a valid email'),
+    query().custom(value => value.username !== undefined || value.email !== undefined)
+      .withMessage('Provide a username or email to check')
+  ],
+  checkAvailability
+);
+
+// Throttle the endpoints that take credentials or send email per IP, to slow
+// down credential stuffing. They share one budget; session upkeep (/me,
+// /refresh, /logout) isn't counted, so open tabs refreshing their tokens
+// can't lock people out.
+const credentialLimit = rateLimit({
+  windowMinutesEnv: 'AUTH_RATE_LIMIT_WINDOW_MINUTES',
+  maxEnv: 'AUTH_RATE_LIMIT_MAX',
+  defaultWindowMinutes: 15,
+  defaultMax: 50,
+  message: 'Too many requests from this IP, please try again later'
+});
+
 // Validation rules
 const registerValidation = [
   body('username').isLength({ min: 3 }).withMessage('Username must be at least 3 characters'),
+  body('username').isLength({ max: 30 }).withMessage('Username cannot exceed 30 characters'),
+  body('username').matches(/^[a-zA-Z0-9_]+$/).withMessage('Username can only contain letters, numbers, and underscores'),
   body('email').isEmail().withMessage('Please include a valid email'),
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
 ];
@@ -17,8 +71,42 @@ const loginValidation = [
   body('password').exists().withMessage('Password is required')
 ];
 
-router.post('/register', registerValidation, register);
-router.post('/login', loginValidation, login);
+const forgotPasswordValidation = [
+  body('email').isEmail().withMessage('Please include a valid email')
+];
+
+const resetPasswordValidation = [
+  body('token').notEmpty().withMessage('Reset token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+];
+
+const twoFactorLoginValidation = [
+  body('challengeToken').notEmpty().withMessage('Challenge token is required'),
+  body().custom(value => value.code || value.recoveryCode).withMessage('Authentication code or recovery code is required')
+];
+
+const twoFactorCodeValidation = [
+  body('code').matches(/^\d{6}$/).withMessage('Authentication code must be 6 digits')
+];
+
+const twoFactorDisableValidation = [
+  body('password').notEmpty().withMessage('Password is required'),
+  body().custom(value => value.code || value.recoveryCode).withMessage('Authentication code or recovery code is required')
+];
+
+router.post('/register', credentialLimit, registerValidation, register);
+router.post('/login', credentialLimit, loginValidation, login);
+router.post('/login/2fa', credentialLimit, twoFactorLoginValidation, loginTwoFactor);
+router.post('/refresh', [body('refreshToken').notEmpty().withMessage('Refresh token is required')], refresh);
+router.post('/logout', auth.optional, logout);
+router.post('/forgot-password', credentialLimit, forgotPasswordValidation, forgotPassword);
+router.post('/reset-password', credentialLimit, resetPasswordValidation, resetPassword);
+router.get('/verify/:token', verifyEmail);
+router.post('/verify/resend', credentialLimit, auth, resendVerification);
+router.post('/2fa/setup', auth, setupTwoFactor);
+router.post('/2fa/enable', auth, twoFactorCodeValidation, enableTwoFactor);
+router.post('/2fa/disable', auth, twoFactorDisableValidation, disableTwoFactor);
+router.post('/2fa/recovery-codes', auth, twoFactorCodeValidation, regenerateRecoveryCodes);
 router.get('/me', auth, getMe);
 
 module.exports = router;
\ No newline at end of file
@@ -1,15 +1,29 @@
 const express = require('express');
-const { getCategories, createCategory } = require('../controllers/categorycontroller.js');
+const { getCategories, createCategory, updateCategory } = require('../controllers/categorycontroller.js');
 const { body } = require('express-validator');
 const auth = require('../middleware/auth.js');
+const authorize = require('../middleware/authorize.js');
 
 const router = express.Router();
 
 router.get('/', getCategories);
 router.post('/', 
   auth,
-  [body('name').notEmpty().withMessage('Category name is required')],
+  authorize('categories:manage'),
+  [
+    body('name').notEmpty().withMessage('Category name is required'),
+    body('requireCommentApproval').optional().isBoolean().withMessage('requireCommentApproval must be true or false').toBoolean()
+  ],
   createCategory
 );
+router.patch('/:id',
+  auth,
+  authorize('categories:manage'),
+  [
+    body('name').optional().notEmpty().withMessage('Category name cannot be empty'),
+    body('requireCommentApproval').optional().isBoolean().withMessage('requireCommentApproval must be true or false').toBoolean()
+  ],
+  updateCategory
+);
 
 module.exports = router;
\ No newline at end of file
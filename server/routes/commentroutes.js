@@ -1,9 +1,73 @@
-import express from 'express';
-import { addComment } from '../controllers/commentcontroller.js';
-import auth from '../middleware/auth.js';
+const express = require('express');
+const {
+  reportComment,
+  getModerationQueue,
+  moderateComments,
+  getCommentBans,
+  banCommenter,
+  unbanCommenter
+} = require('../controllers/moderationcontroller');
+const { body, param, query } = require('express-validator');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
 
 const router = express.Router();
 
-router.post('/:postId/comments', auth, addComment);
+// Comment creation, editing and listing live under /api/posts/:postId/comments;
+// these routes are for reports and moderation
 
-export default router;
\ No newline at end of file
+router.get(
+  '/moderation',
+  auth,
+  authorize('comments:moderate'),
+  [
+    query('status')
+      .optional()
+      .isIn(['pending', 'reported', 'spam', 'hidden'])
+      .withMessage('Status must be pending, reported, spam or hidden'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number'),
+    query('limit').optional().isInt({ min: 1 }).withMessage('Limit must be a positive number')
+  ],
+  getModerationQueue
+);
+router.post(
+  '/moderation',
+  auth,
+  authorize('comments:moderate'),
+  [
+    body('ids').isArray({ min: 1, max: 100 }).withMessage('Select between 1 and 100 comments'),
+    body('ids.*').isMongoId().withMessage('Invalid comment ID'),
+    body('action').isIn(['approve', 'reject', 'spam']).withMessage('Action must be approve, reject or spam')
+  ],
+  moderateComments
+);
+router.get('/bans', auth, authorize('comments:moderate'), getCommentBans);
+router.post(
+  '/bans',
+  auth,
+  authorize('comments:moderate'),
+  [
+    body('user').isMongoId().withMessage('Valid user ID is required'),
+    body('days').optional({ checkFalsy: true }).isInt({ min: 1 }).withMessage('Days must be a positive number'),
+    body('reason').optional().isString().trim().isLength({ max: 500 }).withMessage('Reason cannot be more than 500 characters')
+  ],
+  banCommenter
+);
+router.delete(
+  '/bans/:userId',
+  auth,
+  authorize('comments:moderate'),
+  [param('userId').isMongoId().withMessage('Invalid user ID')],
+  unbanCommenter
+);
+router.post(
+  '/:id/report',
+  auth,
+  [
+    param('id').isMongoId().withMessage('Invalid comment ID'),
+    body('reason').optional().isString().trim().isLength({ max: 500 }).withMessage('Reason cannot be more than 500 characters')
+  ],
+  reportComment
+);
+
+module.exports = router;
@@ -0,0 +1,64 @@
+const express = require('express');
+const {
+  getNotifications,
+  updateNotification,
+  markAllRead,
+  getPreferences,
+  updatePreferences,
+  getEmailPreferences,
+  updateEmailPreferences,
+  unsubscribe,
+  streamNotifications
+} = require('../controllers/notificationcontroller');
+const { body, query, param } = require('express-validator');
+const Notification = require('../models/notification');
+const User = require('../models/user');
+const auth = require('../middleware/auth');
+
+const router = express.Router();
+
+// Linked from emails, so it works without signing in; the token identifies the user
+router.post('/unsubscribe/:token', unsubscribe);
+
+// Everything else is about the signed-in user's own notifications
+router.get(
+  '/',
+  auth,
+  [
+    query('unread').optional().isIn(['true', 'false']).withMessage('unread must be true or false'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number'),
+    query('limit').optional().isInt({ min: 1 }).withMessage('Limit must be a positive number')
+  ],
+  getNotifications
+);
+router.get('/stream', auth, streamNotifications);
+router.post('/read-all', auth, markAllRead);
+router.get('/preferences', auth, getPreferences);
+router.put(
+  '/preferences',
+  auth,
+  Notification.TYPES.map(type =>
+    body(type).optional().isBoolean().withMessage(`${type} must be true or false`).toBoolean()
+  ),
+  updatePreferences
+);
+router.get('/email-preferences', auth, getEmailPreferences);
+router.put(
+  '/email-preferences',
+  auth,
+  User.EMAIL_TYPES.map(type =>
+    body(type).optional().isIn(User.EMAIL_MODES).withMessage(`${type} must be one of: ${User.EMAIL_MODES.join(', ')}`)
+  ),
+  updateEmailPreferences
+);
+router.patch(
+  '/:id',
+  auth,
+  [
+    param('id').isMongoId().withMessage('Invalid notification ID'),
+    body('read').isBoolean().withMessage('read must be true or false').toBoolean()
+  ],
+  updateNotification
+);
+
+module.exports = router;
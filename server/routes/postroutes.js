@@ -5,12 +5,36 @@ const {
   createPost,
   updatePost,
   deletePost,
-  addComment,
-  searchPosts
+  searchPosts,
+  getMyPosts,
+  updatePostStatus,
+  duplicatePost
 } = require('../controllers/postcontroller');
-const { body } = require('express-validator');
+const {
+  getComments,
+  addComment,
+  updateComment,
+  deleteComment
+} = require('../controllers/commentcontroller');
+const {
+  getRevisions,
+  getRevision,
+  diffRevisions,
+  restoreRevision
+} = require('../controllers/revisioncontroller');
+const { addReaction, removeReaction } = require('../controllers/reactioncontroller');
+const { addBookmark, removeBookmark } = require('../controllers/bookmarkcontroller');
+const Reaction = require('../models/reaction');
+const Comment = require('../models/comment');
+const { body, param, query } = require('express-validator');
 const auth = require('../middleware/auth');
+const requireVerifiedEmail = require('../middleware/verified');
+const requireCommentAccess = require('../middleware/commentban');
+const authorize = require('../middleware/authorize');
 const upload = require('../utils/upload');
+const { isValidSlug, isReservedSlug } = require('../utils/slug');
+const { isValidSort, isValidFields, POST_SORT_FIELDS, POST_FIELDS } = require('../utils/queryparser');
+const { isValidCursor, isCursorRequest } = require('../utils/cursor');
 
 const router = express.Router();
 
@@ -18,15 +42,143 @@ const router = express.Router();
 const postValidation = [
   body('title').notEmpty().withMessage('Title is required'),
   body('content').notEmpty().withMessage('Content is required'),
-  body('category').isMongoId().withMessage('Valid category ID is required')
+  body('category').isMongoId().withMessage('Valid category ID is required'),
+  body('slug')
+    .optional({ checkFalsy: true })
+    .trim()
+    .toLowerCase()
+    .custom(isValidSlug)
+    .withMessage('Slug can only contain lowercase letters, numbers and single hyphens')
+    .not()
+    .custom(isReservedSlug)
+    .withMessage('This slug is reserved')
+];
+
+// ?after= / ?before= cursors; only one direction at a time
+const cursorValidation = [
+  query('after').optional({ checkFalsy: true }).custom(isValidCursor).withMessage('Invalid cursor'),
+  query('before').optional({ checkFalsy: true }).custom(isValidCursor).withMessage('Invalid cursor'),
+  query('before')
+    .custom((value, { req }) => value === undefined || req.query.after === undefined)
+    .withMessage('Use either after or before, not both')
+];
+
+// Filters shared by the post list and search
+const listFilterValidation = [
+  query('category').optional({ checkFalsy: true })
+    .isString().withMessage('Category must be a single value').bail()
+    .isMongoId().withMessage('Invalid category'),
+  query('author').optional({ checkFalsy: true })
+    .isString().withMessage('Author must be a single value').bail()
+    .isMongoId().withMessage('Invalid author'),
+  query('tag').optional().isString().withMessage('Tag must be a single value'),
+  query('from').optional({ checkFalsy: true }).isISO8601().withMessage('From must be a date'),
+  query('to').optional({ checkFalsy: true }).isISO8601().withMessage('To must be a date'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number'),
+  query('limit').optional().isInt({ min: 1 }).withMessage('Limit must be a positive number'),
+  ...cursorValidation
+];
+
+const listValidation = [
+  ...listFilterValidation,
+  query('sort')
+    .custom((value, { req }) => !isCursorRequest(req.query) || !value || ['createdAt', '-createdAt'].includes(value))
+    .withMessage('Cursor pagination can only sort by createdAt or -createdAt'),
+  query('search').optional().isString().withMessage('Search must be a single value'),
+  query('sort')
+    .optional()
+    .custom(isValidSort)
+    .withMessage(`Sort must be a comma-separated list of: ${POST_SORT_FIELDS.join(', ')} (prefix with - for descending)`),
+  query('fields')
+    .optional()
+    .custom(isValidFields)
+    .withMessage(`Fields must be a comma-separated list of: ${POST_FIELDS.join(', ')}`)
+];
+
+const commentContentValidation = [
+  body('content')
+    .trim()
+    .notEmpty()
+    .withMessage('Comment content is required')
+    .isLength({ max: 1000 })
+    .withMessage('Comment cannot be more than 1000 characters')
+];
+
+const commentIdValidation = [
+  param('commentId').isMongoId().withMessage('Invalid comment ID')
+];
+
+const commentValidation = [
+  ...commentContentValidation,
+  body('parentComment').optional({ checkFalsy: true }).isMongoId().withMessage('Invalid parent comment')
+];
+
+const revisionValidation = [
+  param('rev').isInt({ min: 1 }).withMessage('Revision must be a positive number')
 ];
 
-router.get('/', getPosts);
-router.get('/search', searchPosts);
-router.get('/:id', getPost);
-router.post('/', auth, upload.single('featuredImage'), postValidation, createPost);
-router.put('/:id', auth, upload.single('featuredImage'), postValidation, updatePost);
-router.delete('/:id', auth, deletePost);
-router.post('/:postId/comments', auth, addComment);
+router.get('/', auth.optional, listValidation, getPosts);
+router.get('/search', auth.optional, listFilterValidation, searchPosts);
+router.get('/mine', auth, getMyPosts);
+router.get('/:id', auth.optional, getPost);
+router.post('/', auth, authorize('posts:create'), requireVerifiedEmail, upload.single('featuredImage'), postValidation, createPost);
+router.put('/:id', auth, authorize('posts:update'), upload.single('featuredImage'), postValidation, updatePost);
+router.patch(
+  '/:id/status',
+  auth,
+  authorize('posts:update'),
+  [body('status').isIn(['published', 'draft']).withMessage('Status must be published or draft')],
+  updatePostStatus
+);
+router.post('/:id/duplicate', auth, authorize('posts:create'), requireVerifiedEmail, duplicatePost);
+router.get('/:id/revisions', auth, authorize('posts:update'), getRevisions);
+router.get('/:id/revisions/:rev', auth, authorize('posts:update'), revisionValidation, getRevision);
+router.get(
+  '/:id/revisions/:rev/diff',
+  auth,
+  authorize('posts:update'),
+  [
+    ...revisionValidation,
+    query('against').optional().isInt({ min: 1 }).withMessage('Against must be a positive revision number')
+  ],
+  diffRevisions
+);
+router.post('/:id/revisions/:rev/restore', auth, authorize('posts:update'), revisionValidation, restoreRevision);
+router.post(
+  '/:id/reactions',
+  auth,
+  [body('type').optional().isIn(Reaction.TYPES).withMessage(`Reaction must be one of: ${Reaction.TYPES.join(', ')}`)],
+  addReaction
+);
+router.delete('/:id/reactions', auth, removeReaction);
+router.post(
+  '/:id/bookmark',
+  auth,
+  [
+    body('folder').optional().isString().trim().isLength({ max: 50 }).withMessage('Folder name cannot be more than 50 characters'),
+    body('note').optional().isString().trim().isLength({ max: 500 }).withMessage('Note cannot be more than 500 characters')
+  ],
+  addBookmark
+);
+router.delete('/:id/bookmark', auth, removeBookmark);
+router.delete('/:id', auth, authorize('posts:delete'), deletePost);
+router.get(
+  '/:postId/comments',
+  auth.optional,
+  [
+    ...cursorValidation,
+    query('limit').optional().isInt({ min: 1 }).withMessage('Limit must be a positive number'),
+    query('sort').optional().isIn(['createdAt', '-createdAt']).withMessage('Sort must be createdAt or -createdAt'),
+    query('depth')
+      .optional()
+      .isInt({ min: 0, max: Comment.MAX_DEPTH })
+      .withMessage(`Depth must be between 0 and ${Comment.MAX_DEPTH}`),
+    query('parent').optional().isMongoId().withMessage('Invalid parent comment')
+  ],
+  getComments
+);
+router.post('/:postId/comments', auth, authorize('comments:create'), requireVerifiedEmail, requireCommentAccess, commentValidation, addComment);
+router.put('/:postId/comments/:commentId', auth, requireCommentAccess, commentIdValidation, commentContentValidation, updateComment);
+router.delete('/:postId/comments/:commentId', auth, commentIdValidation, deleteComment);
 
 module.exports = router;
\ No newline at end of file
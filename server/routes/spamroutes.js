@@ -0,0 +1,72 @@
+const express = require('express');
+const {
+  getSpamRules,
+  updateSpamRules,
+  checkContent,
+  getHeldPosts,
+  reviewPost
+} = require('../controllers/spamcontroller');
+const { body, query } = require('express-validator');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+
+const router = express.Router();
+
+const RULES = ['honeypot', 'linkDensity', 'blocklist', 'repeatedContent', 'newAccount'];
+
+const spamRulesValidation = [
+  body('threshold').optional().isFloat({ min: 1 }).withMessage('Threshold must be at least 1').toFloat(),
+  ...RULES.flatMap(rule => [
+    body(`${rule}.enabled`).optional().isBoolean().withMessage(`${rule}.enabled must be true or false`).toBoolean(),
+    body(`${rule}.weight`).optional().isFloat({ min: 0 }).withMessage(`${rule}.weight cannot be negative`).toFloat()
+  ]),
+  body('linkDensity.maxLinks').optional().isInt({ min: 0 }).withMessage('linkDensity.maxLinks cannot be negative').toInt(),
+  body('linkDensity.maxRatio').optional().isFloat({ min: 0, max: 1 }).withMessage('linkDensity.maxRatio must be between 0 and 1').toFloat(),
+  body(['blocklist.words', 'blocklist.domains']).optional().isArray().withMessage('Blocklists must be arrays'),
+  body(['blocklist.words.*', 'blocklist.domains.*'])
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Blocklist entries cannot be empty')
+    .toLowerCase(),
+  body('repeatedContent.windowHours').optional().isInt({ min: 1 }).withMessage('repeatedContent.windowHours must be a positive number').toInt(),
+  body('repeatedContent.minLength').optional().isInt({ min: 0 }).withMessage('repeatedContent.minLength cannot be negative').toInt(),
+  body('newAccount.maxAgeHours').optional().isInt({ min: 1 }).withMessage('newAccount.maxAgeHours must be a positive number').toInt(),
+  body('newAccount.maxPerHour').optional().isInt({ min: 1 }).withMessage('newAccount.maxPerHour must be a positive number').toInt()
+];
+
+// Rule settings are for admins
+router.get('/rules', auth, authorize('spam:manage'), getSpamRules);
+router.put('/rules', auth, authorize('spam:manage'), spamRulesValidation, updateSpamRules);
+router.post(
+  '/check',
+  auth,
+  authorize('spam:manage'),
+  [
+    body('type').optional().isIn(['comment', 'post']).withMessage('Type must be comment or post'),
+    body('title').optional().isString(),
+    body('content').isString().notEmpty().withMessage('Content is required')
+  ],
+  checkContent
+);
+
+// Held posts are reviewed by editors
+router.get(
+  '/posts',
+  auth,
+  authorize('posts:update:any'),
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number'),
+    query('limit').optional().isInt({ min: 1 }).withMessage('Limit must be a positive number')
+  ],
+  getHeldPosts
+);
+router.post(
+  '/posts/:id/review',
+  auth,
+  authorize('posts:update:any'),
+  [body('action').isIn(['approve', 'reject']).withMessage('Action must be approve or reject')],
+  reviewPost
+);
+
+module.exports = router;
@@ -0,0 +1,46 @@
+const express = require('express');
+const {
+  getProfile,
+  getMyProfile,
+  updateMyProfile,
+  updateUserRole,
+  unlockUser
+} = require('../controllers/usercontroller');
+const { getMyBookmarks } = require('../controllers/bookmarkcontroller');
+const { body, query } = require('express-validator');
+const auth = require('../middleware/auth');
+const authorize = require('../middleware/authorize');
+const upload = require('../utils/upload');
+const { ROLES } = require('../config/permissions');
+
+const router = express.Router();
+
+// Validation rules
+const roleValidation = [
+  body('role').isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`)
+];
+
+const profileValidation = [
+  body('displayName').optional().isLength({ max: 50 }).withMessage('Display name cannot be more than 50 characters'),
+  body('bio').optional().isLength({ max: 500 }).withMessage('Bio cannot be more than 500 characters'),
+  body('website').optional({ checkFalsy: true }).isURL().withMessage('Website must be a valid URL'),
+  body('socialLinks.*').optional({ checkFalsy: true }).isURL().withMessage('Social links must be valid URLs')
+];
+
+router.get('/me', auth, getMyProfile);
+router.put('/me', auth, upload.single('avatar'), profileValidation, updateMyProfile);
+router.get(
+  '/me/bookmarks',
+  auth,
+  [
+    query('folder').optional().isString().withMessage('Folder must be a single value'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number'),
+    query('limit').optional().isInt({ min: 1 }).withMessage('Limit must be a positive number')
+  ],
+  getMyBookmarks
+);
+router.get('/:username', getProfile);
+router.put('/:id/role', auth, authorize('users:manage'), roleValidation, updateUserRole);
+router.post('/:id/unlock', auth, authorize('users:manage'), unlockUser);
+
+module.exports = router;
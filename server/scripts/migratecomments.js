@@ -0,0 +1,84 @@
+// Move comments embedded in posts (the old Post.comments array) into the
+// Comment collection. Safe to run more than once: comments keep their _id, so
+// a second run finds nothing left to copy.
+//
+//   npm run migrate:comments
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const connectDB = require('../config/db');
+const Post = require('../models/Post');
+const Comment = require('../models/comment');
+
+const migrateEmbeddedComments = async () => {
+  // Read the raw documents; the Post schema no longer knows about `comments`
+  const posts = Post.collection.find(
+    { comments: { $exists: true } },
+    { projection: { comments: 1 } }
+  );
+
+  let postCount = 0;
+  let commentCount = 0;
+
+  for await (const post of posts) {
+    const embedded = (post.comments || []).filter(comment => comment.content);
+
+    if (embedded.length) {
+      await Comment.collection.bulkWrite(
+        embedded.map(comment => {
+          const _id = comment._id || new mongoose.Types.ObjectId();
+          const createdAt = comment.createdAt || _id.getTimestamp();
+          return {
+            updateOne: {
+              filter: { _id },
+              update: {
+                $setOnInsert: {
+                  content: comment.content,
+                  author: comment.user,
+                  post: post._id,
+                  parentComment: null,
+                  ancestors: [],
+                  depth: 0,
+                  createdAt,
+                  updatedAt: createdAt
+                }
+              },
+              upsert: true
+            }
+          };
+        }),
+        { ordered: false }
+      );
+    }
+
+    await Post.collection.updateOne(
+      { _id: post._id },
+      {
+        $unset: { comments: '' },
+        $set: { commentCount: await Comment.countDocuments({ post: post._id }) }
+      }
+    );
+
+    postCount += 1;
+    commentCount += embedded.length;
+  }
+
+  return { postCount, commentCount };
+};
+
+if (require.main === module) {
+  dotenv.config();
+
+  connectDB()
+    .then(migrateEmbeddedComments)
+    .then(({ postCount, commentCount }) => {
+      console.log(`Moved ${commentCount} comment(s) from ${postCount} post(s)`);
+      return mongoose.disconnect();
+    })
+    .catch((err) => {
+      console.error('Comment migration failed:', err);
+      process.exit(1);
+    });
+}
+
+module.exports = migrateEmbeddedComments;
@@ -0,0 +1,37 @@
+// Mark accounts created before email verification existed as verified, so
+// they can keep posting and commenting and receive comment emails. Only users
+// without an `emailVerified` field are touched, so it is safe to run again
+// and never verifies an account that registered since.
+//
+//   npm run migrate:verified
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const connectDB = require('../config/db');
+const User = require('../models/user');
+
+const verifyExistingUsers = async () => {
+  // Use the raw collection; the schema would fill in the `false` default
+  const result = await User.collection.updateMany(
+    { emailVerified: { $exists: false } },
+    { $set: { emailVerified: true } }
+  );
+  return { userCount: result.modifiedCount };
+};
+
+if (require.main === module) {
+  dotenv.config();
+
+  connectDB()
+    .then(verifyExistingUsers)
+    .then(({ userCount }) => {
+      console.log(`Marked ${userCount} existing user(s) as verified`);
+      return mongoose.disconnect();
+    })
+    .catch((err) => {
+      console.error('Email verification migration failed:', err);
+      process.exit(1);
+    });
+}
+
+module.exports = verifyExistingUsers;
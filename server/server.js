@@ -11,6 +11,12 @@ const path = require('path');
 const postRoutes = require('./routes/posts');
 const categoryRoutes = require('./routes/categories');
 const authRoutes = require('./routes/auth');
+const userRoutes = require('./routes/userroutes');
+const commentRoutes = require('./routes/commentroutes');
+const spamRoutes = require('./routes/spamroutes');
+const notificationRoutes = require('./routes/notificationroutes');
+const { startScheduler } = require('./utils/scheduler');
+const { startJobQueue } = require('./utils/jobs');
 
 // Load environment variables
 dotenv.config();
@@ -39,6 +45,10 @@ if (process.env.NODE_ENV === 'development') {
 app.use('/api/posts', postRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/auth', authRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/comments', commentRoutes);
+app.use('/api/spam', spamRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 // Root route
 app.get('/', (req, res) => {
@@ -59,6 +69,8 @@ mongoose
   .connect(process.env.MONGODB_URI)
   .then(() => {
     console.log('Connected to MongoDB');
+    startScheduler();
+    startJobQueue();
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
     });
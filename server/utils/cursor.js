@@ -0,0 +1,80 @@
+// Opaque cursors for keyset pagination on (createdAt, _id)
+const mongoose = require('mongoose');
+
+const encodeCursor = (doc) => Buffer
+  .from(JSON.stringify({ t: new Date(doc.createdAt).toISOString(), id: String(doc._id) }))
+  .toString('base64url');
+
+// Resolves to { createdAt, _id } or null when the cursor is malformed
+const decodeCursor = (value) => {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+    const createdAt = new Date(t);
+    if (Number.isNaN(createdAt.getTime()) || !mongoose.Types.ObjectId.isValid(id)) {
+      return null;
+    }
+    return { createdAt, _id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+const isValidCursor = (value) => decodeCursor(value) !== null;
+
+// Cursor mode is on when ?after or ?before is present; an empty ?after= starts from the top
+const isCursorRequest = (query) => 'after' in query || 'before' in query;
+
+// The $match, $sort and read direction for one page. `descending` is the list's
+// display order; ?before= walks backwards, so it reads the other way and reverses.
+const buildCursorQuery = (query, descending = true) => {
+  const forward = !query.before;
+  const cursor = decodeCursor(forward ? query.after : query.before);
+  const direction = (descending ? -1 : 1) * (forward ? 1 : -1);
+  const op = direction === -1 ? '$lt' : '$gt';
+
+  const match = cursor
+    ? {
+        $or: [
+          { createdAt: { [op]: cursor.createdAt } },
+          { createdAt: cursor.createdAt, _id: { [op]: cursor._id } }
+        ]
+      }
+    : {};
+
+  return {
+    match,
+    sort: { createdAt: direction, _id: direction },
+    forward,
+    hasCursor: Boolean(cursor)
+  };
+};
+
+// Trim the limit + 1 items that were fetched and work out the neighbouring cursors
+const buildCursorPage = (items, limit, { forward, hasCursor }) => {
+  const hasMore = items.length > limit;
+  const page = items.slice(0, limit);
+  if (!forward) {
+    page.reverse();
+  }
+
+  const first = page[0];
+  const last = page[page.length - 1];
+
+  return {
+    data: page,
+    pagination: {
+      limit,
+      nextCursor: last && (forward ? hasMore : true) ? encodeCursor(last) : null,
+      prevCursor: first && (forward ? hasCursor : hasMore) ? encodeCursor(first) : null
+    }
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  isValidCursor,
+  isCursorRequest,
+  buildCursorQuery,
+  buildCursorPage
+};
@@ -0,0 +1,85 @@
+// Word-level diff used to compare post revisions
+
+// Largest table the LCS is allowed to build; bigger edits fall back to a plain replace
+const MAX_CELLS = 4000000;
+
+// Split into words and the whitespace between them so the diff can be joined back losslessly
+const tokenize = (text) => (text ? String(text).split(/(\s+)/).filter(Boolean) : []);
+
+const pushChunk = (chunks, type, value) => {
+  const last = chunks[chunks.length - 1];
+  if (last && last.type === type) {
+    last.value += value;
+  } else {
+    chunks.push({ type, value });
+  }
+};
+
+// Returns [{ type: 'equal' | 'added' | 'removed', value }] turning `before` into `after`
+const diffWords = (before, after) => {
+  const a = tokenize(before);
+  const b = tokenize(after);
+  const chunks = [];
+
+  // Common prefix and suffix don't need the LCS table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start += 1;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA -= 1;
+    endB -= 1;
+  }
+
+  if (start > 0) {
+    pushChunk(chunks, 'equal', a.slice(0, start).join(''));
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const rows = midA.length + 1;
+  const cols = midB.length + 1;
+
+  if (rows * cols > MAX_CELLS) {
+    if (midA.length) pushChunk(chunks, 'removed', midA.join(''));
+    if (midB.length) pushChunk(chunks, 'added', midB.join(''));
+  } else {
+    // lcs[i][j] is the LCS length of midA[i..] and midB[j..]
+    const lcs = new Uint32Array(rows * cols);
+    for (let i = midA.length - 1; i >= 0; i -= 1) {
+      for (let j = midB.length - 1; j >= 0; j -= 1) {
+        lcs[i * cols + j] = midA[i] === midB[j]
+          ? lcs[(i + 1) * cols + j + 1] + 1
+          : Math.max(lcs[(i + 1) * cols + j], lcs[i * cols + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < midA.length && j < midB.length) {
+      if (midA[i] === midB[j]) {
+        pushChunk(chunks, 'equal', midA[i]);
+        i += 1;
+        j += 1;
+      } else if (lcs[(i + 1) * cols + j] >= lcs[i * cols + j + 1]) {
+        pushChunk(chunks, 'removed', midA[i]);
+        i += 1;
+      } else {
+        pushChunk(chunks, 'added', midB[j]);
+        j += 1;
+      }
+    }
+    for (; i < midA.length; i += 1) pushChunk(chunks, 'removed', midA[i]);
+    for (; j < midB.length; j += 1) pushChunk(chunks, 'added', midB[j]);
+  }
+
+  if (endA < a.length) {
+    pushChunk(chunks, 'equal', a.slice(endA).join(''));
+  }
+
+  return chunks;
+};
+
+module.exports = { diffWords };
@@ -0,0 +1,130 @@
+const User = require('../models/user');
+const Comment = require('../models/comment');
+const DigestItem = require('../models/digestitem');
+const { registerJob, enqueue } = require('./jobs');
+const { sendMail, clientUrl, apiUrl } = require('./mailer');
+const { commentEmail, digestEmail } = require('./mailtemplates');
+const { generateUnsubscribeToken } = require('./tokens');
+
+const RECIPIENT_FIELDS = 'email username displayName emailVerified emailPreferences';
+
+const COMMENT_POPULATE = [
+  { path: 'author', select: 'username displayName' },
+  { path: 'post', select: 'title slug' }
+];
+
+// Hour of the day (UTC) daily digests go out
+const digestHour = () => {
+  const hour = parseInt(process.env.DIGEST_HOUR);
+  return hour >= 0 && hour <= 23 ? hour : 8;
+};
+
+// The next time digests go out after `now`
+const nextDigestAt = (now = new Date()) => {
+  const next = new Date(now);
+  next.setUTCHours(digestHour(), 0, 0, 0);
+  if (next <= now) {
+    next.setUTCDate(next.getUTCDate() + 1);
+  }
+  return next;
+};
+
+// The link in the email footer opens a confirmation page on the client; the
+// List-Unsubscribe headers let mail apps unsubscribe in one click (RFC 8058)
+const unsubscribeLinks = (userId, type) => {
+  const token = generateUnsubscribeToken(userId.toString(), type);
+  return {
+    unsubscribeUrl: clientUrl(`/unsubscribe/${token}`),
+    headers: {
+      'List-Unsubscribe': `<${apiUrl(`/notifications/unsubscribe/${token}`)}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    }
+  };
+};
+
+const modeFor = (user, type) => user.emailPreferences?.[type] || 'immediate';
+
+// Users only get email at an address they have confirmed
+const canEmail = (user) => user && user.emailVerified && user.email;
+
+const isVisible = (comment) => comment && !comment.isDeleted && Comment.isApproved(comment) && comment.post;
+
+// Queue emails about a newly visible comment. `recipients` are the
+// { recipient, type } pairs worked out for its notifications (type is
+// comment or reply); each is emailed now, saved for the digest or skipped,
+// as the recipient prefers.
+const queueCommentEmails = async (comment, recipients) => {
+  const wanted = recipients.filter(({ recipient }) => recipient.toString() !== comment.author.toString());
+  if (!wanted.length) return;
+
+  const users = await User.find({ _id: { $in: wanted.map(({ recipient }) => recipient) } })
+    .select(RECIPIENT_FIELDS);
+  const byId = new Map(users.map(user => [user._id.toString(), user]));
+
+  for (const { recipient, type } of wanted) {
+    const user = byId.get(recipient.toString());
+    if (!canEmail(user)) continue;
+
+    const mode = modeFor(user, type);
+    if (mode === 'immediate') {
+      await enqueue('comment-email', { user: user._id, type, comment: comment._id });
+    } else if (mode === 'daily') {
+      await DigestItem.create({ user: user._id, type, comment: comment._id });
+      const runAt = nextDigestAt();
+      await enqueue('email-digest', { user: user._id }, {
+        runAt,
+        key: `digest:${user._id}:${runAt.toISOString().slice(0, 10)}`
+      });
+    }
+  }
+};
+
+// Send one comment or reply email, unless the comment has gone or the user
+// has changed their mind since it was queued
+registerJob('comment-email', async ({ user: userId, type, comment: commentId }) => {
+  const [user, comment] = await Promise.all([
+    User.findById(userId).select(RECIPIENT_FIELDS),
+    Comment.findById(commentId).populate(COMMENT_POPULATE)
+  ]);
+  if (!canEmail(user) || modeFor(user, type) !== 'immediate' || !isVisible(comment)) return;
+
+  const { unsubscribeUrl, headers } = unsubscribeLinks(user._id, type);
+  await sendMail({
+    to: user.email,
+    headers,
+    ...commentEmail({ recipient: user, type, comment, unsubscribeUrl })
+  });
+});
+
+// Send everything saved for the user's digest so far. Comments deleted or
+// hidden since are left out, as are types the user has unsubscribed from.
+registerJob('email-digest', async ({ user: userId }) => {
+  const startedAt = new Date();
+  const [user, items] = await Promise.all([
+    User.findById(userId).select(RECIPIENT_FIELDS),
+    DigestItem.find({ user: userId, createdAt: { $lte: startedAt } })
+      .sort({ createdAt: 1 })
+      .populate({ path: 'comment', populate: COMMENT_POPULATE })
+  ]);
+  if (!items.length) return;
+
+  const included = canEmail(user)
+    ? items.filter(item => isVisible(item.comment) && modeFor(user, item.type) !== 'off')
+    : [];
+
+  if (included.length) {
+    const { unsubscribeUrl, headers } = unsubscribeLinks(user._id, 'all');
+    await sendMail({
+      to: user.email,
+      headers,
+      ...digestEmail({ recipient: user, items: included, unsubscribeUrl })
+    });
+  }
+
+  await DigestItem.deleteMany({ _id: { $in: items.map(item => item._id) } });
+});
+
+module.exports = {
+  queueCommentEmails,
+  nextDigestAt
+};
@@ -0,0 +1,151 @@
+const os = require('os');
+const crypto = require('crypto');
+const Job = require('../models/job');
+
+// How long a job may run before another instance assumes it crashed
+const LOCK_MS = 5 * 60 * 1000;
+
+// Jobs run per tick, so a backlog doesn't hold the event loop for long
+const BATCH_SIZE = 20;
+
+// Identifies this process when several server instances share the database
+const instanceId = `${os.hostname()}-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+
+const handlers = new Map();
+
+let timer = null;
+let running = false;
+
+// Handlers get the job's data and the job itself. Throwing retries the job
+// with backoff until it runs out of attempts.
+const registerJob = (name, handler) => {
+  handlers.set(name, handler);
+};
+
+// Queue a job to run at `runAt` (now by default). With a `key`, a job that is
+// already queued under that key is left as it is and returned instead.
+const enqueue = async (name, data = {}, { runAt = new Date(), key, maxAttempts } = {}) => {
+  if (!handlers.has(name)) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+
+  const job = { name, data, runAt, ...(maxAttempts && { maxAttempts }) };
+  if (!key) {
+    return Job.create(job);
+  }
+
+  try {
+    return await Job.findOneAndUpdate(
+      { key },
+      { $setOnInsert: { ...job, key } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    // Another request queued the same key at the same moment
+    if (error.code === 11000) {
+      return Job.findOne({ key });
+    }
+    throw error;
+  }
+};
+
+// Wait a minute after the first failure, doubling each time
+const retryDelay = (attempts) => Math.min(60 * 1000 * 2 ** (attempts - 1), 6 * 60 * 60 * 1000);
+
+// Claim the next due job, including ones whose runner stopped responding
+const claimJob = () => {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', runAt: { $lte: now } },
+        { status: 'running', lockedUntil: { $lte: now } }
+      ]
+    },
+    {
+      status: 'running',
+      lockedBy: instanceId,
+      lockedUntil: new Date(now.getTime() + LOCK_MS),
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+};
+
+const runJob = async (job) => {
+  try {
+    const handler = handlers.get(job.name);
+    if (!handler) {
+      throw new Error(`Unknown job: ${job.name}`);
+    }
+    await handler(job.data, job);
+    await Job.updateOne(
+      { _id: job._id, lockedBy: instanceId },
+      { status: 'done', lastError: null, lockedBy: null, lockedUntil: null, finishedAt: new Date() }
+    );
+    return true;
+  } catch (error) {
+    const failed = job.attempts >= job.maxAttempts;
+    console.error(`Job ${job.name} (${job._id}) failed on attempt ${job.attempts}:`, error.message);
+    await Job.updateOne(
+      { _id: job._id, lockedBy: instanceId },
+      {
+        status: failed ? 'failed' : 'pending',
+        lastError: error.message,
+        lockedBy: null,
+        lockedUntil: null,
+        runAt: failed ? job.runAt : new Date(Date.now() + retryDelay(job.attempts)),
+        finishedAt: failed ? new Date() : null
+      }
+    );
+    return false;
+  }
+};
+
+// Run up to `limit` due jobs one after another. Instances claim jobs
+// atomically, so each runs once however many servers share the queue.
+const runDueJobs = async (limit = BATCH_SIZE) => {
+  const results = [];
+  for (let i = 0; i < limit; i++) {
+    const job = await claimJob();
+    if (!job) break;
+    results.push(await runJob(job));
+  }
+  return results;
+};
+
+const startJobQueue = () => {
+  if (timer) return;
+
+  const intervalMs = (parseInt(process.env.JOB_INTERVAL_SECONDS) || 15) * 1000;
+
+  const tick = () => {
+    // Skip the tick if the previous batch is still running
+    if (running) return;
+    running = true;
+    runDueJobs()
+      .catch((err) => {
+        console.error('Job queue error:', err);
+      })
+      .finally(() => {
+        running = false;
+      });
+  };
+
+  tick();
+  timer = setInterval(tick, intervalMs);
+  timer.unref();
+};
+
+const stopJobQueue = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  registerJob,
+  enqueue,
+  runDueJobs,
+  startJobQueue,
+  stopJobQueue
+};
@@ -0,0 +1,255 @@
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const tls = require('tls');
+const path = require('path');
+const crypto = require('crypto');
+
+// The bare address from "Name <address>"
+const addressOf = (value) => {
+  const match = /<([^>]+)>/.exec(value);
+  return (match ? match[1] : value).trim();
+};
+
+// RFC 2047 encoding for header values that aren't plain ASCII
+const encodeHeader = (value) => {
+  return /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+};
+
+// Base64 wrapped at 76 characters, as MIME requires
+const base64Lines = (value) => {
+  return Buffer.from(value, 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+};
+
+// Render a message as a MIME document with text and HTML alternatives
+const buildMime = (message) => {
+  const boundary = `----=_Part_${crypto.randomBytes(12).toString('hex')}`;
+  const headers = {
+    From: message.from,
+    To: message.to,
+    Subject: encodeHeader(message.subject),
+    Date: new Date(message.date).toUTCString(),
+    'Message-ID': message.messageId,
+    'MIME-Version': '1.0',
+    ...message.headers
+  };
+
+  const parts = [['text/plain', message.text], ['text/html', message.html]]
+    .filter(([, body]) => body)
+    .map(([type, body]) => [
+      `--${boundary}`,
+      `Content-Type: ${type}; charset=utf-8`,
+      'Content-Transfer-Encoding: base64',
+      '',
+      base64Lines(body)
+    ].join('\r\n'));
+
+  return [
+    ...Object.entries(headers).map(([name, value]) => `${name}: ${value}`),
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    ...parts,
+    `--${boundary}--`,
+    ''
+  ].join('\r\n');
+};
+
+// Read SMTP replies ({ code, lines }) off a socket, one per call
+const replyReader = (socket) => {
+  const replies = [];
+  const waiting = [];
+  let buffer = '';
+  let lines = [];
+  let failure = null;
+
+  const onData = (chunk) => {
+    buffer += chunk.toString('utf8');
+    let end;
+    while ((end = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      lines.push(line.slice(4));
+      // "250-..." continues a multi-line reply, "250 ..." ends it
+      if (line[3] !== '-') {
+        replies.push({ code: parseInt(line.slice(0, 3), 10), lines });
+        lines = [];
+      }
+    }
+    while (replies.length && waiting.length) {
+      waiting.shift().resolve(replies.shift());
+    }
+  };
+  const onFailure = (error) => {
+    failure = failure || error || new Error('SMTP connection closed');
+    waiting.splice(0).forEach(({ reject }) => reject(failure));
+  };
+
+  socket.on('data', onData);
+  socket.on('error', onFailure);
+  socket.on('close', () => onFailure());
+
+  const read = () => {
+    if (replies.length) return Promise.resolve(replies.shift());
+    if (failure) return Promise.reject(failure);
+    return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+  };
+  // Stop reading before the socket is handed to TLS
+  read.detach = () => socket.removeListener('data', onData);
+  return read;
+};
+
+const openSocket = ({ host, port, secure, timeout }) => {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host })
+      : net.connect({ host, port });
+    socket.setTimeout(timeout, () => socket.destroy(new Error('SMTP connection timed out')));
+    socket.once(secure ? 'secureConnect' : 'connect', () => {
+      socket.removeListener('error', reject);
+      resolve(socket);
+    });
+    socket.once('error', reject);
+  });
+};
+
+// Deliver one message over SMTP. Plain connections are upgraded with STARTTLS
+// when the server offers it; local mail catchers usually don't.
+const sendSmtp = async (message) => {
+  const host = process.env.SMTP_HOST || 'localhost';
+  const timeout = parseInt(process.env.SMTP_TIMEOUT_MS) || 10000;
+  const secure = process.env.SMTP_SECURE === 'true';
+  const port = parseInt(process.env.SMTP_PORT) || (secure ? 465 : 1025);
+
+  let socket = await openSocket({ host, port, secure, timeout });
+  let read = replyReader(socket);
+
+  const command = async (line, expected) => {
+    if (line) {
+      socket.write(`${line}\r\n`);
+    }
+    const reply = await read();
+    if (!expected.includes(reply.code)) {
+      const sent = line ? line.split(' ')[0] : 'connect';
+      throw new Error(`SMTP ${sent} failed: ${reply.code} ${reply.lines.join(' ')}`);
+    }
+    return reply;
+  };
+
+  try {
+    await command(null, [220]);
+    let hello = await command(`EHLO ${os.hostname()}`, [250]);
+
+    if (!secure && process.env.SMTP_IGNORE_TLS !== 'true' && hello.lines.some(line => /^STARTTLS\b/i.test(line))) {
+      await command('STARTTLS', [220]);
+      read.detach();
+      socket = await new Promise((resolve, reject) => {
+        const upgraded = tls.connect({ socket, servername: host }, () => resolve(upgraded));
+        upgraded.once('error', reject);
+      });
+      read = replyReader(socket);
+      hello = await command(`EHLO ${os.hostname()}`, [250]);
+    }
+
+    if (process.env.SMTP_USER) {
+      const credentials = Buffer.from(`\0${process.env.SMTP_USER}\0${process.env.SMTP_PASS || ''}`).toString('base64');
+      await command(`AUTH PLAIN ${credentials}`, [235]);
+    }
+
+    await command(`MAIL FROM:<${addressOf(message.from)}>`, [250]);
+    for (const recipient of String(message.to).split(',')) {
+      await command(`RCPT TO:<${addressOf(recipient)}>`, [250, 251]);
+    }
+    await command('DATA', [354]);
+    // A line holding only a dot ends the data, so leading dots are doubled
+    const accepted = await command(`${buildMime(message).replace(/^\./gm, '..')}\r\n.`, [250]);
+    await command('QUIT', [221]).catch(() => {});
+
+    return { delivered: true, messageId: message.messageId, response: accepted.lines.join(' ') };
+  } finally {
+    socket.destroy();
+  }
+};
+
+// Transports receive a normalised message and deliver it somewhere.
+// Register more with registerTransport() and select one with MAIL_TRANSPORT.
+const transports = {
+  // Print the message to stdout; the default for development
+  console: async (message) => {
+    console.log('--- Outgoing email ---');
+    console.log(`To: ${message.to}`);
+    console.log(`Subject: ${message.subject}`);
+    console.log('');
+    console.log(message.text);
+    console.log('----------------------');
+    return { delivered: true };
+  },
+
+  // Write each message to MAIL_DIR as JSON so tests and developers can read it.
+  // Messages hold live reset and verification links, so by default they go to
+  // the OS temp directory rather than somewhere inside the repo.
+  file: async (message) => {
+    const dir = process.env.MAIL_DIR || path.join(os.tmpdir(), 'mern-blog-mail');
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const fileName = `${Date.now()}-${Math.round(Math.random() * 1E9)}.json`;
+    const filePath = path.join(dir, fileName);
+    await fs.promises.writeFile(filePath, JSON.stringify(message, null, 2));
+
+    return { delivered: true, path: filePath };
+  },
+
+  // Send through an SMTP server (SMTP_HOST, SMTP_PORT). Point it at a local
+  // catcher such as Mailpit or MailHog in development and tests.
+  smtp: sendSmtp
+};
+
+const registerTransport = (name, transport) => {
+  transports[name] = transport;
+};
+
+const getTransport = () => {
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return transport;
+};
+
+// `headers` adds extra headers, such as List-Unsubscribe
+const sendMail = async ({ to, subject, text, html, headers = {} }) => {
+  const from = process.env.MAIL_FROM || 'MERN Blog <no-reply@localhost>';
+  const message = {
+    from,
+    to,
+    subject,
+    text,
+    html,
+    headers,
+    messageId: `<${crypto.randomUUID()}@${addressOf(from).split('@')[1] || 'localhost'}>`,
+    date: new Date().toISOString()
+  };
+
+  return getTransport()(message);
+};
+
+// Build a link to a page on the client app
+const clientUrl = (pathname) => {
+  const base = (process.env.CLIENT_URL || 'http://localhost:5173').replace(/\/$/, '');
+  return `${base}${pathname}`;
+};
+
+// Build a link to an API endpoint, for links that act without the client app
+const apiUrl = (pathname) => {
+  const base = (process.env.API_URL || `http://localhost:${process.env.PORT || 5000}/api`).replace(/\/$/, '');
+  return `${base}${pathname}`;
+};
+
+module.exports = {
+  sendMail,
+  registerTransport,
+  clientUrl,
+  apiUrl
+};
@@ -0,0 +1,117 @@
+const { clientUrl } = require('./mailer');
+
+// Templates return { subject, text, html } ready for sendMail
+
+const escapeHtml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+// Start of a comment, on one line
+const excerpt = (text, length = 280) => {
+  const flat = String(text || '').replace(/\s+/g, ' ').trim();
+  return flat.length > length ? `${flat.slice(0, length - 1)}…` : flat;
+};
+
+const nameOf = (user) => user?.displayName || user?.username || 'Someone';
+
+const commentUrl = (comment) => clientUrl(`/posts/${comment.post.slug}#comment-${comment._id}`);
+
+// Wrap a template's body in the shared greeting and footer. `unsubscribeUrl`
+// is the one-click link for the emails this one belongs to.
+const layout = ({ recipient, subject, text, html, unsubscribeUrl }) => {
+  const settingsUrl = clientUrl('/settings');
+  const greeting = `Hi ${nameOf(recipient)},`;
+
+  return {
+    subject,
+    text: `${greeting}\n\n${text}\n\n--\n` +
+      `Unsubscribe: ${unsubscribeUrl}\n` +
+      `Choose which emails you get: ${settingsUrl}\n`,
+    html: '<!DOCTYPE html><html><body style="font-family: Arial, sans-serif; color: #1f2937; line-height: 1.5;">' +
+      '<div style="max-width: 600px; margin: 0 auto; padding: 16px;">' +
+      `<p>${escapeHtml(greeting)}</p>${html}` +
+      '<hr style="border: none; border-top: 1px solid #e5e7eb; margin: 24px 0 12px;">' +
+      '<p style="font-size: 12px; color: #6b7280;">' +
+      `<a href="${escapeHtml(unsubscribeUrl)}" style="color: #6b7280;">Unsubscribe</a> · ` +
+      `<a href="${escapeHtml(settingsUrl)}" style="color: #6b7280;">Choose which emails you get</a>` +
+      '</p></div></body></html>'
+  };
+};
+
+// "alice commented on your post "Title"" / "alice replied to your comment on "Title""
+const describe = (type, comment) => {
+  return type === 'reply'
+    ? `${nameOf(comment.author)} replied to your comment on "${comment.post.title}"`
+    : `${nameOf(comment.author)} commented on your post "${comment.post.title}"`;
+};
+
+// One new comment or reply, sent straight away. `comment` has its author and
+// post (title, slug) populated.
+const commentEmail = ({ recipient, type, comment, unsubscribeUrl }) => {
+  const summary = describe(type, comment);
+  const url = commentUrl(comment);
+
+  return layout({
+    recipient,
+    unsubscribeUrl,
+    subject: summary,
+    text: `${summary}:\n\n> ${excerpt(comment.content)}\n\nView it: ${url}`,
+    html: `<p>${escapeHtml(summary)}:</p>` +
+      '<blockquote style="margin: 0 0 16px; padding: 8px 12px; border-left: 3px solid #2563eb; background: #f9fafb;">' +
+      `${escapeHtml(excerpt(comment.content))}</blockquote>` +
+      `<p><a href="${escapeHtml(url)}" style="color: #2563eb;">View it on the blog</a></p>`
+  });
+};
+
+// The day's comments and replies ({ type, comment }), grouped by post
+const digestEmail = ({ recipient, items, unsubscribeUrl }) => {
+  const posts = new Map();
+  items.forEach(item => {
+    const key = item.comment.post._id.toString();
+    if (!posts.has(key)) {
+      posts.set(key, { post: item.comment.post, items: [] });
+    }
+    posts.get(key).items.push(item);
+  });
+
+  const intro = items.length === 1
+    ? 'There was 1 new comment on your posts and comments in the last day.'
+    : `There were ${items.length} new comments on your posts and comments in the last day.`;
+
+  const line = ({ type, comment }) => `${nameOf(comment.author)} ${type === 'reply' ? 'replied to you' : 'commented'}`;
+
+  const text = [...posts.values()].map(({ post, items: postItems }) => (
+    `"${post.title}"\n` + postItems.map(item => (
+      `- ${line(item)}: ${excerpt(item.comment.content, 160)}\n  ${commentUrl(item.comment)}`
+    )).join('\n')
+  )).join('\n\n');
+
+  const html = [...posts.values()].map(({ post, items: postItems }) => (
+    `<h3 style="font-size: 16px; margin: 20px 0 8px;">${escapeHtml(post.title)}</h3><ul style="padding-left: 20px;">` +
+    postItems.map(item => (
+      `<li style="margin-bottom: 8px;"><strong>${escapeHtml(line(item))}:</strong> ` +
+      `${escapeHtml(excerpt(item.comment.content, 160))} ` +
+      `<a href="${escapeHtml(commentUrl(item.comment))}" style="color: #2563eb;">View</a></li>`
+    )).join('') +
+    '</ul>'
+  )).join('');
+
+  return layout({
+    recipient,
+    unsubscribeUrl,
+    subject: `Your daily digest: ${items.length} new comment${items.length === 1 ? '' : 's'}`,
+    text: `${intro}\n\n${text}`,
+    html: `<p>${escapeHtml(intro)}</p>${html}`
+  });
+};
+
+module.exports = {
+  escapeHtml,
+  commentEmail,
+  digestEmail
+};
@@ -0,0 +1,83 @@
+const User = require('../models/user');
+const Mention = require('../models/mention');
+const Notification = require('../models/notification');
+const { notify } = require('./notifications');
+
+// @username where the @ doesn't follow a word character, so email addresses
+// and URLs like example.com/@name don't count
+const MENTION_PATTERN = /(^|[^\w@/])@(\w{3,30})\b/g;
+
+// Any more than this in one comment or post are ignored
+const MAX_MENTIONS = 10;
+
+// The distinct usernames mentioned in `text`, lowercased
+const parseMentions = (text) => {
+  const names = new Set();
+  for (const match of String(text || '').matchAll(MENTION_PATTERN)) {
+    names.add(match[2].toLowerCase());
+  }
+  return [...names].slice(0, MAX_MENTIONS);
+};
+
+// The users mentioned in `text`, leaving out names that don't belong to
+// anyone and the author mentioning themselves
+const findMentionedUsers = async (text, authorId) => {
+  const names = parseMentions(text);
+  if (!names.length) return [];
+
+  const users = await User.findByUsernames(names).select('username');
+  return users.filter(user => user._id.toString() !== authorId.toString());
+};
+
+// Notify users of the mentions matching `filter` that they haven't heard about yet
+const notifyMentions = async (filter) => {
+  const mentions = await Mention.find({ ...filter, notifiedAt: null });
+  if (!mentions.length) return;
+
+  await notify(mentions.map(mention => ({
+    recipient: mention.user,
+    type: 'mention',
+    actor: mention.mentionedBy,
+    post: mention.post,
+    comment: mention.comment
+  })));
+  await Mention.updateMany({ _id: { $in: mentions.map(mention => mention._id) } }, { notifiedAt: new Date() });
+};
+
+// Bring the Mention records for a post, or one of its comments, in line with
+// the users it mentions now. Someone already mentioned isn't notified again
+// when the content is edited, and someone no longer mentioned loses the
+// notification about it. Pass `notify: false` while the content isn't
+// visible yet and call notifyMentions once it is.
+const recordMentions = async ({ users, author, post, comment = null, notify }) => {
+  await Promise.all([
+    Mention.deleteMany({ post, comment, user: { $nin: users } }),
+    Notification.deleteMany({ type: 'mention', post, comment, recipient: { $nin: users } })
+  ]);
+
+  if (users.length) {
+    await Mention.bulkWrite(users.map(user => ({
+      updateOne: {
+        filter: { post, comment, user },
+        update: { $setOnInsert: { mentionedBy: author, notifiedAt: null } },
+        upsert: true
+      }
+    })));
+  }
+
+  if (notify) {
+    await notifyMentions({ post, comment });
+  }
+};
+
+// Forget the mentions matching `filter` when the content they were in is deleted
+const removeMentions = (filter) => Mention.deleteMany(filter);
+
+module.exports = {
+  MENTION_PATTERN,
+  parseMentions,
+  findMentionedUsers,
+  recordMentions,
+  notifyMentions,
+  removeMentions
+};
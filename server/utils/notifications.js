@@ -0,0 +1,145 @@
+const Post = require('../models/Post');
+const Comment = require('../models/comment');
+const User = require('../models/user');
+const Notification = require('../models/notification');
+const { queueCommentEmails } = require('./emailnotifications');
+
+// What the client needs to show a notification
+const NOTIFICATION_POPULATE = [
+  { path: 'actor', select: 'username displayName avatar' },
+  { path: 'post', select: 'title slug' },
+  { path: 'comment', select: 'content isDeleted' }
+];
+
+// Open event streams by user id. They live in this process, so with several
+// server instances a user only hears live about notifications created by the
+// instance they are connected to; the rest show up on the next fetch.
+const streams = new Map();
+
+const sendEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const addStream = (userId, res) => {
+  const key = userId.toString();
+  if (!streams.has(key)) {
+    streams.set(key, new Set());
+  }
+  streams.get(key).add(res);
+};
+
+const removeStream = (userId, res) => {
+  const key = userId.toString();
+  const open = streams.get(key);
+  if (!open) return;
+  open.delete(res);
+  if (!open.size) {
+    streams.delete(key);
+  }
+};
+
+// Send an event to every stream the user has open
+const publish = (userId, event, data) => {
+  streams.get(userId.toString())?.forEach(res => sendEvent(res, event, data));
+};
+
+const unreadCount = (userId) => Notification.countDocuments({ recipient: userId, read: false });
+
+// Tell the user's open streams how many notifications they have unread
+const publishUnreadCount = async (userId) => {
+  if (!streams.has(userId.toString())) return;
+  publish(userId, 'unread', { count: await unreadCount(userId) });
+};
+
+// Create notifications ({ recipient, type, actor, post, comment, reaction,
+// outcome }) and push them to the recipients' streams. Nobody hears about
+// their own actions or about types they have switched off. Apart from
+// moderation outcomes, which are all worth hearing about, an actor only
+// notifies a user once per type and post or comment, so reacting again or a
+// comment being approved twice doesn't repeat it.
+const notify = async (notifications) => {
+  const wanted = notifications.filter(notification =>
+    notification.recipient &&
+    (!notification.actor || notification.actor.toString() !== notification.recipient.toString())
+  );
+  if (!wanted.length) return [];
+
+  const recipients = await User.find({
+    _id: { $in: wanted.map(notification => notification.recipient) }
+  }).select('notificationPreferences');
+  const preferences = new Map(recipients.map(user => [user._id.toString(), user.notificationPreferences]));
+
+  const allowed = wanted.filter(notification => {
+    const prefs = preferences.get(notification.recipient.toString());
+    return prefs && prefs[notification.type] !== false;
+  });
+  if (!allowed.length) return [];
+
+  const result = await Notification.bulkWrite(allowed.map(({ recipient, type, actor = null, post = null, comment = null, ...rest }) => (
+    type === 'moderation'
+      ? { insertOne: { document: { recipient, type, actor, post, comment, ...rest } } }
+      : {
+          updateOne: {
+            filter: { recipient, type, actor, post, comment },
+            update: { $setOnInsert: { read: false, ...rest } },
+            upsert: true
+          }
+        }
+  )));
+
+  const ids = [...Object.values(result.insertedIds), ...Object.values(result.upsertedIds)];
+  if (!ids.length) return [];
+
+  const created = await Notification.find({ _id: { $in: ids } }).populate(NOTIFICATION_POPULATE);
+  await Promise.all(created.map(async notification => {
+    if (!streams.has(notification.recipient.toString())) return;
+    publish(notification.recipient, 'notification', {
+      notification,
+      unreadCount: await unreadCount(notification.recipient)
+    });
+  }));
+
+  return created;
+};
+
+// Tell the post's author about a new comment, and the parent comment's author
+// about a reply. Users mentioned in the comment get a mention instead, but
+// are still emailed about it if they subscribed to comment or reply emails.
+const notifyNewComment = async (comment) => {
+  const [post, parent] = await Promise.all([
+    Post.findById(comment.post).select('author'),
+    comment.parentComment
+      ? Comment.findOne({ _id: comment.parentComment, isDeleted: { $ne: true } }).select('author')
+      : null
+  ]);
+
+  const notifications = [];
+  if (parent) {
+    notifications.push({ recipient: parent.author, type: 'reply' });
+  }
+  if (post && post.author.toString() !== parent?.author.toString()) {
+    notifications.push({ recipient: post.author, type: 'comment' });
+  }
+
+  await queueCommentEmails(comment, notifications);
+
+  const mentioned = new Set(comment.mentions.map(user => (user._id || user).toString()));
+  return notify(notifications
+    .filter(notification => !mentioned.has(notification.recipient.toString()))
+    .map(notification => ({ ...notification, actor: comment.author, post: comment.post, comment: comment._id })));
+};
+
+// Drop notifications about content that has been deleted
+const removeNotifications = (filter) => Notification.deleteMany(filter);
+
+module.exports = {
+  NOTIFICATION_POPULATE,
+  sendEvent,
+  addStream,
+  removeStream,
+  unreadCount,
+  publishUnreadCount,
+  notify,
+  notifyNewComment,
+  removeNotifications
+};
@@ -0,0 +1,82 @@
+// Whitelisted parsing of list query strings (?sort=&fields=&author=&tag=&from=&to=)
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+// Fields that may be sorted on, with or without a leading "-"
+const POST_SORT_FIELDS = ['createdAt', 'updatedAt', 'publishedAt', 'title', 'viewCount'];
+
+// Fields that may be requested with ?fields=
+const POST_FIELDS = [
+  'title', 'slug', 'excerpt', 'content', 'featuredImage', 'author', 'category',
+  'tags', 'isPublished', 'publishAt', 'publishedAt', 'viewCount', 'createdAt', 'updatedAt'
+];
+
+const splitList = (value) => String(value || '')
+  .split(',')
+  .map(item => item.trim())
+  .filter(Boolean);
+
+// Validators for express-validator's .custom()
+const isValidSort = (value) => splitList(value)
+  .every(field => POST_SORT_FIELDS.includes(field.replace(/^-/, '')));
+
+const isValidFields = (value) => splitList(value).every(field => POST_FIELDS.includes(field));
+
+// "-viewCount,title" -> { viewCount: -1, title: 1 }
+const parseSort = (value, fallback = { createdAt: -1 }) => {
+  const fields = splitList(value).filter(field => POST_SORT_FIELDS.includes(field.replace(/^-/, '')));
+  if (!fields.length) {
+    return fallback;
+  }
+  return fields.reduce((sort, field) => ({
+    ...sort,
+    [field.replace(/^-/, '')]: field.startsWith('-') ? -1 : 1
+  }), {});
+};
+
+// "title,author" -> "title author", or null to return every field
+const parseFields = (value) => {
+  const fields = splitList(value).filter(field => POST_FIELDS.includes(field));
+  return fields.length ? fields.join(' ') : null;
+};
+
+// createdAt condition for ?from=&to=. A plain YYYY-MM-DD `to` includes that whole day.
+const buildDateRange = (from, to) => {
+  if (!from && !to) {
+    return null;
+  }
+  const range = {};
+  if (from) {
+    range.$gte = new Date(from);
+  }
+  if (to) {
+    const end = new Date(to);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+      end.setUTCDate(end.getUTCDate() + 1);
+      range.$lt = end;
+    } else {
+      range.$lte = end;
+    }
+  }
+  return range;
+};
+
+// page/limit/skip with the limit capped at MAX_LIMIT
+const parsePagination = (query, defaultLimit = DEFAULT_LIMIT) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), MAX_LIMIT);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+module.exports = {
+  POST_SORT_FIELDS,
+  POST_FIELDS,
+  MAX_LIMIT,
+  isValidSort,
+  isValidFields,
+  parseSort,
+  parseFields,
+  buildDateRange,
+  parsePagination
+};
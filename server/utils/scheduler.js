@@ -0,0 +1,75 @@
+const os = require('os');
+const crypto = require('crypto');
+const Post = require('../models/Post');
+const Lock = require('../models/lock');
+const { notifyMentions } = require('./mentions');
+
+const LOCK_NAME = 'post-scheduler';
+
+// Identifies this process when several server instances share the database
+const instanceId = `${os.hostname()}-${process.pid}-${crypto.randomBytes(4).toString('hex')}`;
+
+let timer = null;
+
+// Publish every post whose publishAt has passed. Only one instance does the
+// work per tick; the others see the lock and skip.
+const publishDuePosts = async (intervalMs) => {
+  const acquired = await Lock.acquire(LOCK_NAME, instanceId, intervalMs * 2);
+  if (!acquired) {
+    return [];
+  }
+
+  try {
+    const now = new Date();
+    const duePosts = await Post.find({ isPublished: false, publishAt: { $lte: now } }).select('_id');
+    const published = [];
+
+    for (const { _id } of duePosts) {
+      // Re-check the condition so a post rescheduled or cancelled meanwhile is left alone
+      const post = await Post.findOneAndUpdate(
+        { _id, isPublished: false, publishAt: { $lte: now } },
+        { isPublished: true, publishedAt: new Date(), publishAt: null },
+        { new: true }
+      );
+      if (post) {
+        await notifyMentions({ post: post._id, comment: null });
+        published.push(post);
+      }
+    }
+
+    if (published.length > 0) {
+      console.log(`Scheduler published ${published.length} post(s)`);
+    }
+
+    return published;
+  } finally {
+    await Lock.release(LOCK_NAME, instanceId);
+  }
+};
+
+const startScheduler = () => {
+  if (timer) return;
+
+  const intervalMs = (parseInt(process.env.SCHEDULER_INTERVAL_SECONDS) || 60) * 1000;
+
+  const tick = () => {
+    publishDuePosts(intervalMs).catch((err) => {
+      console.error('Scheduler error:', err);
+    });
+  };
+
+  tick();
+  timer = setInterval(tick, intervalMs);
+  timer.unref();
+};
+
+const stopScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  startScheduler,
+  stopScheduler,
+  publishDuePosts
+};
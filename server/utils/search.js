@@ -0,0 +1,98 @@
+// Helpers for full-text post search
+
+const SNIPPET_LENGTH = 160;
+
+// Escape user input before building a RegExp from it
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Words and phrases from a $text query, without negated terms ("-word") or quotes
+const getSearchTerms = (query) => {
+  const terms = [];
+  const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  let match;
+  while ((match = pattern.exec(String(query || ''))) !== null) {
+    const negated = match[1] || match[3];
+    const term = (match[2] || match[4]).trim();
+    if (!negated && term) {
+      terms.push(term.toLowerCase());
+    }
+  }
+  return [...new Set(terms)];
+};
+
+// Text search stems words, so highlight whole words starting with a term ("run" marks "running")
+const buildTermPattern = (terms) => {
+  if (!terms.length) return null;
+  const alternatives = [...terms]
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegex)
+    .join('|');
+  return new RegExp(`(^|[^\\p{L}\\p{N}])((?:${alternatives})[\\p{L}\\p{N}]*)`, 'giu');
+};
+
+// Split text into [{ text, highlight }] segments, marking the matched terms
+const highlight = (text, terms) => {
+  const source = String(text || '');
+  const pattern = buildTermPattern(terms);
+  if (!pattern || !source) {
+    return source ? [{ text: source, highlight: false }] : [];
+  }
+
+  const segments = [];
+  let last = 0;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    const start = match.index + match[1].length;
+    if (start > last) {
+      segments.push({ text: source.slice(last, start), highlight: false });
+    }
+    segments.push({ text: match[2], highlight: true });
+    last = start + match[2].length;
+  }
+  if (last < source.length) {
+    segments.push({ text: source.slice(last), highlight: false });
+  }
+  return segments;
+};
+
+// Rough plain text from markdown/HTML content, good enough for snippets
+const toPlainText = (content) => String(content || '')
+  .replace(/<[^>]+>/g, ' ')
+  .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+  .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/[#>*_`~]+/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// A window of the content around the first matching term, highlighted
+const buildSnippet = (content, terms, length = SNIPPET_LENGTH) => {
+  const text = toPlainText(content);
+  const pattern = buildTermPattern(terms);
+  const match = pattern ? pattern.exec(text) : null;
+
+  let start = 0;
+  if (match) {
+    start = Math.max(0, match.index + match[1].length - Math.floor(length / 3));
+    // Don't start in the middle of a word
+    if (start > 0) {
+      const space = text.indexOf(' ', start);
+      start = space === -1 || space > match.index ? start : space + 1;
+    }
+  }
+
+  let end = Math.min(text.length, start + length);
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    end = space > start ? space : end;
+  }
+
+  const snippet = `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+  return highlight(snippet, terms);
+};
+
+module.exports = {
+  escapeRegex,
+  getSearchTerms,
+  highlight,
+  buildSnippet
+};
@@ -0,0 +1,49 @@
+// Slug helpers for post URLs
+
+// Letters that don't decompose into ASCII with Unicode normalization
+const TRANSLITERATIONS = {
+  ß: 'ss', æ: 'ae', œ: 'oe', ø: 'o', đ: 'd', ð: 'd', þ: 'th', ł: 'l', ı: 'i',
+  // Cyrillic
+  а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'e', ж: 'zh', з: 'z', и: 'i',
+  й: 'y', к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't',
+  у: 'u', ф: 'f', х: 'kh', ц: 'ts', ч: 'ch', ш: 'sh', щ: 'shch', ъ: '', ы: 'y', ь: '',
+  э: 'e', ю: 'yu', я: 'ya', є: 'ye', і: 'i', ї: 'yi', ґ: 'g',
+  // Greek
+  α: 'a', β: 'v', γ: 'g', δ: 'd', ε: 'e', ζ: 'z', η: 'i', θ: 'th', ι: 'i', κ: 'k',
+  λ: 'l', μ: 'm', ν: 'n', ξ: 'x', ο: 'o', π: 'p', ρ: 'r', σ: 's', ς: 's', τ: 't',
+  υ: 'y', φ: 'f', χ: 'ch', ψ: 'ps', ω: 'o'
+};
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const MAX_SLUG_LENGTH = 80;
+
+// Slugs that would be shadowed by other /api/posts routes
+const RESERVED_SLUGS = ['search', 'mine'];
+
+// Turn any title into a lowercase ASCII slug. Returns '' when nothing is left.
+const slugify = (text) => {
+  const ascii = String(text || '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    // Split accented letters into base letter + combining mark, then drop the marks
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\u0000-\u007f]/g, (char) => TRANSLITERATIONS[char] ?? ' ');
+
+  return ascii
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, MAX_SLUG_LENGTH)
+    .replace(/-+$/, '');
+};
+
+const isValidSlug = (slug) => SLUG_PATTERN.test(slug) && slug.length <= MAX_SLUG_LENGTH;
+
+const isReservedSlug = (slug) => RESERVED_SLUGS.includes(slug);
+
+module.exports = {
+  slugify,
+  isValidSlug,
+  isReservedSlug,
+  MAX_SLUG_LENGTH
+};
@@ -0,0 +1,132 @@
+const Post = require('../models/Post');
+const Comment = require('../models/comment');
+const SpamRules = require('../models/spamrules');
+const { escapeRegex } = require('./search');
+
+// Forms include this field hidden from people; anything in it was filled in by a bot
+const HONEYPOT_FIELD = 'homepage';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"'()[\]]+/gi;
+
+const MODELS = { comment: Comment, post: Post };
+
+const findLinks = (text) => text.match(LINK_PATTERN) || [];
+
+const hostOf = (link) => {
+  try {
+    return new URL(link.startsWith('www.') ? `http://${link}` : link).hostname.toLowerCase();
+  } catch (err) {
+    return null;
+  }
+};
+
+const countWords = (text) => text.split(/\s+/).filter(Boolean).length;
+
+// The checks run on every new comment and post, in order. Each is given the
+// item ({ type, title, content, user, honeypot }) and its settings from
+// SpamRules, and returns { score, detail } when it matches. Use
+// registerSpamCheck to add more; a check with no settings saved runs with
+// { weight: 1 }.
+const checks = new Map();
+
+const registerSpamCheck = (name, check) => {
+  checks.set(name, check);
+};
+
+registerSpamCheck('honeypot', async ({ honeypot }, { weight }) => {
+  if (!honeypot || !String(honeypot).trim()) return null;
+  return { score: weight, detail: 'Hidden form field was filled in' };
+});
+
+registerSpamCheck('linkDensity', async ({ text }, { weight, maxLinks, maxRatio }) => {
+  const links = findLinks(text).length;
+  const words = countWords(text);
+  if (!links || (links <= maxLinks && links / words <= maxRatio)) return null;
+  return { score: weight, detail: `${links} link(s) in ${words} word(s)` };
+});
+
+registerSpamCheck('blocklist', async ({ text }, { weight, words, domains }) => {
+  const matches = words.filter(word =>
+    new RegExp(`(^|\\W)${escapeRegex(word)}(?=\\W|$)`, 'i').test(text)
+  );
+
+  const hosts = new Set(findLinks(text).map(hostOf).filter(Boolean));
+  domains.forEach(domain => {
+    const blocked = domain.toLowerCase();
+    if ([...hosts].some(host => host === blocked || host.endsWith(`.${blocked}`))) {
+      matches.push(blocked);
+    }
+  });
+
+  if (!matches.length) return null;
+  return { score: weight * matches.length, detail: `Blocked: ${matches.join(', ')}` };
+});
+
+registerSpamCheck('repeatedContent', async ({ type, content, user }, { weight, windowHours, minLength }) => {
+  if (content.length < minLength) return null;
+  const repeated = await MODELS[type].exists({
+    author: user._id,
+    content,
+    createdAt: { $gte: new Date(Date.now() - windowHours * HOUR_MS) }
+  });
+  if (!repeated) return null;
+  return { score: weight, detail: `Same ${type} posted in the last ${windowHours} hour(s)` };
+});
+
+registerSpamCheck('newAccount', async ({ user }, { weight, maxAgeHours, maxPerHour }) => {
+  if (!user.createdAt) return null;
+  const ageHours = (Date.now() - new Date(user.createdAt).getTime()) / HOUR_MS;
+  if (ageHours >= maxAgeHours) return null;
+
+  const since = { author: user._id, createdAt: { $gte: new Date(Date.now() - HOUR_MS) } };
+  const [comments, posts] = await Promise.all([
+    Comment.countDocuments(since),
+    Post.countDocuments(since)
+  ]);
+  if (comments + posts < maxPerHour) return null;
+  return {
+    score: weight,
+    detail: `${comments + posts} item(s) in the last hour from an account ${Math.floor(ageHours)} hour(s) old`
+  };
+});
+
+// Score a comment or post before it is saved. `flagged` means it should wait
+// for a moderator; nothing is rejected outright.
+const scoreContent = async ({ type, title = '', content, user, honeypot }) => {
+  const rules = (await SpamRules.current()).toObject();
+  const item = {
+    type,
+    title,
+    content,
+    text: [title, content].filter(Boolean).join('\n'),
+    user,
+    honeypot
+  };
+
+  const reasons = [];
+  for (const [name, check] of checks) {
+    const settings = rules[name] || { enabled: true, weight: 1 };
+    if (!settings.enabled) continue;
+
+    const result = await check(item, settings);
+    if (result && result.score > 0) {
+      reasons.push({ rule: name, score: result.score, detail: result.detail });
+    }
+  }
+
+  const score = reasons.reduce((total, reason) => total + reason.score, 0);
+  return {
+    score,
+    reasons,
+    checkedAt: new Date(),
+    flagged: score >= rules.threshold
+  };
+};
+
+module.exports = {
+  HONEYPOT_FIELD,
+  registerSpamCheck,
+  scoreContent
+};
@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// SHA-256 is enough here: the tokens are long random values, not passwords
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sessionId }, process.env.JWT_SECRET || 'fallback_secret', {
+    expiresIn: process.env.ACCESS_TOKEN_TTL || '15m'
+  });
+};
+
+const verifyAccessToken = (token) => {
+  return jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret');
+};
+
+// Short-lived token proving the password step of a two-factor login succeeded
+const generateChallengeToken = (userId) => {
+  return jwt.sign({ userId, purpose: '2fa' }, process.env.JWT_SECRET || 'fallback_secret', {
+    expiresIn: '5m'
+  });
+};
+
+const verifyChallengeToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret');
+  if (decoded.purpose !== '2fa') {
+    throw new Error('Invalid challenge token');
+  }
+  return decoded;
+};
+
+// Token for the unsubscribe link in emails. `type` is an email type from the
+// User model, or 'all'. The audience stops access and challenge tokens being
+// used as one, and having no session it is never accepted as an access token.
+// It doesn't expire, so links in old emails keep working, and can only be
+// revoked by rotating UNSUBSCRIBE_SECRET; that is acceptable because all it
+// can do is switch emails off for one user.
+const UNSUBSCRIBE_AUDIENCE = 'unsubscribe';
+
+const unsubscribeSecret = () => {
+  return process.env.UNSUBSCRIBE_SECRET || process.env.JWT_SECRET || 'fallback_secret';
+};
+
+const generateUnsubscribeToken = (userId, type) => {
+  return jwt.sign({ userId, type }, unsubscribeSecret(), { audience: UNSUBSCRIBE_AUDIENCE });
+};
+
+const verifyUnsubscribeToken = (token) => {
+  return jwt.verify(token, unsubscribeSecret(), { audience: UNSUBSCRIBE_AUDIENCE });
+};
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found
+// even when the secret no longer matches (which signals token reuse)
+const generateRefreshToken = (sessionId) => {
+  const secret = crypto.randomBytes(48).toString('hex');
+  return {
+    token: `${sessionId}.${secret}`,
+    hash: hashToken(secret)
+  };
+};
+
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== 'string') return null;
+
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!sessionId || !secret) return null;
+
+  return { sessionId, secretHash: hashToken(secret) };
+};
+
+const refreshTokenExpiry = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+module.exports = {
+  hashToken,
+  generateAccessToken,
+  verifyAccessToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  generateUnsubscribeToken,
+  verifyUnsubscribeToken,
+  generateRefreshToken,
+  parseRefreshToken,
+  refreshTokenExpiry
+};